@@ -0,0 +1,128 @@
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * File-backed Graph Store
+ * Shared graphs for the /api/graphs endpoints, kept in one JSON file
+ * (GRAPH_STORE_PATH, default ./data/graphs.json).
+ *
+ * Record shape: { id, name, revision, createdAt, updatedAt, data }, where
+ * `data` is a planner scenario ({ nodes, edges, roles, nodeCounter, settings }).
+ *
+ * Every change bumps `revision`. Updates and deletes name the revision they
+ * were based on; if someone else saved in between, the change is refused with
+ * a conflict carrying the current record (optimistic concurrency).
+ *
+ * Writes go to a temporary file that is renamed over the store, and all
+ * read-modify-write cycles run one at a time.
+ */
+
+const STORE_PATH = process.env.GRAPH_STORE_PATH || path.join(process.cwd(), 'data', 'graphs.json');
+
+// One queue per server process; route bundles may load this module more than once
+const queueKey = Symbol.for('ambulance-route-planner.graphStoreQueue');
+
+function serialize(operation) {
+  const previous = globalThis[queueKey] || Promise.resolve();
+  const run = previous.then(operation);
+  globalThis[queueKey] = run.catch(() => {});
+  return run;
+}
+
+async function readRecords() {
+  try {
+    return JSON.parse(await readFile(STORE_PATH, 'utf8')).graphs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function writeRecords(graphs) {
+  await mkdir(path.dirname(STORE_PATH), { recursive: true });
+  const temp = `${STORE_PATH}.${process.pid}.tmp`;
+  await writeFile(temp, JSON.stringify({ graphs }, null, 2));
+  await rename(temp, STORE_PATH);
+}
+
+/**
+ * List graphs without their data, most recently saved first
+ * @returns {Promise<Array>} - [{ id, name, revision, createdAt, updatedAt, nodeCount, edgeCount }]
+ */
+export async function listGraphs() {
+  const graphs = await serialize(readRecords);
+  return graphs
+    .map(({ data, ...meta }) => ({ ...meta, nodeCount: data.nodes.length, edgeCount: data.edges.length }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * @param {string} id - Graph ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getGraph(id) {
+  const graphs = await serialize(readRecords);
+  return graphs.find(graph => graph.id === id) ?? null;
+}
+
+/**
+ * @param {string} name - Display name
+ * @param {Object} data - Validated scenario data
+ * @returns {Promise<Object>} - The new record (revision 1)
+ */
+export function createGraph(name, data) {
+  return serialize(async () => {
+    const graphs = await readRecords();
+    const now = Date.now();
+    const record = { id: uuidv4(), name, revision: 1, createdAt: now, updatedAt: now, data };
+    await writeRecords([...graphs, record]);
+    return record;
+  });
+}
+
+/**
+ * Save a new version of a graph
+ * @param {string} id - Graph ID
+ * @param {number} baseRevision - Revision the caller's copy was loaded at
+ * @param {Object} changes - { name?, data }
+ * @returns {Promise<Object>} - { status: 'ok', record } | { status: 'conflict', record } | { status: 'missing' }
+ */
+export function updateGraph(id, baseRevision, changes) {
+  return serialize(async () => {
+    const graphs = await readRecords();
+    const index = graphs.findIndex(graph => graph.id === id);
+    if (index === -1) return { status: 'missing' };
+
+    const current = graphs[index];
+    if (current.revision !== baseRevision) return { status: 'conflict', record: current };
+
+    const record = {
+      ...current,
+      name: changes.name ?? current.name,
+      data: changes.data,
+      revision: current.revision + 1,
+      updatedAt: Date.now()
+    };
+    graphs[index] = record;
+    await writeRecords(graphs);
+    return { status: 'ok', record };
+  });
+}
+
+/**
+ * @param {string} id - Graph ID
+ * @param {number|null} baseRevision - Expected revision, or null to delete unconditionally
+ * @returns {Promise<Object>} - { status: 'ok' } | { status: 'conflict', record } | { status: 'missing' }
+ */
+export function deleteGraph(id, baseRevision) {
+  return serialize(async () => {
+    const graphs = await readRecords();
+    const current = graphs.find(graph => graph.id === id);
+    if (!current) return { status: 'missing' };
+    if (baseRevision !== null && current.revision !== baseRevision) return { status: 'conflict', record: current };
+
+    await writeRecords(graphs.filter(graph => graph.id !== id));
+    return { status: 'ok' };
+  });
+}
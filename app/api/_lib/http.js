@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import { validateGraph } from '../../utils/graphFile';
+
+/**
+ * Shared helpers for the API route handlers
+ * Errors are always `{ error, details }` JSON with a matching HTTP status.
+ */
+
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Read a JSON request body
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} - { ok: true, body } or { ok: false, response }
+ */
+export async function readJsonBody(request) {
+  if (!request.headers.get('content-type')?.includes('application/json')) {
+    return { ok: false, response: errorResponse(415, 'Content-Type must be application/json') };
+  }
+
+  try {
+    return { ok: true, body: await request.json() };
+  } catch (e) {
+    return { ok: false, response: errorResponse(400, `Request body is not valid JSON: ${e.message}`) };
+  }
+}
+
+/**
+ * @param {number} status - HTTP status code
+ * @param {string} error - Summary message
+ * @param {string[]} details - Individual problems, e.g. validation errors
+ * @returns {NextResponse}
+ */
+export function errorResponse(status, error, details = []) {
+  return NextResponse.json({ error, details }, { status });
+}
+
+/**
+ * Response for a failed validateRoutingRequest() or validateGraphBody()
+ * @param {Object} validation - { status, errors }
+ * @returns {NextResponse}
+ */
+export function invalidRequestResponse({ status, errors }) {
+  return errorResponse(status, status === 400 ? 'Bad request' : 'Invalid request', errors);
+}
+
+/**
+ * Validate a stored-graph body: { name?, data, revision? }
+ * `data` is scenario data as the planner saves it; the graph part is checked
+ * like an imported file and normalised, routing settings are kept as given.
+ *
+ * @param {*} body - Parsed JSON body
+ * @param {Object} options - { requireName: boolean, requireRevision: boolean }
+ * @returns {Object} - { valid: true, name, data, revision } or { valid: false, status, errors }
+ */
+export function validateGraphBody(body, { requireName = false, requireRevision = false } = {}) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, status: 400, errors: ['Request body must be a JSON object'] };
+  }
+
+  const errors = [];
+  if (body.name !== undefined || requireName) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      errors.push('"name" must be a non-empty string');
+    } else if (body.name.length > MAX_NAME_LENGTH) {
+      errors.push(`"name" must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  if (requireRevision && !(Number.isInteger(body.revision) && body.revision > 0)) {
+    errors.push('"revision" must be the revision number the graph was loaded at');
+  }
+
+  const result = validateGraph(body.data);
+  errors.push(...result.errors.map(error => `data: ${error}`));
+  if (errors.length > 0) {
+    return { valid: false, status: 422, errors };
+  }
+
+  const { departureTime, objective, blendFactors } = body.data;
+  return {
+    valid: true,
+    name: body.name?.trim(),
+    data: { ...result.graph, departureTime, objective, blendFactors },
+    revision: body.revision
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Road Event Bus
+ * In-process publish/subscribe for the live road-event feed. Published events
+ * get an increasing `sequence` number (the SSE event id) and a `receivedAt`
+ * timestamp. The most recent events are kept so a client that reconnects
+ * with Last-Event-ID receives what it missed.
+ */
+
+const RECENT_EVENTS_LIMIT = 200;
+
+// One bus per server process; route bundles may load this module more than once
+const busKey = Symbol.for('ambulance-route-planner.roadEventBus');
+
+function getBus() {
+  if (!globalThis[busKey]) {
+    globalThis[busKey] = { nextSequence: 1, recent: [], listeners: new Set() };
+  }
+  return globalThis[busKey];
+}
+
+/**
+ * Stamp and broadcast events
+ * @param {Array} events - Validated road events
+ * @returns {Array} - The stamped events
+ */
+export function publishRoadEvents(events) {
+  const bus = getBus();
+  const stamped = events.map(event => ({ ...event, sequence: bus.nextSequence++, receivedAt: Date.now() }));
+
+  bus.recent.push(...stamped);
+  bus.recent.splice(0, Math.max(0, bus.recent.length - RECENT_EVENTS_LIMIT));
+  bus.listeners.forEach(listener => stamped.forEach(listener));
+  return stamped;
+}
+
+/**
+ * Receive every event published from now on
+ * @param {Function} listener - Called with each stamped event
+ * @param {number|null} afterSequence - Replay kept events after this sequence first (null = no replay)
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeRoadEvents(listener, afterSequence = null) {
+  const bus = getBus();
+  if (afterSequence !== null) {
+    bus.recent.filter(event => event.sequence > afterSequence).forEach(listener);
+  }
+  bus.listeners.add(listener);
+  return () => bus.listeners.delete(listener);
+}
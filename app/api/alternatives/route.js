@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { ROUTING_ALGORITHMS, validateRoutingRequest } from '../../utils/routingRequest';
+import { kShortestPaths } from '../../utils/yen';
+import { readJsonBody, invalidRequestResponse, errorResponse } from '../_lib/http';
+
+/**
+ * POST /api/alternatives
+ * Body: { nodes, edges, start, end, k?, algorithm?, objective?, blendFactors? }
+ * k (default 3, at most MAX_ALTERNATIVES) counts the best route too.
+ *
+ * Responds with { routes }: up to k loopless routes, cheapest first, each in
+ * the shortest-path result shape. Fewer routes are returned when fewer exist.
+ */
+export async function POST(request) {
+  const read = await readJsonBody(request);
+  if (!read.ok) return read.response;
+
+  const validation = validateRoutingRequest(read.body, { requireEndpoints: true, allowK: true });
+  if (!validation.valid) return invalidRequestResponse(validation);
+
+  const { nodes, routingEdges, start, end, algorithm, k } = validation.request;
+  const shortestPathFn = ROUTING_ALGORITHMS[algorithm];
+
+  // Loopless alternatives are undefined while a negative cycle is reachable
+  if (algorithm === 'bellman-ford' && shortestPathFn(nodes, routingEdges, start, end).hasNegativeCycle) {
+    return errorResponse(422, 'The graph has a negative cycle; alternative routes are undefined');
+  }
+
+  const routes = kShortestPaths(nodes, routingEdges, start, end, k, shortestPathFn);
+  return NextResponse.json({ routes }, { headers: { 'X-Routing-Algorithm': algorithm } });
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { validateRoutingRequest } from '../../utils/routingRequest';
+import { analyzeEulerian, analyzeHamiltonian } from '../../utils/graphTheoryAnalysis';
+import { readJsonBody, invalidRequestResponse } from '../_lib/http';
+
+/**
+ * POST /api/analysis
+ * Body: { nodes, edges }
+ *
+ * Responds with { eulerian, hamiltonian }, the same analysis objects the
+ * Graph Theory panel shows.
+ */
+export async function POST(request) {
+  const read = await readJsonBody(request);
+  if (!read.ok) return read.response;
+
+  const validation = validateRoutingRequest(read.body, { requireEndpoints: false });
+  if (!validation.valid) return invalidRequestResponse(validation);
+
+  const { nodes, edges } = validation.request;
+  return NextResponse.json({
+    eulerian: analyzeEulerian(nodes, edges),
+    hamiltonian: analyzeHamiltonian(nodes, edges)
+  });
+}
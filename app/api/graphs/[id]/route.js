@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { getGraph, updateGraph, deleteGraph } from '../../_lib/graphStore';
+import { readJsonBody, invalidRequestResponse, validateGraphBody, errorResponse } from '../../_lib/http';
+
+/**
+ * GET /api/graphs/:id
+ * Responds with the full record; ETag is its revision.
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const record = await getGraph(id);
+  if (!record) return notFound(id);
+
+  return NextResponse.json(record, { headers: { ETag: `"${record.revision}"` } });
+}
+
+/**
+ * PUT /api/graphs/:id
+ * Body: { name?, data, revision } where revision is the one the graph was loaded at.
+ * Responds with the saved record (revision + 1), or 409 with the current
+ * record when another dispatcher saved first.
+ */
+export async function PUT(request, { params }) {
+  const { id } = await params;
+  const read = await readJsonBody(request);
+  if (!read.ok) return read.response;
+
+  const validation = validateGraphBody(read.body, { requireRevision: true });
+  if (!validation.valid) return invalidRequestResponse(validation);
+
+  const result = await updateGraph(id, validation.revision, { name: validation.name, data: validation.data });
+  if (result.status === 'missing') return notFound(id);
+  if (result.status === 'conflict') return conflict(result.record, validation.revision);
+
+  return NextResponse.json(result.record, { headers: { ETag: `"${result.record.revision}"` } });
+}
+
+/**
+ * DELETE /api/graphs/:id?revision=<n>
+ * Without a revision the graph is deleted whatever its state.
+ * Responds 204, or 409 with the current record when the revision is stale.
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const param = new URL(request.url).searchParams.get('revision');
+  const revision = param === null ? null : Number(param);
+  if (revision !== null && !(Number.isInteger(revision) && revision > 0)) {
+    return errorResponse(400, '"revision" must be a positive integer');
+  }
+
+  const result = await deleteGraph(id, revision);
+  if (result.status === 'missing') return notFound(id);
+  if (result.status === 'conflict') return conflict(result.record, revision);
+
+  return new Response(null, { status: 204 });
+}
+
+function notFound(id) {
+  return errorResponse(404, `Graph "${id}" not found`);
+}
+
+function conflict(current, revision) {
+  return NextResponse.json({
+    error: 'Revision conflict',
+    details: [`The graph was saved as revision ${current.revision} since you loaded revision ${revision}`],
+    current
+  }, { status: 409, headers: { ETag: `"${current.revision}"` } });
+}
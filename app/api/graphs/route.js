@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { listGraphs, createGraph } from '../_lib/graphStore';
+import { readJsonBody, invalidRequestResponse, validateGraphBody } from '../_lib/http';
+
+/**
+ * GET /api/graphs
+ * Responds with { graphs }: every stored graph without its data
+ * ({ id, name, revision, createdAt, updatedAt, nodeCount, edgeCount }).
+ */
+export async function GET() {
+  return NextResponse.json({ graphs: await listGraphs() });
+}
+
+/**
+ * POST /api/graphs
+ * Body: { name, data }
+ * Responds 201 with the new record at revision 1.
+ */
+export async function POST(request) {
+  const read = await readJsonBody(request);
+  if (!read.ok) return read.response;
+
+  const validation = validateGraphBody(read.body, { requireName: true });
+  if (!validation.valid) return invalidRequestResponse(validation);
+
+  const record = await createGraph(validation.name, validation.data);
+  return NextResponse.json(record, {
+    status: 201,
+    headers: { Location: `/api/graphs/${record.id}`, ETag: `"${record.revision}"` }
+  });
+}
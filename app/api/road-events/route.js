@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { validateRoadEvent } from '../../utils/roadEvents';
+import { publishRoadEvents } from '../_lib/roadEventBus';
+import { readJsonBody, errorResponse } from '../_lib/http';
+
+// Events accepted in one request
+const MAX_EVENTS_PER_REQUEST = 500;
+
+/**
+ * POST /api/road-events
+ * Body: one event, an array of events, or { events: [...] }
+ *   { type: 'close' | 'reopen' | 'weight', edgeId? | from?/to?, weight?, distance?, time?, toll?, reason? }
+ *
+ * Validates every event and broadcasts them to the live feed
+ * (GET /api/road-events/stream). Nothing is published if any event is
+ * invalid. Responds 202 with { accepted, events } (events as stamped).
+ */
+export async function POST(request) {
+  const read = await readJsonBody(request);
+  if (!read.ok) return read.response;
+
+  const { body } = read;
+  const events = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : [body];
+  if (events.length === 0) {
+    return errorResponse(422, 'No events given');
+  }
+  if (events.length > MAX_EVENTS_PER_REQUEST) {
+    return errorResponse(413, `At most ${MAX_EVENTS_PER_REQUEST} events per request`);
+  }
+
+  const errors = events.flatMap((event, index) => validateRoadEvent(event).map(error => `Event #${index + 1}: ${error}`));
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid road events', errors);
+  }
+
+  const stamped = publishRoadEvents(events);
+  return NextResponse.json({ accepted: stamped.length, events: stamped }, { status: 202 });
+}
@@ -0,0 +1,58 @@
+import { subscribeRoadEvents } from '../../_lib/roadEventBus';
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_MS = 25000;
+
+// Client reconnect delay advertised to EventSource
+const RETRY_MS = 3000;
+
+/**
+ * GET /api/road-events/stream
+ * Server-sent events: one `data:` message per road event, with the event's
+ * sequence as its id. Reconnecting clients (Last-Event-ID) get the events
+ * they missed; new clients only get events from now on.
+ */
+export async function GET(request) {
+  // An empty header means no event was received yet (Number('') would be 0)
+  const lastEventId = request.headers.get('last-event-id')?.trim();
+  const afterSequence = lastEventId && /^\d+$/.test(lastEventId) ? Number(lastEventId) : null;
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (text) => controller.enqueue(encoder.encode(text));
+      write(`retry: ${RETRY_MS}\n\n`);
+
+      const unsubscribe = subscribeRoadEvents(
+        event => write(`id: ${event.sequence}\ndata: ${JSON.stringify(event)}\n\n`),
+        afterSequence
+      );
+      const heartbeat = setInterval(() => write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // Already cancelled by the runtime
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    }
+  });
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { ROUTING_ALGORITHMS, validateRoutingRequest } from '../../utils/routingRequest';
+import { readJsonBody, invalidRequestResponse } from '../_lib/http';
+
+/**
+ * POST /api/shortest-path
+ * Body: { nodes, edges, start, end, algorithm?, objective?, blendFactors? }
+ * algorithm is 'dijkstra', 'astar', 'bidirectional', 'bellman-ford' or 'auto'
+ * (default).
+ *
+ * Responds with the algorithm's result object ({ path, totalCost, steps,
+ * found, ... }); the algorithm that ran is named in X-Routing-Algorithm.
+ * An unreachable destination is a normal result with found: false.
+ * JSON has no Infinity: a destination affected by a negative cycle (cost
+ * -Infinity in Bellman-Ford) is returned with totalCost: null,
+ * found: false and hasNegativeCycle: true.
+ */
+export async function POST(request) {
+  const read = await readJsonBody(request);
+  if (!read.ok) return read.response;
+
+  const validation = validateRoutingRequest(read.body, { requireEndpoints: true });
+  if (!validation.valid) return invalidRequestResponse(validation);
+
+  const { nodes, routingEdges, start, end, algorithm } = validation.request;
+  const result = ROUTING_ALGORITHMS[algorithm](nodes, routingEdges, start, end);
+  const body = Number.isFinite(result.totalCost) ? result : { ...result, totalCost: null };
+
+  return NextResponse.json(body, { headers: { 'X-Routing-Algorithm': algorithm } });
+}
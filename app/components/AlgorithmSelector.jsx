@@ -1,23 +1,93 @@
 'use client';
 
+// Display metadata for each selectable algorithm
+const ALGORITHMS = {
+  dijkstra: {
+    title: '🔵 Dijkstra\'s Algorithm',
+    name: 'Dijkstra\'s Algorithm',
+    tagline: 'Best for non-negative weights',
+    description: 'Efficient greedy algorithm for graphs with non-negative edge weights. Time complexity: O((V + E) log V)',
+    pros: ['Fast computation', 'Optimal for positive weights'],
+    cons: ['Cannot handle negative weights'],
+    panel: 'bg-blue-50 border-blue-300',
+    button: 'bg-blue-100 border-blue-500 ring-2 ring-blue-300',
+    buttonHover: 'hover:border-blue-300',
+    check: 'text-blue-600'
+  },
+  astar: {
+    title: '🟢 A* Search',
+    name: 'A* Search',
+    tagline: 'Uses node coordinates to aim at the hospital',
+    description: 'Dijkstra guided by a straight-line distance heuristic, so fewer nodes are explored. Same worst case: O((V + E) log V)',
+    pros: ['Explores fewer nodes', 'Optimal with an admissible heuristic'],
+    cons: ['Cannot handle negative weights', 'Needs coordinates on every node'],
+    panel: 'bg-emerald-50 border-emerald-300',
+    button: 'bg-emerald-100 border-emerald-500 ring-2 ring-emerald-300',
+    buttonHover: 'hover:border-emerald-300',
+    check: 'text-emerald-600'
+  },
+  bidirectional: {
+    title: '🔷 Bidirectional Dijkstra',
+    name: 'Bidirectional Dijkstra',
+    tagline: 'Searches from both ends for point-to-point routes',
+    description: 'Runs Dijkstra forward from the ambulance and backward from the hospital, stopping once no shorter route can join the two searches. Same worst case: O((V + E) log V)',
+    pros: ['Explores fewer nodes', 'No coordinates needed'],
+    cons: ['Cannot handle negative weights'],
+    panel: 'bg-cyan-50 border-cyan-300',
+    button: 'bg-cyan-100 border-cyan-500 ring-2 ring-cyan-300',
+    buttonHover: 'hover:border-cyan-300',
+    check: 'text-cyan-600'
+  },
+  contraction: {
+    title: '🔺 Contraction Hierarchies',
+    name: 'Contraction Hierarchies',
+    tagline: 'Preprocesses large maps for instant queries',
+    description: 'Ranks every node by importance and adds shortcut roads once; each query then only searches upwards from both ends. Preprocessing runs in the background and is rebuilt after road changes',
+    pros: ['Sub-millisecond queries on city maps', 'Routes avoiding a closed road stay instant'],
+    cons: ['Cannot handle negative weights', 'Preprocessing time after every change'],
+    panel: 'bg-rose-50 border-rose-300',
+    button: 'bg-rose-100 border-rose-500 ring-2 ring-rose-300',
+    buttonHover: 'hover:border-rose-300',
+    check: 'text-rose-600'
+  },
+  'bellman-ford': {
+    title: '🟣 Bellman-Ford Algorithm',
+    name: 'Bellman-Ford Algorithm',
+    tagline: 'Required for negative weights',
+    description: 'Dynamic programming algorithm that can handle negative edge weights and detect negative cycles. Time complexity: O(V × E)',
+    pros: ['Handles negative weights', 'Detects negative cycles'],
+    cons: [],
+    panel: 'bg-purple-50 border-purple-300',
+    button: 'bg-purple-100 border-purple-500 ring-2 ring-purple-300',
+    buttonHover: 'hover:border-purple-300',
+    check: 'text-purple-600'
+  }
+};
+
 /**
  * AlgorithmSelector Component
  * Displays the current algorithm and allows manual selection
  * Shows automatic detection reasoning
  * 
- * @param {String} algorithm - Current algorithm ('dijkstra' or 'bellman-ford')
+ * @param {String} algorithm - Current algorithm ('dijkstra', 'astar', 'bidirectional', 'contraction' or 'bellman-ford')
  * @param {Boolean} hasNegativeWeights - Whether graph contains negative weights
+ * @param {Boolean} hasCoordinates - Whether every node has coordinates (enables A*)
  * @param {Function} onAlgorithmChange - Handler for manual algorithm selection
  * @param {Boolean} autoDetect - Whether to use automatic detection
  * @param {Function} onAutoDetectChange - Handler for auto-detect toggle
+ * @param {Object} hierarchyStatus - Contraction hierarchy preprocessing ({ state, shortcutCount?, error? })
  */
 export default function AlgorithmSelector({
   algorithm,
   hasNegativeWeights,
+  hasCoordinates = false,
   onAlgorithmChange,
   autoDetect = true,
-  onAutoDetectChange
+  onAutoDetectChange,
+  hierarchyStatus = { state: 'idle' }
 }) {
+  const info = ALGORITHMS[algorithm] || ALGORITHMS.dijkstra;
+
   return (
     <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
       <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
@@ -29,7 +99,7 @@ export default function AlgorithmSelector({
         <div>
           <p className="font-medium text-gray-700">Automatic Detection</p>
           <p className="text-xs text-gray-500">
-            Automatically choose the best algorithm based on edge weights
+            Automatically choose the best algorithm based on edge weights and coordinates
           </p>
         </div>
         <button
@@ -47,14 +117,10 @@ export default function AlgorithmSelector({
       </div>
 
       {/* Current Algorithm Display */}
-      <div className={`p-4 rounded-lg text-black border-2 ${
-        algorithm === 'dijkstra' 
-          ? 'bg-blue-50 border-blue-300' 
-          : 'bg-purple-50 border-purple-300'
-      }`}>
+      <div className={`p-4 rounded-lg text-black border-2 ${info.panel}`}>
         <div className="flex items-center justify-between mb-2">
           <h3 className="font-bold text-lg">
-            {algorithm === 'dijkstra' ? '🔵 Dijkstra\'s Algorithm' : '🟣 Bellman-Ford Algorithm'}
+            {info.title}
           </h3>
           {autoDetect && (
             <span className="text-xs bg-white px-2 py-1 rounded-full border border-gray-300">
@@ -64,34 +130,41 @@ export default function AlgorithmSelector({
         </div>
         
         <p className="text-sm text-gray-600 mb-3">
-          {algorithm === 'dijkstra' 
-            ? 'Efficient greedy algorithm for graphs with non-negative edge weights. Time complexity: O((V + E) log V)'
-            : 'Dynamic programming algorithm that can handle negative edge weights and detect negative cycles. Time complexity: O(V × E)'}
+          {info.description}
         </p>
 
         {/* Algorithm Features */}
         <div className="space-y-1">
-          <div className="flex items-center gap-2 text-sm">
-            <span className="text-green-600">✓</span>
-            <span className="text-gray-700">
-              {algorithm === 'dijkstra' ? 'Fast computation' : 'Handles negative weights'}
-            </span>
-          </div>
-          <div className="flex items-center gap-2 text-sm">
-            <span className="text-green-600">✓</span>
-            <span className="text-gray-700">
-              {algorithm === 'dijkstra' ? 'Optimal for positive weights' : 'Detects negative cycles'}
-            </span>
-          </div>
-          {algorithm === 'dijkstra' && (
-            <div className="flex items-center gap-2 text-sm">
+          {info.pros.map(feature => (
+            <div key={feature} className="flex items-center gap-2 text-sm">
+              <span className="text-green-600">✓</span>
+              <span className="text-gray-700">{feature}</span>
+            </div>
+          ))}
+          {info.cons.map(feature => (
+            <div key={feature} className="flex items-center gap-2 text-sm">
               <span className="text-red-600">✗</span>
-              <span className="text-gray-700">Cannot handle negative weights</span>
+              <span className="text-gray-700">{feature}</span>
             </div>
-          )}
+          ))}
         </div>
       </div>
 
+      {/* Contraction hierarchy preprocessing */}
+      {algorithm === 'contraction' && (
+        <div className={`rounded-lg p-3 text-sm border ${
+          hierarchyStatus.state === 'error' ? 'bg-red-50 border-red-300 text-red-800'
+            : hierarchyStatus.state === 'ready' ? 'bg-green-50 border-green-300 text-green-800'
+            : 'bg-amber-50 border-amber-300 text-amber-800'
+        }`}>
+          {hierarchyStatus.state === 'error'
+            ? `❌ ${hierarchyStatus.error}. Routes use Dijkstra's algorithm instead.`
+            : hierarchyStatus.state === 'ready'
+            ? `✅ Hierarchy ready (${hierarchyStatus.shortcutCount} shortcuts).`
+            : '⏳ Preprocessing in the background… routes use Dijkstra\'s algorithm until it finishes.'}
+        </div>
+      )}
+
       {/* Auto-detection Reasoning */}
       {autoDetect && (
         <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4">
@@ -99,6 +172,8 @@ export default function AlgorithmSelector({
           <p className="text-sm text-yellow-700">
             {hasNegativeWeights 
               ? 'Negative edge weights detected. Using Bellman-Ford to ensure correct shortest path calculation and detect any negative cycles.'
+              : hasCoordinates
+              ? 'All edge weights are non-negative and every node has coordinates. Using A* with a straight-line heuristic to explore fewer nodes.'
               : 'All edge weights are non-negative. Using Dijkstra\'s algorithm for optimal performance.'}
           </p>
         </div>
@@ -109,48 +184,40 @@ export default function AlgorithmSelector({
         <div className="space-y-3">
           <p className="text-sm font-medium text-gray-700">Manual Selection:</p>
           
-          <button
-            onClick={() => onAlgorithmChange('dijkstra')}
-            className={`w-full p-4 rounded-lg border-2 transition-all ${
-              algorithm === 'dijkstra'
-                ? 'bg-blue-100 border-blue-500 ring-2 ring-blue-300'
-                : 'bg-white border-gray-300 hover:border-blue-300'
-            }`}
-          >
-            <div className="flex items-center justify-between">
-              <div className="text-left">
-                <p className="font-medium text-gray-800">Dijkstra's Algorithm</p>
-                <p className="text-xs text-gray-600">Best for non-negative weights</p>
-              </div>
-              {algorithm === 'dijkstra' && (
-                <span className="text-blue-600">✓</span>
-              )}
-            </div>
-          </button>
-
-          <button
-            onClick={() => onAlgorithmChange('bellman-ford')}
-            className={`w-full p-4 rounded-lg border-2 transition-all ${
-              algorithm === 'bellman-ford'
-                ? 'bg-purple-100 border-purple-500 ring-2 ring-purple-300'
-                : 'bg-white border-gray-300 hover:border-purple-300'
-            }`}
-          >
-            <div className="flex items-center justify-between">
-              <div className="text-left">
-                <p className="font-medium text-gray-800">Bellman-Ford Algorithm</p>
-                <p className="text-xs text-gray-600">Required for negative weights</p>
+          {Object.entries(ALGORITHMS).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => onAlgorithmChange(key)}
+              className={`w-full p-4 rounded-lg border-2 transition-all ${
+                algorithm === key
+                  ? option.button
+                  : `bg-white border-gray-300 ${option.buttonHover}`
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <div className="text-left">
+                  <p className="font-medium text-gray-800">{option.name}</p>
+                  <p className="text-xs text-gray-600">{option.tagline}</p>
+                </div>
+                {algorithm === key && (
+                  <span className={option.check}>✓</span>
+                )}
               </div>
-              {algorithm === 'bellman-ford' && (
-                <span className="text-purple-600">✓</span>
-              )}
-            </div>
-          </button>
+            </button>
+          ))}
 
-          {hasNegativeWeights && algorithm === 'dijkstra' && (
+          {hasNegativeWeights && algorithm !== 'bellman-ford' && (
             <div className="bg-red-50 border border-red-300 rounded-lg p-3">
               <p className="text-sm text-red-800">
-                ⚠️ <strong>Warning:</strong> Your graph contains negative weights. Dijkstra's algorithm may produce incorrect results. Consider using Bellman-Ford.
+                ⚠️ <strong>Warning:</strong> Your graph contains negative weights. {info.name} may produce incorrect results. Consider using Bellman-Ford.
+              </p>
+            </div>
+          )}
+
+          {!hasCoordinates && algorithm === 'astar' && (
+            <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3">
+              <p className="text-sm text-yellow-800">
+                ℹ️ Not every node has coordinates, so A* has no heuristic and explores the same nodes as Dijkstra.
               </p>
             </div>
           )}
@@ -164,6 +231,9 @@ export default function AlgorithmSelector({
             <tr>
               <th className="px-3 py-2 text-left font-medium text-gray-700">Feature</th>
               <th className="px-3 py-2 text-center font-medium text-gray-700">Dijkstra</th>
+              <th className="px-3 py-2 text-center font-medium text-gray-700">A*</th>
+              <th className="px-3 py-2 text-center font-medium text-gray-700">Bidirectional</th>
+              <th className="px-3 py-2 text-center font-medium text-gray-700">CH</th>
               <th className="px-3 py-2 text-center font-medium text-gray-700">Bellman-Ford</th>
             </tr>
           </thead>
@@ -171,20 +241,38 @@ export default function AlgorithmSelector({
             <tr>
               <td className="px-3 py-2 text-gray-600">Negative weights</td>
               <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
               <td className="px-3 py-2 text-center">✅</td>
             </tr>
             <tr className="bg-gray-50">
               <td className="px-3 py-2 text-gray-600">Speed</td>
               <td className="px-3 py-2 text-center">⚡ Fast</td>
+              <td className="px-3 py-2 text-center">🚀 Fastest</td>
+              <td className="px-3 py-2 text-center">⚡ Faster</td>
+              <td className="px-3 py-2 text-center">⚡⚡ Instant*</td>
               <td className="px-3 py-2 text-center">🐢 Slower</td>
             </tr>
             <tr>
               <td className="px-3 py-2 text-gray-600">Cycle detection</td>
               <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">✅</td>
+            </tr>
+            <tr className="bg-gray-50">
+              <td className="px-3 py-2 text-gray-600">Needs coordinates</td>
+              <td className="px-3 py-2 text-center">❌</td>
               <td className="px-3 py-2 text-center">✅</td>
+              <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
+              <td className="px-3 py-2 text-center">❌</td>
             </tr>
           </tbody>
         </table>
+        <p className="text-xs text-gray-500 mt-2">* After preprocessing</p>
       </div>
     </div>
   );
@@ -1,5 +1,8 @@
 'use client';
 
+import { buildAdjacencyMatrix, exportGraphText } from '../utils/textFormats';
+import { downloadTextFile } from '../utils/download';
+
 /**
  * ControlPanel Component
  * Provides UI controls for graph manipulation and configuration
@@ -7,16 +10,19 @@
  * @param {Array} nodes - Array of all nodes
  * @param {Array} edges - Array of all edges
  * @param {Function} onAddNode - Handler for adding a node
- * @param {Function} onAddEdge - Handler for adding an edge
+ * @param {Function} onAddEdge - Handler for adding an edge (enters drag-to-connect mode)
  * @param {Function} onDeleteNode - Handler for deleting selected node
  * @param {Function} onDeleteEdge - Handler for deleting selected edge
- * @param {Function} onSetAmbulance - Handler for setting ambulance node
- * @param {Function} onSetHospital - Handler for setting hospital node
+ * @param {Function} onSetAmbulance - Handler for setting the active ambulance unit
+ * @param {Function} onToggleAmbulance - Handler for marking/unmarking a node as an ambulance unit
+ * @param {Function} onSetHospital - Handler for picking the destination hospital ('' = nearest)
+ * @param {Function} onToggleHospital - Handler for marking/unmarking a node as a hospital
  * @param {String} selectedNodeId - Currently selected node ID
  * @param {String} selectedEdgeId - Currently selected edge ID
- * @param {String} ambulanceId - Current ambulance node ID
- * @param {String} hospitalId - Current hospital node ID
- * @param {String} algorithm - Current algorithm ('dijkstra' or 'bellman-ford')
+ * @param {String} ambulanceId - Active ambulance node ID
+ * @param {String} hospitalId - Dispatcher-picked hospital node ID (null = nearest)
+ * @param {String} nearestHospitalId - Nearest reachable hospital node ID
+ * @param {String} algorithm - Current algorithm ('dijkstra', 'astar', 'bidirectional', 'contraction' or 'bellman-ford')
  * @param {Boolean} hasNegativeWeights - Whether graph has negative weights
  */
 export default function ControlPanel({
@@ -27,40 +33,21 @@ export default function ControlPanel({
   onDeleteNode,
   onDeleteEdge,
   onSetAmbulance,
+  onToggleAmbulance,
   onSetHospital,
+  onToggleHospital,
   selectedNodeId,
   selectedEdgeId,
   ambulanceId,
   hospitalId,
+  nearestHospitalId,
   algorithm,
   hasNegativeWeights
 }) {
-  // Build adjacency matrix
-  const buildAdjacencyMatrix = () => {
-    if (nodes.length === 0) return null;
-    
-    const matrix = {};
-    
-    // Initialize matrix with 0s
-    nodes.forEach(node1 => {
-      matrix[node1.id] = {};
-      nodes.forEach(node2 => {
-        matrix[node1.id][node2.id] = node1.id === node2.id ? 0 : '∞';
-      });
-    });
-    
-    // Fill in edge weights
-    edges.forEach(edge => {
-      if (!edge.blocked) {
-        matrix[edge.from][edge.to] = edge.weight;
-        matrix[edge.to][edge.from] = edge.weight; // Undirected graph
-      }
-    });
-    
-    return matrix;
-  };
-
-  const adjacencyMatrix = buildAdjacencyMatrix();
+  const adjacencyMatrix = nodes.length > 0 ? buildAdjacencyMatrix(nodes, edges) : null;
+  const ambulances = nodes.filter(n => n.type === 'ambulance');
+  const hospitals = nodes.filter(n => n.type === 'hospital');
+  const selectedNode = nodes.find(n => n.id === selectedNodeId);
 
   return (
     <div className="bg-white rounded-lg shadow-lg p-6 space-y-6">
@@ -73,7 +60,7 @@ export default function ControlPanel({
         <h3 className="text-lg font-semibold text-gray-700">Graph Editing</h3>
         
         <button
-          onClick={onAddNode}
+          onClick={() => onAddNode()}
           className="w-full bg-blue-500 hover:bg-blue-600 text-white font-medium py-2 px-4 rounded-lg transition-colors"
         >
           ➕ Add Node
@@ -117,15 +104,28 @@ export default function ControlPanel({
             onChange={(e) => onSetAmbulance(e.target.value)}
             className="w-full text-black border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
-            <option value="">Select ambulance node...</option>
-            {nodes.map(node => (
+            <option value="">Select active ambulance...</option>
+            {ambulances.map(node => (
               <option key={node.id} value={node.id}>
                 {node.label}
               </option>
             ))}
           </select>
+          <p className="text-xs text-gray-500 mt-1">
+            {ambulances.length === 0
+              ? 'No ambulances yet. Select a node and mark it as an ambulance.'
+              : `${ambulances.length} unit${ambulances.length === 1 ? '' : 's'} in the fleet`}
+          </p>
         </div>
 
+        <button
+          onClick={() => onToggleAmbulance(selectedNodeId)}
+          className="w-full bg-blue-500 hover:bg-blue-600 text-white font-medium py-2 px-4 rounded-lg transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+          disabled={!selectedNode || selectedNode.type === 'hospital'}
+        >
+          {selectedNode?.type === 'ambulance' ? '➖ Unmark Ambulance' : '🚑 Mark as Ambulance'}
+        </button>
+
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             🏥 Hospital (Destination)
@@ -135,15 +135,30 @@ export default function ControlPanel({
             onChange={(e) => onSetHospital(e.target.value)}
             className="w-full text-black border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
           >
-            <option value="">Select hospital node...</option>
-            {nodes.map(node => (
+            <option value="">
+              Nearest hospital{nearestHospitalId ? ` (${nodes.find(n => n.id === nearestHospitalId)?.label})` : ''}
+            </option>
+            {hospitals.map(node => (
               <option key={node.id} value={node.id}>
                 {node.label}
               </option>
             ))}
           </select>
+          <p className="text-xs text-gray-500 mt-1">
+            {hospitals.length === 0
+              ? 'No hospitals yet. Select a node and mark it as a hospital.'
+              : `${hospitals.length} hospital${hospitals.length === 1 ? '' : 's'} marked`}
+          </p>
         </div>
 
+        <button
+          onClick={() => onToggleHospital(selectedNodeId)}
+          className="w-full bg-green-500 hover:bg-green-600 text-white font-medium py-2 px-4 rounded-lg transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+          disabled={!selectedNode || selectedNode.type === 'ambulance'}
+        >
+          {selectedNode?.type === 'hospital' ? '➖ Unmark Hospital' : '🏥 Mark as Hospital'}
+        </button>
+
         {selectedNodeId && (
           <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
             <p className="text-sm text-blue-800">
@@ -166,22 +181,36 @@ export default function ControlPanel({
         <h3 className="text-lg font-semibold text-gray-700">Algorithm Status</h3>
         
         <div className={`p-4 rounded-lg ${
-          algorithm === 'dijkstra' ? 'bg-blue-50 border border-blue-200' : 'bg-purple-50 border border-purple-200'
+          algorithm === 'dijkstra' ? 'bg-blue-50 border border-blue-200'
+            : algorithm === 'astar' ? 'bg-emerald-50 border border-emerald-200'
+            : algorithm === 'bidirectional' ? 'bg-cyan-50 border border-cyan-200'
+            : algorithm === 'contraction' ? 'bg-rose-50 border border-rose-200'
+            : 'bg-purple-50 border border-purple-200'
         }`}>
           <p className="font-medium mb-2">
-            {algorithm === 'dijkstra' ? '🔵 Dijkstra\'s Algorithm' : '🟣 Bellman-Ford Algorithm'}
+            {algorithm === 'dijkstra' ? '🔵 Dijkstra\'s Algorithm'
+              : algorithm === 'astar' ? '🟢 A* Search'
+              : algorithm === 'bidirectional' ? '🔷 Bidirectional Dijkstra'
+              : algorithm === 'contraction' ? '🔺 Contraction Hierarchies'
+              : '🟣 Bellman-Ford Algorithm'}
           </p>
           <p className="text-sm text-gray-600">
             {algorithm === 'dijkstra' 
               ? 'Optimal for non-negative weights. Fast and efficient.'
+              : algorithm === 'astar'
+              ? 'Optimal for non-negative weights. Uses node coordinates to explore fewer nodes.'
+              : algorithm === 'bidirectional'
+              ? 'Optimal for non-negative weights. Searches from both ends to explore fewer nodes.'
+              : algorithm === 'contraction'
+              ? 'Optimal for non-negative weights. Preprocesses the map once for near-instant queries.'
               : 'Handles negative weights. Can detect negative cycles.'}
           </p>
         </div>
 
-        {hasNegativeWeights && algorithm === 'dijkstra' && (
+        {hasNegativeWeights && algorithm !== 'bellman-ford' && (
           <div className="p-4 bg-yellow-50 border border-yellow-300 rounded-lg">
             <p className="text-sm text-yellow-800">
-              ⚠️ <strong>Warning:</strong> Graph contains negative weights. Dijkstra's algorithm may not produce correct results. Automatically switching to Bellman-Ford.
+              ⚠️ <strong>Warning:</strong> Graph contains negative weights. {algorithm === 'astar' ? 'A*' : algorithm === 'bidirectional' ? 'Bidirectional Dijkstra' : algorithm === 'contraction' ? 'Contraction hierarchies' : 'Dijkstra\'s algorithm'} may not produce correct results. Automatically switching to Bellman-Ford.
             </p>
           </div>
         )}
@@ -192,8 +221,8 @@ export default function ControlPanel({
         <h4 className="font-semibold text-gray-800 mb-2">💡 Quick Guide:</h4>
         <ul className="space-y-1 list-disc list-inside">
           <li>Add nodes and edges to build your network</li>
-          <li>Click edges to edit weight or block roads</li>
-          <li>Set ambulance and hospital locations</li>
+          <li>Click edges to edit weight, block roads or make them one-way</li>
+          <li>Set the ambulance and mark one or more hospitals</li>
           <li>View the shortest path automatically</li>
           <li>Negative weights = tolls (use Bellman-Ford)</li>
         </ul>
@@ -202,7 +231,15 @@ export default function ControlPanel({
       {/* Adjacency Matrix */}
       {adjacencyMatrix && nodes.length > 0 && (
         <div className="space-y-3 text-black">
-          <h3 className="text-lg font-semibold text-gray-700">📊 Adjacency Matrix</h3>
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-700">📊 Adjacency Matrix</h3>
+            <button
+              onClick={() => downloadTextFile('adjacency-matrix.csv', exportGraphText('matrix', nodes, edges), 'text/csv')}
+              className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded transition-colors"
+            >
+              ⬇️ CSV
+            </button>
+          </div>
           
           <div className="bg-white p-4 rounded-lg border border-gray-200 overflow-x-auto">
             <div className="inline-block min-w-full">
@@ -230,8 +267,9 @@ export default function ControlPanel({
                         {rowNode.label}
                       </td>
                       {nodes.map(colNode => {
-                        const value = adjacencyMatrix[rowNode.id][colNode.id];
-                        const isInfinity = value === '∞';
+                        const weight = adjacencyMatrix[rowNode.id][colNode.id];
+                        const isInfinity = weight === Infinity;
+                        const value = isInfinity ? '∞' : weight;
                         const isSelf = rowNode.id === colNode.id;
                         
                         return (
@@ -245,7 +283,7 @@ export default function ControlPanel({
                             title={
                               isSelf ? 'Same node' :
                               isInfinity ? 'No direct edge' :
-                              `Weight: ${value}`
+                              `${rowNode.label} → ${colNode.label}, weight: ${value}`
                             }
                           >
                             {value}
@@ -264,6 +302,7 @@ export default function ControlPanel({
                 <li><span className="font-semibold text-green-700">Numbers</span> = Edge weights (distance/time)</li>
                 <li><span className="text-gray-400">∞</span> = No direct connection</li>
                 <li><span className="bg-gray-200 px-1">Diagonal</span> = Same node (always 0)</li>
+                <li>Rows = from, columns = to (one-way roads fill a single cell)</li>
               </ul>
             </div>
           </div>
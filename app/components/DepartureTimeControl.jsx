@@ -0,0 +1,94 @@
+'use client';
+
+import { formatClock } from '../utils/timeDependentDijkstra';
+
+/**
+ * DepartureTimeControl Component
+ * Chooses the departure time used for time-dependent (rush hour) routing
+ *
+ * @param {Boolean} enabled - Whether time-dependent routing is active
+ * @param {Function} onEnabledChange - Handler for the time-dependent toggle
+ * @param {Number} departureTime - Departure time in minutes since midnight
+ * @param {Function} onDepartureTimeChange - Handler for departure time changes
+ * @param {Boolean} hasTimeProfiles - Whether any edge has a time-of-day profile
+ */
+export default function DepartureTimeControl({
+  enabled,
+  onEnabledChange,
+  departureTime,
+  onDepartureTimeChange,
+  hasTimeProfiles
+}) {
+  const handleTimeInput = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    if (Number.isFinite(hours) && Number.isFinite(minutes)) {
+      onDepartureTimeChange(hours * 60 + minutes);
+    }
+  };
+
+  const handleNow = () => {
+    const now = new Date();
+    onDepartureTimeChange(now.getHours() * 60 + now.getMinutes());
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
+        Departure Time
+      </h2>
+
+      {/* Time-dependent Toggle */}
+      <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+        <div>
+          <p className="font-medium text-gray-700">Time-dependent routing</p>
+          <p className="text-xs text-gray-500">
+            Evaluate each road at the time the ambulance reaches it
+          </p>
+        </div>
+        <button
+          onClick={() => onEnabledChange?.(!enabled)}
+          className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+            enabled ? 'bg-amber-500' : 'bg-gray-300'
+          }`}
+        >
+          <span
+            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              enabled ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+
+      {enabled && (
+        <>
+          <div className="flex items-center gap-3">
+            <input
+              type="time"
+              value={formatClock(departureTime)}
+              onChange={(e) => handleTimeInput(e.target.value)}
+              className="flex-1 text-black border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+            />
+            <button
+              onClick={handleNow}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm py-2 px-3 rounded transition-colors"
+            >
+              🕒 Now
+            </button>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Weights are read as travel times in minutes. Alternative routes are not computed in this mode.
+          </p>
+
+          {!hasTimeProfiles && (
+            <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3">
+              <p className="text-sm text-yellow-800">
+                ℹ️ No road has a rush-hour profile yet. Click an edge to add one; until then every road uses its static weight.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+'use client';
+
+/**
+ * DispatchPanel Component
+ * Fleet dispatch: pick an incident location and compare every ambulance's
+ * route to it, with the fastest unit recommended
+ *
+ * @param {Array} nodes - Array of all nodes
+ * @param {Boolean} enabled - Whether dispatch mode is active
+ * @param {Function} onEnabledChange - Handler for dispatch mode toggle
+ * @param {String} incidentId - Incident node ID
+ * @param {Function} onSetIncident - Handler for choosing the incident node
+ * @param {Array} candidates - Ambulance routes to the incident, fastest first ({ id, found, totalCost, path, steps, color })
+ * @param {String} ambulanceId - Currently active ambulance node ID
+ * @param {Function} onSetAmbulance - Handler to make a unit the active ambulance
+ */
+export default function DispatchPanel({
+  nodes,
+  enabled,
+  onEnabledChange,
+  incidentId,
+  onSetIncident,
+  candidates = [],
+  ambulanceId,
+  onSetAmbulance
+}) {
+  // Get node label by ID
+  const getNodeLabel = (nodeId) => {
+    const node = nodes.find(n => n.id === nodeId);
+    return node ? node.label : nodeId;
+  };
+
+  const ambulanceCount = nodes.filter(n => n.type === 'ambulance').length;
+  const recommended = candidates.find(c => c.found);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <div className="flex items-center justify-between border-b pb-2">
+        <h2 className="text-2xl font-bold text-gray-800">
+          🚨 Fleet Dispatch
+        </h2>
+        <button
+          onClick={() => onEnabledChange?.(!enabled)}
+          className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+            enabled ? 'bg-red-500' : 'bg-gray-300'
+          }`}
+        >
+          <span
+            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              enabled ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+
+      {!enabled ? (
+        <p className="text-sm text-gray-500">
+          Turn on dispatch mode to pick an incident location and find the fastest of your {ambulanceCount} ambulance{ambulanceCount === 1 ? '' : 's'}.
+        </p>
+      ) : (
+        <>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              📍 Incident Location
+            </label>
+            <select
+              value={incidentId || ''}
+              onChange={(e) => onSetIncident(e.target.value || null)}
+              className="w-full text-black border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            >
+              <option value="">Select incident node...</option>
+              {nodes.map(node => (
+                <option key={node.id} value={node.id}>
+                  {node.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {ambulanceCount === 0 && (
+            <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-300 rounded-lg p-3">
+              No ambulances marked. Select a node and mark it as an ambulance.
+            </p>
+          )}
+
+          {incidentId && candidates.length > 0 && (
+            <>
+              {recommended ? (
+                <div className="bg-gradient-to-r from-green-50 to-blue-50 border-2 border-green-300 rounded-lg p-4">
+                  <p className="text-sm text-gray-600">Recommended unit</p>
+                  <p className="text-xl font-bold text-green-700">
+                    🚑 {getNodeLabel(recommended.id)} — {recommended.totalCost.toFixed(2)}
+                  </p>
+                </div>
+              ) : (
+                <div className="bg-yellow-50 border-l-4 border-yellow-500 p-4 rounded">
+                  <p className="text-sm text-yellow-800">
+                    No ambulance can reach {getNodeLabel(incidentId)}. Check for blocked roads or one-way streets.
+                  </p>
+                </div>
+              )}
+
+              {/* Summary Table */}
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-700">#</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-700">Unit</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-700">Cost</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-700">+ vs best</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-700">Segments</th>
+                      <th className="px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 text-black">
+                    {candidates.map((candidate, index) => (
+                      <tr key={candidate.id} className={candidate === recommended ? 'bg-green-50' : ''}>
+                        <td className="px-3 py-2">{index + 1}</td>
+                        <td className="px-3 py-2">
+                          <span className="flex items-center gap-2">
+                            {candidate.found && (
+                              <span
+                                className="inline-block w-3 h-3 rounded"
+                                style={{ backgroundColor: candidate.color }}
+                              />
+                            )}
+                            {getNodeLabel(candidate.id)}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 text-right font-medium">
+                          {candidate.found ? candidate.totalCost.toFixed(2) : 'unreachable'}
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-600">
+                          {candidate.found && recommended
+                            ? `+${(candidate.totalCost - recommended.totalCost).toFixed(2)}`
+                            : '-'}
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-600">
+                          {candidate.found ? candidate.steps.length : '-'}
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          {candidate.id === ambulanceId ? (
+                            <span className="text-xs text-blue-700 font-medium">Active</span>
+                          ) : (
+                            <button
+                              onClick={() => onSetAmbulance?.(candidate.id)}
+                              className="text-xs bg-blue-100 hover:bg-blue-200 text-blue-700 px-2 py-1 rounded transition-colors"
+                            >
+                              Make active
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+'use client';
+
+import { useState, useMemo } from 'react';
+import { allPairsShortestPaths, ALL_PAIRS_METHODS, FLOYD_WARSHALL_MAX_NODES } from '../utils/allPairs';
+
+const METHOD_OPTIONS = [
+  { value: 'auto', label: `Auto (Floyd–Warshall up to ${FLOYD_WARSHALL_MAX_NODES} nodes)` },
+  ...Object.entries(ALL_PAIRS_METHODS).map(([value, { label }]) => ({ value, label }))
+];
+
+/**
+ * Heatmap cell colour: green for the cheapest pair, red for the most expensive
+ * @param {number} cost - Travel cost
+ * @param {number} min - Lowest finite off-diagonal cost
+ * @param {number} max - Highest finite off-diagonal cost
+ * @returns {string} - CSS colour
+ */
+function heatColor(cost, min, max) {
+  const t = max > min ? (cost - min) / (max - min) : 0;
+  return `hsl(${Math.round(120 * (1 - t))}, 70%, 80%)`;
+}
+
+/**
+ * DistanceMatrixPanel Component
+ * All-pairs shortest travel costs as a heatmap; clicking a cell routes the
+ * row node (as ambulance) to the column node (as hospital)
+ *
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Edges as the algorithms see them (objective applied)
+ * @param {String} ambulanceId - Active ambulance node ID
+ * @param {String} destinationId - Current route destination
+ * @param {Function} onSelectPair - Handler called with (fromId, toId) when a cell is clicked
+ */
+export default function DistanceMatrixPanel({ nodes, edges, ambulanceId, destinationId, onSelectPair }) {
+  const [enabled, setEnabled] = useState(false);
+  const [method, setMethod] = useState('auto');
+
+  const result = useMemo(
+    () => (enabled && nodes.length > 0 ? allPairsShortestPaths(nodes, edges, { method }) : null),
+    [enabled, nodes, edges, method]
+  );
+
+  // Colour scale over the reachable off-diagonal pairs
+  const range = useMemo(() => {
+    if (!result?.matrix) return null;
+    let min = Infinity;
+    let max = -Infinity;
+    nodes.forEach(row => nodes.forEach(col => {
+      const cost = result.matrix[row.id][col.id];
+      if (row.id !== col.id && cost !== Infinity) {
+        min = Math.min(min, cost);
+        max = Math.max(max, cost);
+      }
+    }));
+    return min === Infinity ? null : { min, max };
+  }, [result, nodes]);
+
+  const getNodeLabel = (nodeId) => nodes.find(n => n.id === nodeId)?.label ?? nodeId;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <div className="flex items-center justify-between border-b pb-2">
+        <h2 className="text-2xl font-bold text-gray-800">
+          🗺️ Distance Matrix
+        </h2>
+        <button
+          onClick={() => setEnabled(!enabled)}
+          className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+            enabled ? 'bg-green-500' : 'bg-gray-300'
+          }`}
+          title="Compute shortest travel costs between every pair of nodes"
+        >
+          <span
+            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              enabled ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+
+      {!enabled ? (
+        <p className="text-sm text-gray-500">
+          Turn on to see the shortest travel cost between every pair of nodes, not just direct roads.
+        </p>
+      ) : nodes.length === 0 ? (
+        <p className="text-sm text-gray-500">Add nodes to build the matrix.</p>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2 text-sm">
+            <label htmlFor="all-pairs-method" className="text-gray-600">Method:</label>
+            <select
+              id="all-pairs-method"
+              value={method}
+              onChange={(e) => setMethod(e.target.value)}
+              className="text-black text-sm border border-gray-300 rounded px-2 py-1"
+            >
+              {METHOD_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {result.error ? (
+            <div className="bg-red-50 border border-red-300 rounded-lg p-3">
+              <p className="text-sm text-red-800">❌ {result.error}</p>
+            </div>
+          ) : result.hasNegativeCycle ? (
+            <div className="bg-red-50 border border-red-300 rounded-lg p-3 space-y-1">
+              <p className="text-sm font-semibold text-red-800">
+                ⚠️ Negative cycle: travel costs are unbounded, so there is no distance matrix.
+              </p>
+              {result.negativeCycles.map((cycle, index) => (
+                <p key={index} className="text-xs text-red-700">
+                  🔁 {[...cycle.nodes, cycle.nodes[0]].map(getNodeLabel).join(' → ')} ({cycle.totalCost.toFixed(2)} per lap)
+                </p>
+              ))}
+            </div>
+          ) : (
+            <>
+              <p className="text-xs text-gray-500">
+                Computed with {ALL_PAIRS_METHODS[result.method].label}. Rows = from, columns = to.
+                Click a cell to route that pair.
+              </p>
+
+              <div className="max-h-[500px] overflow-auto border rounded-lg">
+                <table className="border-collapse text-xs">
+                  <thead>
+                    <tr>
+                      <th className="sticky top-0 left-0 z-20 border border-gray-300 bg-gray-100 px-2 py-1">
+                        {/* Empty corner cell */}
+                      </th>
+                      {nodes.map(node => (
+                        <th
+                          key={node.id}
+                          className="sticky top-0 z-10 border border-gray-300 bg-gray-100 px-2 py-1 font-semibold text-gray-700 min-w-[40px]"
+                          title={node.label}
+                        >
+                          {node.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {nodes.map(rowNode => (
+                      <tr key={rowNode.id}>
+                        <th className="sticky left-0 z-10 border border-gray-300 bg-gray-100 px-2 py-1 font-semibold text-gray-700 text-left">
+                          {rowNode.label}
+                        </th>
+                        {nodes.map(colNode => {
+                          const cost = result.matrix[rowNode.id][colNode.id];
+                          const isSelf = rowNode.id === colNode.id;
+                          const isUnreachable = cost === Infinity;
+                          const isActive = rowNode.id === ambulanceId && colNode.id === destinationId;
+
+                          return (
+                            <td
+                              key={colNode.id}
+                              onClick={isSelf ? undefined : () => onSelectPair(rowNode.id, colNode.id)}
+                              className={`border border-gray-300 px-2 py-1 text-center font-mono ${
+                                isSelf ? 'bg-gray-200 text-gray-500' :
+                                isUnreachable ? 'bg-gray-50 text-gray-400 cursor-pointer hover:bg-gray-100' :
+                                'text-gray-800 cursor-pointer hover:opacity-75'
+                              } ${isActive ? 'outline outline-2 outline-blue-600 font-bold' : ''}`}
+                              style={isSelf || isUnreachable ? undefined : { backgroundColor: heatColor(cost, range.min, range.max) }}
+                              title={
+                                isSelf ? 'Same node' :
+                                isUnreachable ? `${rowNode.label} cannot reach ${colNode.label}` :
+                                `${rowNode.label} → ${colNode.label}: ${cost.toFixed(2)}`
+                              }
+                            >
+                              {isUnreachable ? '∞' : Number.isInteger(cost) ? cost : cost.toFixed(1)}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {range && (
+                <div className="flex items-center gap-2 text-xs text-gray-600">
+                  <span>{range.min.toFixed(2)}</span>
+                  <div
+                    className="flex-1 h-2 rounded"
+                    style={{ background: `linear-gradient(to right, ${heatColor(0, 0, 1)}, ${heatColor(0.5, 0, 1)}, ${heatColor(1, 0, 1)})` }}
+                  ></div>
+                  <span>{range.max.toFixed(2)}</span>
+                  <span className="ml-2 text-gray-400">∞ = unreachable</span>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
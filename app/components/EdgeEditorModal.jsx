@@ -1,10 +1,16 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import { TIME_SLOTS } from '../utils/timeDependentDijkstra';
+import { METRICS, getEdgeMetric } from '../utils/edgeMetrics';
+
+// Hours treated as rush hour by the profile preset
+const RUSH_HOURS = [7, 8, 9, 16, 17, 18];
 
 /**
  * EdgeEditorModal Component
- * Modal dialog for editing edge properties (weight, blocked status, toll)
+ * Modal dialog for editing edge properties (distance, travel time, toll, custom weight,
+ * blocked status, one-way direction, hourly rush-hour profile)
  * 
  * @param {Boolean} isOpen - Whether modal is visible
  * @param {Object} edge - The edge being edited
@@ -13,22 +19,47 @@ import { useState, useEffect } from 'react';
  */
 export default function EdgeEditorModal({ isOpen, edge, onClose, onSave }) {
   const [weight, setWeight] = useState(1);
+  const [metrics, setMetrics] = useState({ distance: '', time: '', toll: '' });
   const [blocked, setBlocked] = useState(false);
+  const [directed, setDirected] = useState(false);
+  const [reversed, setReversed] = useState(false);
+  const [profileEnabled, setProfileEnabled] = useState(false);
+  const [profile, setProfile] = useState([]);
 
   useEffect(() => {
     if (edge) {
       setWeight(edge.weight);
+      setMetrics(readMetrics(edge));
       setBlocked(edge.blocked);
+      setDirected(!!edge.directed);
+      setReversed(false);
+      setProfileEnabled(Array.isArray(edge.timeProfile));
+      setProfile(Array.isArray(edge.timeProfile)
+        ? edge.timeProfile.map(String)
+        : Array(TIME_SLOTS).fill(String(edge.weight)));
     }
   }, [edge]);
 
   if (!isOpen || !edge) return null;
 
+  const from = reversed ? edge.to : edge.from;
+  const to = reversed ? edge.from : edge.to;
+
   const handleSave = () => {
     const updatedEdge = {
       ...edge,
+      from,
+      to,
       weight: parseFloat(weight),
-      blocked
+      ...parseMetrics(metrics),
+      blocked,
+      directed,
+      timeProfile: profileEnabled
+        ? profile.map(value => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? parsed : parseFloat(weight);
+          })
+        : null
     };
     onSave(updatedEdge);
     onClose();
@@ -37,15 +68,35 @@ export default function EdgeEditorModal({ isOpen, edge, onClose, onSave }) {
   const handleCancel = () => {
     // Reset to original values
     setWeight(edge.weight);
+    setMetrics(readMetrics(edge));
     setBlocked(edge.blocked);
+    setDirected(!!edge.directed);
+    setReversed(false);
+    setProfileEnabled(Array.isArray(edge.timeProfile));
     onClose();
   };
 
   const isToll = weight < 0;
 
+  // Fill every hourly slot from the base weight, doubling it during rush hours
+  const applyProfilePreset = (rushMultiplier) => {
+    const base = parseFloat(weight) || 0;
+    setProfile(Array.from({ length: TIME_SLOTS }, (_, hour) =>
+      String(RUSH_HOURS.includes(hour) ? base * rushMultiplier : base)
+    ));
+  };
+
+  const updateMetric = (metric, value) => {
+    setMetrics({ ...metrics, [metric]: value });
+  };
+
+  const updateProfileSlot = (hour, value) => {
+    setProfile(profile.map((slotValue, i) => i === hour ? value : slotValue));
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-2xl max-w-md w-full p-6 space-y-4">
+      <div className="bg-white rounded-lg shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6 space-y-4">
         <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
           Edit Edge
         </h2>
@@ -53,17 +104,42 @@ export default function EdgeEditorModal({ isOpen, edge, onClose, onSave }) {
         {/* Edge Info */}
         <div className="bg-gray-50 p-3 rounded-lg">
           <p className="text-sm text-gray-600">
-            <strong>From:</strong> {edge.from}
+            <strong>From:</strong> {from}
           </p>
           <p className="text-sm text-gray-600">
-            <strong>To:</strong> {edge.to}
+            <strong>To:</strong> {to}
+          </p>
+        </div>
+
+        {/* Road Metrics */}
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-2">
+            Road Metrics
+          </p>
+          <div className="grid grid-cols-3 gap-2">
+            {Object.entries(METRICS).map(([metric, { label, unit }]) => (
+              <label key={metric} className="text-xs text-gray-600">
+                {label} ({unit})
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={metrics[metric]}
+                  onChange={(e) => updateMetric(metric, e.target.value)}
+                  className="text-black w-full border border-gray-300 rounded-lg px-2 py-1 mt-1 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            The routing objective decides which of these is minimised. Tolls are positive costs here.
           </p>
         </div>
 
         {/* Weight Input */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Weight (Distance/Cost)
+            Custom Weight
           </label>
           <input
             type="number"
@@ -74,7 +150,7 @@ export default function EdgeEditorModal({ isOpen, edge, onClose, onSave }) {
             placeholder="Enter weight..."
           />
           <p className="text-xs text-gray-500 mt-1">
-            Use positive values for distance/cost. Use negative values for tolls (requires Bellman-Ford).
+            Used by the Custom weight objective. Use negative values for tolls (requires Bellman-Ford).
           </p>
         </div>
 
@@ -109,6 +185,42 @@ export default function EdgeEditorModal({ isOpen, edge, onClose, onSave }) {
           </button>
         </div>
 
+        {/* One-way Toggle */}
+        <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+          <div>
+            <p className="font-medium text-gray-700">One-way road</p>
+            <p className="text-xs text-gray-500">
+              Traffic may only travel from {from} to {to}
+            </p>
+          </div>
+          <button
+            onClick={() => setDirected(!directed)}
+            className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+              directed ? 'bg-indigo-500' : 'bg-gray-300'
+            }`}
+          >
+            <span
+              className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                directed ? 'translate-x-6' : 'translate-x-1'
+              }`}
+            />
+          </button>
+        </div>
+
+        {directed && (
+          <div className="bg-indigo-50 border border-indigo-300 rounded-lg p-3 flex items-center justify-between gap-3">
+            <p className="text-sm text-indigo-800">
+              ➡️ <strong>One-way:</strong> {from} → {to}
+            </p>
+            <button
+              onClick={() => setReversed(!reversed)}
+              className="bg-indigo-100 hover:bg-indigo-200 text-indigo-700 text-sm py-1 px-3 rounded transition-colors"
+            >
+              ⇄ Reverse
+            </button>
+          </div>
+        )}
+
         {blocked && (
           <div className="bg-red-50 border border-red-300 rounded-lg p-3">
             <p className="text-sm text-red-800">
@@ -117,6 +229,66 @@ export default function EdgeEditorModal({ isOpen, edge, onClose, onSave }) {
           </div>
         )}
 
+        {/* Rush Hour Profile */}
+        <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-medium text-gray-700">Rush hour profile</p>
+              <p className="text-xs text-gray-500">
+                Travel time (minutes) per hour of the day, used by time-dependent routing
+              </p>
+            </div>
+            <button
+              onClick={() => setProfileEnabled(!profileEnabled)}
+              className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                profileEnabled ? 'bg-amber-500' : 'bg-gray-300'
+              }`}
+            >
+              <span
+                className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                  profileEnabled ? 'translate-x-6' : 'translate-x-1'
+                }`}
+              />
+            </button>
+          </div>
+
+          {profileEnabled && (
+            <>
+              <div className="grid grid-cols-6 gap-1">
+                {profile.map((value, hour) => (
+                  <label key={hour} className="text-center">
+                    <span className={`block text-[10px] ${RUSH_HOURS.includes(hour) ? 'text-amber-700 font-semibold' : 'text-gray-500'}`}>
+                      {String(hour).padStart(2, '0')}h
+                    </span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={value}
+                      onChange={(e) => updateProfileSlot(hour, e.target.value)}
+                      className="text-black w-full border border-gray-300 rounded px-1 py-0.5 text-xs text-center"
+                    />
+                  </label>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => applyProfilePreset(2)}
+                  className="flex-1 bg-amber-100 hover:bg-amber-200 text-amber-700 text-xs py-1 px-2 rounded transition-colors"
+                >
+                  Rush hour ×2
+                </button>
+                <button
+                  onClick={() => applyProfilePreset(1)}
+                  className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs py-1 px-2 rounded transition-colors"
+                >
+                  Flat (base weight)
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
         {/* Quick Presets */}
         <div>
           <p className="text-sm font-medium text-gray-700 mb-2">Quick Presets:</p>
@@ -161,3 +333,20 @@ export default function EdgeEditorModal({ isOpen, edge, onClose, onSave }) {
     </div>
   );
 }
+
+// Metric inputs start from the edge's effective values (legacy edges fall back to their weight)
+function readMetrics(edge) {
+  return Object.fromEntries(
+    Object.keys(METRICS).map(metric => [metric, String(getEdgeMetric(edge, metric))])
+  );
+}
+
+// Non-negative numbers only; anything else is stored as null and falls back to the weight
+function parseMetrics(metrics) {
+  return Object.fromEntries(
+    Object.entries(metrics).map(([metric, value]) => {
+      const parsed = parseFloat(value);
+      return [metric, Number.isFinite(parsed) && parsed >= 0 ? parsed : null];
+    })
+  );
+}
@@ -84,27 +84,45 @@ export default function GraphTheoryAnalysis({ nodes, edges }) {
             Vertex Degrees
           </h3>
           <div className="text-black grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2">
-            {Object.entries(eulerianAnalysis.degrees).map(([nodeId, degree]) => (
-              <div 
-                key={nodeId}
-                className={`p-2 rounded text-center ${
-                  degree % 2 === 0 
-                    ? 'bg-green-100 border border-green-300' 
-                    : 'bg-orange-100 border border-orange-300'
-                }`}
-              >
-                <p className="text-xs text-gray-600 font-medium">{getNodeLabel(nodeId)}</p>
-                <p className="text-lg font-bold">
-                  deg = {degree}
-                </p>
-                <p className="text-xs text-gray-600">
-                  {degree % 2 === 0 ? 'even' : 'odd'}
-                </p>
-              </div>
-            ))}
+            {Object.entries(eulerianAnalysis.degrees).map(([nodeId, degree]) => {
+              const inDegree = eulerianAnalysis.inDegrees?.[nodeId];
+              const outDegree = eulerianAnalysis.outDegrees?.[nodeId];
+              const isBalanced = eulerianAnalysis.isDirected
+                ? inDegree === outDegree
+                : degree % 2 === 0;
+
+              return (
+                <div 
+                  key={nodeId}
+                  className={`p-2 rounded text-center ${
+                    isBalanced 
+                      ? 'bg-green-100 border border-green-300' 
+                      : 'bg-orange-100 border border-orange-300'
+                  }`}
+                >
+                  <p className="text-xs text-gray-600 font-medium">{getNodeLabel(nodeId)}</p>
+                  {eulerianAnalysis.isDirected ? (
+                    <p className="text-lg font-bold">
+                      in {inDegree} / out {outDegree}
+                    </p>
+                  ) : (
+                    <p className="text-lg font-bold">
+                      deg = {degree}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-600">
+                    {eulerianAnalysis.isDirected
+                      ? (isBalanced ? 'balanced' : 'imbalanced')
+                      : (isBalanced ? 'even' : 'odd')}
+                  </p>
+                </div>
+              );
+            })}
           </div>
           <p className="text-xs text-gray-600 mt-2 italic">
-            Note: Green = even degree, Orange = odd degree
+            {eulerianAnalysis.isDirected
+              ? 'Note: Green = in-degree equals out-degree, Orange = imbalanced (one-way roads present)'
+              : 'Note: Green = even degree, Orange = odd degree'}
           </p>
         </div>
       )}
@@ -122,6 +140,13 @@ export default function GraphTheoryAnalysis({ nodes, edges }) {
         </div>
 
         <div className="p-4 space-y-4">
+          {eulerianAnalysis.isMixed && (
+            <div className="p-3 rounded-lg bg-yellow-50 border border-yellow-300 text-sm text-yellow-900">
+              ℹ️ <strong>Mixed graph:</strong> each two-way road is driven once, in whichever direction
+              works. In/out degrees above use the orientation that balances the vertices best.
+            </div>
+          )}
+
           {/* Eulerian Circuit */}
           <div className={`p-4 rounded-lg border-2 ${
             eulerianAnalysis.hasEulerianCircuit
@@ -174,7 +199,9 @@ export default function GraphTheoryAnalysis({ nodes, edges }) {
                   {' '}and end at <span className="font-bold">{getNodeLabel(eulerianAnalysis.startEndVertices.end)}</span>
                 </p>
                 <p className="text-xs text-blue-700 mt-1">
-                  (The two vertices with odd degree)
+                  {eulerianAnalysis.isDirected
+                    ? '(The vertices with an extra outgoing and an extra incoming arc)'
+                    : '(The two vertices with odd degree)'}
                 </p>
               </div>
             )}
@@ -255,6 +282,25 @@ export default function GraphTheoryAnalysis({ nodes, edges }) {
             </div>
           )}
 
+          {/* Imbalanced Vertices (directed graphs) */}
+          {eulerianAnalysis.isDirected && eulerianAnalysis.imbalancedVertices.length > 0 && (
+            <div className="bg-orange-50 border border-orange-300 p-4 rounded">
+              <h4 className="font-bold text-orange-900 mb-2">
+                Imbalanced Vertices: {eulerianAnalysis.imbalancedVertices.length}
+              </h4>
+              <div className="flex flex-wrap gap-2">
+                {eulerianAnalysis.imbalancedVertices.map(nodeId => (
+                  <span 
+                    key={nodeId}
+                    className="bg-orange-200 px-3 py-1 rounded-full text-sm font-medium text-orange-900"
+                  >
+                    {getNodeLabel(nodeId)} (in = {eulerianAnalysis.inDegrees[nodeId]}, out = {eulerianAnalysis.outDegrees[nodeId]})
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Odd Degree Vertices */}
           {eulerianAnalysis.oddDegreeCount > 0 && (
             <div className="bg-orange-50 border border-orange-300 p-4 rounded">
@@ -1,7 +1,20 @@
 'use client';
 
 import { useEffect, useRef } from 'react';
-import { Network } from 'vis-network/standalone';
+import { Network, DataSet } from 'vis-network/standalone';
+import { getEdgeMetric, getObjectiveCost, DEFAULT_BLEND } from '../utils/edgeMetrics';
+import { formatTraceDistance } from '../utils/trace';
+
+// Roads on a negative cycle found by Bellman-Ford
+const NEGATIVE_CYCLE_COLOR = '#a855f7';
+
+// Algorithm playback colors
+const TRACE_COLORS = {
+  active: '#f97316', // Node or road being processed
+  tree: '#6366f1', // Settled nodes and shortest-path tree roads
+  reached: '#facc15', // Tentative distance
+  negativeCycle: NEGATIVE_CYCLE_COLOR
+};
 
 /**
  * GraphVisualizer Component
@@ -10,73 +23,56 @@ import { Network } from 'vis-network/standalone';
  * 
  * @param {Array} nodes - Array of node objects
  * @param {Array} edges - Array of edge objects
- * @param {Array} shortestPath - Array of node IDs in the shortest path
+ * @param {Array} routeSteps - Steps of the shortest route ({ from, to, edgeId })
+ * @param {String} objective - Routing objective; edges are labelled with its cost
+ * @param {Object} blendFactors - Factors for the 'blend' objective
+ * @param {Array} alternativeRoutes - Alternative routes to highlight, each { steps: [], color: string }
+ * @param {String} incidentId - Node ID of the dispatch incident, drawn as a red triangle
  * @param {Function} onNodeSelect - Callback when a node is selected
  * @param {Function} onEdgeSelect - Callback when an edge is selected
- * @param {Function} onNodeMove - Callback when a node is moved
+ * @param {Function} onNodeMove - Callback when a node is dragged to a new position ({ x, y })
+ * @param {Function} onLayoutSettled - Callback with { [nodeId]: { x, y } } once physics has placed unpositioned nodes
+ * @param {Function} onCanvasClick - Callback with the canvas position ({ x, y }) of an empty-canvas click in 'addNode' mode
+ * @param {Function} onEdgeCreate - Callback (fromId, toId) when an edge is dragged between two nodes in 'addEdge' mode
+ * @param {Function} onDelete - Callback ({ nodeId } or { edgeId }) for a click in 'delete' mode
  * @param {String} mode - Current interaction mode ('select', 'addNode', 'addEdge', 'delete')
+ * @param {Array} negativeCycleEdges - IDs of edges on a detected negative cycle
+ * @param {Object} traceFrame - Algorithm playback state from replayTrace(), drawn instead of the route (null = off)
  */
 export default function GraphVisualizer({
   nodes,
   edges,
-  shortestPath = [],
+  routeSteps = [],
+  objective = 'weight',
+  blendFactors = DEFAULT_BLEND,
+  alternativeRoutes = [],
+  incidentId = null,
   onNodeSelect,
   onEdgeSelect,
   onNodeMove,
-  mode = 'select'
+  onLayoutSettled,
+  onCanvasClick,
+  onEdgeCreate,
+  onDelete,
+  mode = 'select',
+  negativeCycleEdges = [],
+  traceFrame = null
 }) {
   const containerRef = useRef(null);
   const networkRef = useRef(null);
+  const nodesDataRef = useRef(null);
+  const edgesDataRef = useRef(null);
 
+  // Latest props for the network's event handlers, which are only bound once
+  const latestRef = useRef({});
+  latestRef.current = { nodes, mode, onNodeSelect, onEdgeSelect, onNodeMove, onLayoutSettled, onCanvasClick, onEdgeCreate, onDelete };
+
+  // Create the network once; later changes are applied to its DataSets
   useEffect(() => {
     if (!containerRef.current) return;
 
-    // Prepare nodes with visual styling
-    const visNodes = nodes.map(node => ({
-      id: node.id,
-      label: node.label,
-      color: getNodeColor(node.type),
-      shape: getNodeShape(node.type),
-      size: node.type === 'normal' ? 20 : 25,
-      font: {
-        size: 14,
-        color: '#000000',
-        bold: node.type !== 'normal'
-      },
-      borderWidth: 2,
-      borderWidthSelected: 3
-    }));
-
-    // Prepare edges with visual styling
-    const visEdges = edges.map(edge => {
-      const isInPath = isEdgeInPath(edge, shortestPath);
-      const isToll = edge.weight < 0;
-      const isBlocked = edge.blocked;
-
-      return {
-        id: edge.id,
-        from: edge.from,
-        to: edge.to,
-        label: `${edge.weight}`,
-        color: getEdgeColor(isInPath, isBlocked, isToll),
-        width: isInPath ? 4 : 2,
-        dashes: isBlocked ? [5, 5] : false,
-        font: {
-          size: 12,
-          align: 'middle',
-          background: 'white',
-          strokeWidth: 0
-        },
-        smooth: {
-          type: 'continuous'
-        },
-        arrows: {
-          to: {
-            enabled: false
-          }
-        }
-      };
-    });
+    const nodesData = new DataSet();
+    const edgesData = new DataSet();
 
     // Vis.js options
     const options = {
@@ -91,7 +87,7 @@ export default function GraphVisualizer({
         }
       },
       physics: {
-        enabled: true,
+        enabled: false,
         stabilization: {
           iterations: 100
         },
@@ -109,25 +105,45 @@ export default function GraphVisualizer({
         zoomView: true
       },
       manipulation: {
-        enabled: false
+        // No built-in toolbar; addEdgeMode() is driven by the 'addEdge' mode instead
+        enabled: false,
+        addEdge: (data, callback) => {
+          // The parent owns the edge list, so vis never adds the edge itself
+          callback(null);
+          latestRef.current.onEdgeCreate?.(data.from, data.to);
+          network.addEdgeMode();
+        }
       }
     };
 
     // Create network
     const network = new Network(
       containerRef.current,
-      { nodes: visNodes, edges: visEdges },
+      { nodes: nodesData, edges: edgesData },
       options
     );
 
     networkRef.current = network;
+    nodesDataRef.current = nodesData;
+    edgesDataRef.current = edgesData;
 
     // Event handlers
     network.on('click', (params) => {
-      if (mode === 'addNode' && params.nodes.length === 0) {
+      const { mode, onNodeSelect, onEdgeSelect, onCanvasClick, onDelete } = latestRef.current;
+      if (mode === 'addEdge') {
+        // Edges are created by dragging; see manipulation.addEdge
+        return;
+      }
+      if (mode === 'delete') {
+        if (params.nodes.length > 0) {
+          onDelete?.({ nodeId: params.nodes[0] });
+        } else if (params.edges.length > 0) {
+          onDelete?.({ edgeId: params.edges[0] });
+        }
+      } else if (mode === 'addNode' && params.nodes.length === 0) {
         // Add node at click position
         const { x, y } = params.pointer.canvas;
-        // This would need to be handled by parent component
+        onCanvasClick?.({ x, y });
       } else if (params.nodes.length > 0) {
         onNodeSelect?.(params.nodes[0]);
       } else if (params.edges.length > 0) {
@@ -139,18 +155,154 @@ export default function GraphVisualizer({
       if (params.nodes.length > 0) {
         const nodeId = params.nodes[0];
         const position = network.getPositions([nodeId])[nodeId];
-        onNodeMove?.(nodeId, position);
+        latestRef.current.onNodeMove?.(nodeId, position);
+      }
+    });
+
+    // Once physics has placed the nodes that had no position, hand those
+    // positions to the parent so the layout is frozen from then on
+    network.on('stabilized', () => {
+      const { nodes, onLayoutSettled } = latestRef.current;
+      const unplaced = nodes.filter(node => !hasPosition(node)).map(node => node.id);
+      if (unplaced.length > 0) {
+        onLayoutSettled?.(network.getPositions(unplaced));
       }
     });
 
     // Cleanup
     return () => {
-      if (networkRef.current) {
-        networkRef.current.destroy();
-        networkRef.current = null;
-      }
+      network.destroy();
+      networkRef.current = null;
+      nodesDataRef.current = null;
+      edgesDataRef.current = null;
     };
-  }, [nodes, edges, shortestPath, mode, onNodeSelect, onEdgeSelect, onNodeMove]);
+  }, []);
+
+  // Drag-to-connect is vis-network's edit mode; every other mode uses plain clicks
+  useEffect(() => {
+    const network = networkRef.current;
+    if (!network) return;
+
+    if (mode === 'addEdge') {
+      network.addEdgeMode();
+    } else {
+      network.disableEditMode();
+    }
+  }, [mode]);
+
+  // Sync nodes into the DataSet
+  useEffect(() => {
+    const nodesData = nodesDataRef.current;
+    if (!nodesData) return;
+
+    // Prepare nodes with visual styling
+    const visNodes = nodes.map(node => {
+      const isIncident = node.id === incidentId;
+      const type = isIncident ? 'incident' : node.type;
+      const placed = hasPosition(node);
+      const label = isIncident ? `🚨 ${node.label}` : node.label;
+
+      return {
+        id: node.id,
+        label: traceFrame ? `${label}\n${formatTraceDistance(traceFrame.distances[node.id])}` : label,
+        color: traceFrame ? getTraceNodeColor(node.id, traceFrame) : getNodeColor(type),
+        shape: getNodeShape(type),
+        size: type === 'normal' ? 20 : 25,
+        font: {
+          size: 14,
+          color: '#000000',
+          bold: type !== 'normal'
+        },
+        borderWidth: 2,
+        borderWidthSelected: 3,
+        // Stored positions are authoritative; only unplaced nodes are moved by physics
+        ...(placed ? { x: node.x, y: node.y } : {}),
+        physics: !placed
+      };
+    });
+
+    syncDataSet(nodesData, visNodes);
+
+    // Physics only runs while some node still needs a position
+    networkRef.current.setOptions({ physics: { enabled: !nodes.every(hasPosition) } });
+  }, [nodes, incidentId, traceFrame]);
+
+  // Sync edges into the DataSet
+  useEffect(() => {
+    const edgesData = edgesDataRef.current;
+    if (!edgesData) return;
+
+    // Map edge IDs to the color of the first highlighted alternative that uses them
+    const alternativeColors = new Map();
+    alternativeRoutes.forEach(route => {
+      route.steps.forEach(step => {
+        if (!alternativeColors.has(step.edgeId)) {
+          alternativeColors.set(step.edgeId, route.color);
+        }
+      });
+    });
+
+    // During playback the shortest-path tree so far and the road being checked take the place of routes
+    const traceTreeEdges = new Set(traceFrame?.treeEdges.values());
+    const traceActiveEdgeId = traceFrame?.event?.edgeId;
+    const cycleEdges = new Set(negativeCycleEdges);
+
+    // Roads on the route, by ID so parallel roads between the same nodes stay apart
+    const routeEdgeIds = new Set(routeSteps.map(step => step.edgeId));
+
+    // Prepare edges with visual styling
+    const visEdges = edges.map(edge => {
+      const isInPath = routeEdgeIds.has(edge.id);
+      const isToll = getEdgeMetric(edge, 'toll') > 0;
+      const isBlocked = edge.blocked;
+      const isInCycle = cycleEdges.has(edge.id);
+      const highlightColor = edge.id === traceActiveEdgeId ? TRACE_COLORS.active
+        : traceTreeEdges.has(edge.id) ? TRACE_COLORS.tree
+        : isInCycle ? NEGATIVE_CYCLE_COLOR
+        : !isInPath && !isBlocked ? alternativeColors.get(edge.id)
+        : undefined;
+
+      return {
+        id: edge.id,
+        from: edge.from,
+        to: edge.to,
+        label: Array.isArray(edge.timeProfile) ? `${edgeLabel(edge)} ⏱` : edgeLabel(edge),
+        color: highlightColor
+          ? { color: highlightColor, highlight: highlightColor, hover: highlightColor }
+          : getEdgeColor(isInPath, isBlocked, isToll),
+        width: edge.id === traceActiveEdgeId ? 5 : isInPath || isInCycle ? 4 : highlightColor ? 3 : 2,
+        dashes: isBlocked ? [5, 5] : false,
+        font: {
+          size: 12,
+          align: 'middle',
+          background: 'white',
+          strokeWidth: 0
+        },
+        smooth: {
+          type: 'continuous'
+        },
+        arrows: {
+          to: {
+            enabled: !!edge.directed,
+            scaleFactor: 0.8
+          }
+        }
+      };
+    });
+
+    syncDataSet(edgesData, visEdges);
+  }, [edges, routeSteps, objective, blendFactors, alternativeRoutes, negativeCycleEdges, traceFrame]);
+
+  // Update changed items in place and drop the ones that no longer exist
+  function syncDataSet(dataSet, items) {
+    const keep = new Set(items.map(item => item.id));
+    dataSet.remove(dataSet.getIds().filter(id => !keep.has(id)));
+    dataSet.update(items);
+  }
+
+  function hasPosition(node) {
+    return Number.isFinite(node.x) && Number.isFinite(node.y);
+  }
 
   // Helper function to determine node color based on type
   function getNodeColor(type) {
@@ -167,6 +319,12 @@ export default function GraphVisualizer({
           border: '#059669',
           highlight: { background: '#34d399', border: '#047857' }
         };
+      case 'incident':
+        return {
+          background: '#ef4444', // Red
+          border: '#b91c1c',
+          highlight: { background: '#f87171', border: '#991b1b' }
+        };
       default:
         return {
           background: '#6b7280', // Gray
@@ -176,6 +334,17 @@ export default function GraphVisualizer({
     }
   }
 
+  // Playback colors: settled (final distance), reached (tentative distance), unvisited
+  function getTraceNodeColor(nodeId, frame) {
+    const event = frame.event;
+    const background = nodeId === event?.nodeId || nodeId === event?.to ? TRACE_COLORS.active
+      : frame.negativeCycle.has(nodeId) ? TRACE_COLORS.negativeCycle
+      : frame.settled.has(nodeId) ? TRACE_COLORS.tree
+      : frame.distances[nodeId] !== undefined ? TRACE_COLORS.reached
+      : '#d1d5db';
+    return { background, border: '#374151', highlight: { background, border: '#1f2937' } };
+  }
+
   // Helper function to determine node shape
   function getNodeShape(type) {
     switch (type) {
@@ -183,6 +352,8 @@ export default function GraphVisualizer({
         return 'star';
       case 'hospital':
         return 'diamond';
+      case 'incident':
+        return 'triangle';
       default:
         return 'dot';
     }
@@ -218,19 +389,10 @@ export default function GraphVisualizer({
     };
   }
 
-  // Check if edge is in the shortest path
-  function isEdgeInPath(edge, path) {
-    if (path.length < 2) return false;
-    
-    for (let i = 0; i < path.length - 1; i++) {
-      if (
-        (edge.from === path[i] && edge.to === path[i + 1]) ||
-        (edge.to === path[i] && edge.from === path[i + 1])
-      ) {
-        return true;
-      }
-    }
-    return false;
+  // The cost the active objective routes on, not always the raw weight
+  function edgeLabel(edge) {
+    const cost = getObjectiveCost(edge, objective, blendFactors);
+    return Number.isInteger(cost) ? `${cost}` : `${Number(cost.toFixed(2))}`;
   }
 
   return (
@@ -0,0 +1,74 @@
+'use client';
+
+/**
+ * HistoryPanel Component
+ * Undo/redo buttons and the list of recorded graph edits
+ *
+ * @param {Object} history - Edit history ({ past: [{ label, timestamp }], future: [...] })
+ * @param {Function} onUndo - Handler for undoing the last edit
+ * @param {Function} onRedo - Handler for redoing the last undone edit
+ */
+export default function HistoryPanel({ history, onUndo, onRedo }) {
+  const { past, future } = history;
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
+        History
+      </h2>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={onUndo}
+          disabled={past.length === 0}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Ctrl+Z"
+        >
+          ↶ Undo
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={future.length === 0}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Ctrl+Shift+Z"
+        >
+          ↷ Redo
+        </button>
+      </div>
+
+      {past.length === 0 && future.length === 0 ? (
+        <p className="text-sm text-gray-500">No edits yet. Changes to the graph will appear here.</p>
+      ) : (
+        <ul className="max-h-60 overflow-y-auto text-sm divide-y divide-gray-100">
+          {/* Undone edits (redo order: next one closest to the present) */}
+          {future.map((entry, index) => (
+            <li key={`future-${index}`} className="flex justify-between py-1 text-gray-400 line-through">
+              <span>{entry.label}</span>
+              <span className="text-xs">{formatTime(entry.timestamp)}</span>
+            </li>
+          ))}
+          {/* Applied edits, most recent first */}
+          {[...past].reverse().map((entry, index) => (
+            <li
+              key={`past-${past.length - index}`}
+              className={`flex justify-between py-1 ${index === 0 ? 'text-gray-900 font-medium' : 'text-gray-700'}`}
+            >
+              <span>{entry.label}</span>
+              <span className="text-xs text-gray-500">{formatTime(entry.timestamp)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Ctrl+Z to undo, Ctrl+Shift+Z to redo
+      </p>
+    </div>
+  );
+}
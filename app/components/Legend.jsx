@@ -26,12 +26,17 @@ export default function Legend() {
             <div className="w-8 h-8 bg-blue-500 border-2 border-blue-700 flex items-center justify-center" 
                  style={{ clipPath: 'polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%)' }}>
             </div>
-            <span className="text-gray-700">🚑 Ambulance (Start Point)</span>
+            <span className="text-gray-700">🚑 Ambulance (fleet unit / start point)</span>
           </div>
           
           <div className="flex items-center gap-3">
             <div className="w-8 h-8 bg-green-500 border-2 border-green-700 transform rotate-45"></div>
-            <span className="text-gray-700">🏥 Hospital (Destination)</span>
+            <span className="text-gray-700">🏥 Hospital (one or more destinations)</span>
+          </div>
+          
+          <div className="flex items-center gap-3">
+            <div className="w-8 h-8 bg-red-500" style={{ clipPath: 'polygon(50% 0%, 100% 100%, 0% 100%)' }}></div>
+            <span className="text-gray-700">🚨 Incident (dispatch mode)</span>
           </div>
         </div>
       </div>
@@ -50,15 +55,38 @@ export default function Legend() {
             <span className="text-gray-700">✅ Shortest Path</span>
           </div>
           
+          <div className="flex items-center gap-3">
+            <div className="w-16 h-1 rounded" style={{ background: 'linear-gradient(to right, #8b5cf6, #ec4899, #06b6d4)' }}></div>
+            <span className="text-gray-700">🔀 Alternative Route (toggle in Route Details)</span>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <div className="w-16 h-1 bg-sky-500 rounded"></div>
+            <span className="text-gray-700">⚖️ Trade-off Route (click a point in the chart)</span>
+          </div>
+          
           <div className="flex items-center gap-3">
             <div className="w-16 h-1 bg-orange-500 rounded"></div>
-            <span className="text-gray-700">💰 Toll Road (Negative Weight)</span>
+            <span className="text-gray-700">💰 Toll Road (Toll or Negative Weight)</span>
+          </div>
+          
+          <div className="flex items-center gap-3">
+            <div className="w-16 flex items-center">
+              <div className="flex-1 h-1 bg-gray-500 rounded"></div>
+              <div className="w-0 h-0 border-y-4 border-y-transparent border-l-8 border-l-gray-500"></div>
+            </div>
+            <span className="text-gray-700">➡️ One-way Road</span>
           </div>
           
           <div className="flex items-center gap-3">
             <div className="w-16 h-1 border-t-2 border-dashed border-red-500"></div>
             <span className="text-gray-700">🚧 Blocked Road</span>
           </div>
+
+          <div className="flex items-center gap-3">
+            <div className="w-16 h-1 bg-purple-500 rounded"></div>
+            <span className="text-gray-700">🔁 Negative Cycle (Bellman-Ford)</span>
+          </div>
         </div>
       </div>
 
@@ -68,7 +96,9 @@ export default function Legend() {
         <ul className="text-sm text-blue-700 space-y-1">
           <li>• <strong>Positive weights:</strong> Distance or travel cost</li>
           <li>• <strong>Negative weights:</strong> Tolls or benefits</li>
-          <li>• Click any edge to edit its weight or block it</li>
+          <li>• <strong>Road metrics:</strong> Distance, travel time and toll are stored separately; the routing objective picks what to minimise</li>
+          <li>• <strong>Road labels:</strong> The cost under the selected objective (e.g. minutes when routing for the fastest time)</li>
+          <li>• Click any edge to edit its weight, block it or make it one-way</li>
         </ul>
       </div>
 
@@ -78,10 +108,21 @@ export default function Legend() {
         <ul className="text-sm text-green-700 space-y-1">
           <li>• <strong>Click nodes:</strong> Select for editing</li>
           <li>• <strong>Click edges:</strong> Open editor modal</li>
-          <li>• <strong>Drag nodes:</strong> Reposition on canvas</li>
+          <li>• <strong>Drag nodes:</strong> Reposition on canvas (saved; Auto Layout resets)</li>
           <li>• <strong>Scroll:</strong> Zoom in/out</li>
         </ul>
       </div>
+
+      {/* Playback Colors */}
+      <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4">
+        <h4 className="font-semibold text-indigo-800 mb-2">🎬 Algorithm Playback</h4>
+        <ul className="text-sm text-indigo-700 space-y-1">
+          <li>• <strong className="text-orange-600">Orange:</strong> Node or road being processed</li>
+          <li>• <strong className="text-indigo-600">Indigo:</strong> Settled nodes and shortest-path tree roads</li>
+          <li>• <strong className="text-yellow-600">Yellow:</strong> Reached, distance still tentative</li>
+          <li>• <strong className="text-purple-600">Purple:</strong> Affected by a negative cycle</li>
+        </ul>
+      </div>
     </div>
   );
 }
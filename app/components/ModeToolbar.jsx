@@ -0,0 +1,54 @@
+'use client';
+
+// Canvas editing modes, in toolbar order
+const MODES = {
+  select: {
+    label: '👆 Select',
+    hint: 'Click a node to select it, click a road to edit it, drag nodes to move them',
+    active: 'bg-blue-500 text-white'
+  },
+  addNode: {
+    label: '➕ Add Node',
+    hint: 'Click empty canvas to place a node there',
+    active: 'bg-blue-500 text-white'
+  },
+  addEdge: {
+    label: '🔗 Add Edge',
+    hint: 'Drag from one node to another to connect them',
+    active: 'bg-green-500 text-white'
+  },
+  delete: {
+    label: '🗑️ Delete',
+    hint: 'Click a node or road to delete it',
+    active: 'bg-red-500 text-white'
+  }
+};
+
+/**
+ * ModeToolbar Component
+ * Switches the graph canvas between selecting, placing nodes, connecting
+ * nodes and deleting
+ *
+ * @param {String} mode - Current mode ('select', 'addNode', 'addEdge' or 'delete')
+ * @param {Function} onModeChange - Handler for mode changes
+ */
+export default function ModeToolbar({ mode, onModeChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3">
+      {Object.entries(MODES).map(([key, info]) => (
+        <button
+          key={key}
+          onClick={() => onModeChange(key)}
+          className={`text-sm font-medium py-1.5 px-3 rounded-lg transition-colors ${
+            mode === key ? info.active : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+          }`}
+        >
+          {info.label}
+        </button>
+      ))}
+      <span className="text-xs text-gray-500 ml-2">
+        {MODES[mode]?.hint}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+'use client';
+
+import { METRICS, OBJECTIVES } from '../utils/edgeMetrics';
+
+/**
+ * ObjectiveSelector Component
+ * Chooses which edge metric the routing algorithms minimise
+ * (fastest, shortest, cheapest, a weighted blend, or the custom weight)
+ *
+ * @param {String} objective - Current objective key ('weight', 'fastest', 'shortest', 'cheapest' or 'blend')
+ * @param {Function} onObjectiveChange - Handler for objective selection
+ * @param {Object} blendFactors - { time, distance, toll } factors for the blend objective
+ * @param {Function} onBlendFactorsChange - Handler for blend factor changes
+ */
+export default function ObjectiveSelector({
+  objective,
+  onObjectiveChange,
+  blendFactors,
+  onBlendFactorsChange
+}) {
+  const updateFactor = (metric, value) => {
+    const parsed = parseFloat(value);
+    onBlendFactorsChange({ ...blendFactors, [metric]: Number.isFinite(parsed) && parsed >= 0 ? parsed : 0 });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
+        Routing Objective
+      </h2>
+
+      <div className="space-y-2">
+        {Object.entries(OBJECTIVES).map(([key, info]) => (
+          <button
+            key={key}
+            onClick={() => onObjectiveChange(key)}
+            className={`w-full p-3 rounded-lg border-2 text-left transition-all ${
+              objective === key
+                ? 'bg-teal-100 border-teal-500 ring-2 ring-teal-300'
+                : 'bg-white border-gray-300 hover:border-teal-300'
+            }`}
+          >
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-800">{info.label}</p>
+                <p className="text-xs text-gray-600">{info.description}</p>
+              </div>
+              {objective === key && (
+                <span className="text-teal-600 text-xl">✓</span>
+              )}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {objective === 'blend' && (
+        <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+          <p className="text-sm font-medium text-gray-700">
+            Cost = Σ factor × metric
+          </p>
+          <div className="grid grid-cols-3 gap-2">
+            {Object.entries(METRICS).map(([metric, { label, unit }]) => (
+              <label key={metric} className="text-xs text-gray-600">
+                {label} (per {unit})
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={blendFactors[metric] ?? 0}
+                  onChange={(e) => updateFactor(metric, e.target.value)}
+                  className="text-black w-full border border-gray-300 rounded-lg px-2 py-1 mt-1 focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {objective !== 'weight' && (
+        <p className="text-xs text-gray-500">
+          Tolls count as positive costs under this objective, so negative-weight handling is not needed.
+        </p>
+      )}
+    </div>
+  );
+}
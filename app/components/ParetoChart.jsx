@@ -0,0 +1,89 @@
+'use client';
+
+import { METRICS } from '../utils/edgeMetrics';
+
+// Chart geometry (SVG user units)
+const WIDTH = 360;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 16, bottom: 36, left: 48 };
+
+/**
+ * ParetoChart Component
+ * Scatter chart of non-dominated routes between two metrics; clicking a point
+ * selects that route so it can be highlighted on the map
+ *
+ * @param {Array} routes - Pareto-optimal routes ({ costs, path }), ordered by the x metric
+ * @param {String} xMetric - Metric on the horizontal axis
+ * @param {String} yMetric - Metric on the vertical axis
+ * @param {Number} selectedIndex - Index of the selected route (null = none)
+ * @param {Function} onSelect - Handler called with the clicked route index (or null to clear)
+ * @param {String} selectedColor - Highlight color of the selected route
+ */
+export default function ParetoChart({ routes, xMetric, yMetric, selectedIndex, onSelect, selectedColor }) {
+  const xs = routes.map(route => route.costs[xMetric]);
+  const ys = routes.map(route => route.costs[yMetric]);
+  const xMax = Math.max(...xs, 1);
+  const yMax = Math.max(...ys, 1);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const toX = (value) => PADDING.left + (value / xMax) * plotWidth;
+  const toY = (value) => PADDING.top + plotHeight - (value / yMax) * plotHeight;
+
+  // Staircase through the frontier: x rises while y falls
+  const frontierLine = routes
+    .map((route, index) => {
+      const x = toX(xs[index]);
+      const y = toY(ys[index]);
+      return index === 0 ? `M ${x} ${y}` : `H ${x} V ${y}`;
+    })
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto bg-gray-50 rounded-lg border border-gray-200">
+      {/* Axes */}
+      <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} stroke="#9ca3af" />
+      <line x1={PADDING.left} y1={PADDING.top + plotHeight} x2={PADDING.left + plotWidth} y2={PADDING.top + plotHeight} stroke="#9ca3af" />
+      <text x={PADDING.left} y={HEIGHT - 20} fontSize="10" fill="#6b7280" textAnchor="middle">0</text>
+      <text x={PADDING.left + plotWidth} y={HEIGHT - 20} fontSize="10" fill="#6b7280" textAnchor="middle">{xMax.toFixed(1)}</text>
+      <text x={PADDING.left - 6} y={PADDING.top + 4} fontSize="10" fill="#6b7280" textAnchor="end">{yMax.toFixed(1)}</text>
+      <text x={PADDING.left + plotWidth / 2} y={HEIGHT - 6} fontSize="11" fill="#374151" textAnchor="middle">
+        {METRICS[xMetric].label} ({METRICS[xMetric].unit})
+      </text>
+      <text
+        x={12}
+        y={PADDING.top + plotHeight / 2}
+        fontSize="11"
+        fill="#374151"
+        textAnchor="middle"
+        transform={`rotate(-90 12 ${PADDING.top + plotHeight / 2})`}
+      >
+        {METRICS[yMetric].label} ({METRICS[yMetric].unit})
+      </text>
+
+      <path d={frontierLine} fill="none" stroke="#d1d5db" strokeDasharray="4 3" />
+
+      {/* Points */}
+      {routes.map((route, index) => {
+        const isSelected = index === selectedIndex;
+        return (
+          <circle
+            key={route.steps.map(step => step.edgeId).join('|')}
+            cx={toX(xs[index])}
+            cy={toY(ys[index])}
+            r={isSelected ? 8 : 6}
+            fill={isSelected ? selectedColor : '#0d9488'}
+            stroke="white"
+            strokeWidth="2"
+            className="cursor-pointer"
+            onClick={() => onSelect(isSelected ? null : index)}
+          >
+            <title>
+              {`${METRICS[xMetric].label}: ${xs[index].toFixed(2)}, ${METRICS[yMetric].label}: ${ys[index].toFixed(2)}`}
+            </title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,125 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { ROAD_EVENT_TYPES } from '../utils/roadEvents';
+
+const FEED_STATUS = {
+  off: { label: 'Off', className: 'bg-gray-100 text-gray-600' },
+  connecting: { label: 'Connecting…', className: 'bg-amber-100 text-amber-800' },
+  live: { label: 'Live', className: 'bg-green-100 text-green-800' },
+  error: { label: 'Disconnected', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * RoadEventsPanel Component
+ * Live feed of road closures, reopenings and weight changes, with a file
+ * drop for applying a batch of events by hand
+ *
+ * @param {Boolean} liveFeed - Whether the live feed is subscribed
+ * @param {Function} onLiveFeedChange - Handler for the live feed toggle
+ * @param {String} feedStatus - 'off', 'connecting', 'live' or 'error'
+ * @param {Array} eventLog - Recent events, newest first ({ key, type, description, matched, source, at })
+ * @param {Function} onEventFile - Handler called with (text, fileName); returns an error message or null
+ */
+export default function RoadEventsPanel({ liveFeed, onLiveFeedChange, feedStatus, eventLog, onEventFile }) {
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(onEventFile(await file.text(), file.name));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    readFile(e.dataTransfer.files?.[0]);
+  };
+
+  const status = FEED_STATUS[feedStatus] || FEED_STATUS.off;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <div className="flex items-center justify-between border-b pb-2">
+        <h2 className="text-2xl font-bold text-gray-800">
+          🚧 Road Events
+        </h2>
+        <button
+          onClick={() => onLiveFeedChange?.(!liveFeed)}
+          className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+            liveFeed ? 'bg-green-500' : 'bg-gray-300'
+          }`}
+          title="Subscribe to the live event feed"
+        >
+          <span
+            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              liveFeed ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-gray-600">Live feed:</span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+          {status.label}
+        </span>
+      </div>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current?.click()}
+        className={`border-2 border-dashed rounded-lg p-4 text-center text-sm cursor-pointer transition-colors ${
+          dragging ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500 hover:bg-gray-50'
+        }`}
+      >
+        Drop an event file here or click to choose one (.json / .ndjson)
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.ndjson,.jsonl,application/json"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          readFile(file);
+        }}
+        className="hidden"
+      />
+
+      {error && (
+        <div className="bg-red-50 border border-red-300 rounded-lg p-3">
+          <p className="text-sm text-red-800 whitespace-pre-line">❌ {error}</p>
+        </div>
+      )}
+
+      {eventLog.length > 0 && (
+        <ul className="space-y-1 max-h-48 overflow-y-auto text-sm">
+          {eventLog.map(entry => (
+            <li key={entry.key} className={`flex items-start gap-2 ${entry.matched ? 'text-gray-700' : 'text-gray-400'}`}>
+              <span>{ROAD_EVENT_TYPES[entry.type]?.icon}</span>
+              <span className="flex-1">
+                {entry.description}
+                {!entry.matched && ' — no matching road'}
+              </span>
+              <span className="text-xs text-gray-400 whitespace-nowrap">
+                {new Date(entry.at).toLocaleTimeString([], { timeStyle: 'short' })} · {entry.source}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Systems can POST events to <code>/api/road-events</code>, e.g. {'{"type":"close","from":"B","to":"D"}'}.
+        Each event can be undone like a manual edit.
+      </p>
+    </div>
+  );
+}
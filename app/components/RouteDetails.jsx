@@ -1,14 +1,68 @@
 'use client';
 
+import { formatClock } from '../utils/timeDependentDijkstra';
+import { METRICS, OBJECTIVES, totalRouteMetrics } from '../utils/edgeMetrics';
+import ParetoChart from './ParetoChart';
+
 /**
  * RouteDetails Component
  * Displays the calculated shortest path details including steps and total cost
  * 
  * @param {Object} routeResult - Result from pathfinding algorithm
  * @param {Array} nodes - Array of all nodes for label lookup
+ * @param {Array} edges - Array of all edges, used to total every metric along the route
+ * @param {String} objective - Routing objective the route was optimised for
  * @param {String} algorithm - Current algorithm being used
+ * @param {Number} kRoutes - Number of routes (best + alternatives) to compute
+ * @param {Function} onKRoutesChange - Handler for changing k
+ * @param {Array} visibleAlternatives - Indices of alternatives highlighted on the map
+ * @param {Function} onToggleAlternative - Handler to show/hide an alternative on the map
+ * @param {Array} hospitalRanking - All hospitals ranked by travel cost from the ambulance
+ * @param {String} destinationId - Hospital the current route goes to
+ * @param {String} hospitalId - Dispatcher-picked hospital (null = nearest)
+ * @param {Function} onSelectHospital - Handler to route to a specific hospital ('' = nearest)
+ * @param {Number} dijkstraVisitedCount - Nodes plain Dijkstra settles for the same route (undefined = not compared)
+ * @param {Boolean} compareWithDijkstra - Whether the Dijkstra comparison is switched on
+ * @param {Function} onCompareWithDijkstraChange - Handler to switch the comparison on/off
+ * @param {Boolean} showTradeoffs - Whether the Pareto trade-off routes are computed and shown
+ * @param {Function} onShowTradeoffsChange - Handler to show/hide the trade-off routes
+ * @param {Object} paretoResult - Non-dominated routes between two metrics ({ routes, truncated })
+ * @param {Object} paretoAxes - Metrics compared by the Pareto chart ({ x, y })
+ * @param {Function} onParetoAxesChange - Handler for changing the compared metrics
+ * @param {Number} selectedParetoIndex - Pareto route highlighted on the map (null = none)
+ * @param {Function} onSelectParetoRoute - Handler for clicking a point in the Pareto chart
+ * @param {String} paretoColor - Highlight color of the selected Pareto route
+ * @param {Object} routeChangeNotice - Route change caused by a road event ({ description, previousFound, previousCost, found, totalCost, at }) or null
+ * @param {Function} onDismissRouteChange - Handler to hide the route change notice
  */
-export default function RouteDetails({ routeResult, nodes, algorithm }) {
+export default function RouteDetails({
+  routeResult,
+  nodes,
+  edges = [],
+  objective = 'weight',
+  algorithm,
+  kRoutes = 1,
+  onKRoutesChange,
+  visibleAlternatives = [],
+  onToggleAlternative,
+  hospitalRanking = [],
+  destinationId,
+  hospitalId,
+  onSelectHospital,
+  dijkstraVisitedCount,
+  compareWithDijkstra = false,
+  onCompareWithDijkstraChange,
+  showTradeoffs = false,
+  onShowTradeoffsChange,
+  paretoResult,
+  paretoAxes,
+  onParetoAxesChange,
+  selectedParetoIndex = null,
+  onSelectParetoRoute,
+  paretoColor,
+  routeChangeNotice,
+  onDismissRouteChange
+}) {
   if (!routeResult) {
     return (
       <div className="bg-white rounded-lg shadow-lg p-6">
@@ -16,13 +70,18 @@ export default function RouteDetails({ routeResult, nodes, algorithm }) {
           Route Details
         </h2>
         <p className="text-gray-500 text-center py-8">
-          Select ambulance and hospital nodes to calculate route
+          Select an ambulance and mark at least one reachable hospital to calculate a route
         </p>
       </div>
     );
   }
 
-  const { found, path, totalCost, steps, hasNegativeCycle, error } = routeResult;
+  const { found, path, totalCost, steps, hasNegativeCycle, negativeCycles = [], error, visitedCount, forwardSettled, backwardSettled, fallbackReason, alternatives = [] } = routeResult;
+  const isTimeDependent = algorithm === 'time-dependent';
+  const optimisedMetric = OBJECTIVES[objective]?.metric;
+  const routeMetrics = found ? totalRouteMetrics(steps, edges) : null;
+  const paretoRoutes = paretoResult?.routes || [];
+  const selectedParetoRoute = selectedParetoIndex !== null ? paretoRoutes[selectedParetoIndex] : null;
 
   // Get node label by ID
   const getNodeLabel = (nodeId) => {
@@ -41,12 +100,122 @@ export default function RouteDetails({ routeResult, nodes, algorithm }) {
         <span className={`px-3 py-1 rounded-full text-sm font-medium ${
           algorithm === 'dijkstra' 
             ? 'bg-blue-100 text-blue-800' 
+            : algorithm === 'astar'
+            ? 'bg-emerald-100 text-emerald-800'
+            : algorithm === 'bidirectional'
+            ? 'bg-cyan-100 text-cyan-800'
+            : algorithm === 'contraction'
+            ? 'bg-rose-100 text-rose-800'
+            : algorithm === 'time-dependent'
+            ? 'bg-amber-100 text-amber-800'
             : 'bg-purple-100 text-purple-800'
         }`}>
-          {algorithm === 'dijkstra' ? 'Dijkstra' : 'Bellman-Ford'}
+          {algorithm === 'dijkstra' ? 'Dijkstra'
+            : algorithm === 'astar' ? 'A*'
+            : algorithm === 'bidirectional' ? 'Bidirectional Dijkstra'
+            : algorithm === 'contraction' ? 'Contraction Hierarchies'
+            : algorithm === 'time-dependent' ? 'Time-Dependent Dijkstra'
+            : 'Bellman-Ford'}
         </span>
+        {algorithm === 'astar' && routeResult.heuristic && (
+          <span className="px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+            Heuristic: {routeResult.heuristic === 'none' ? 'none (no coordinates)' : routeResult.heuristic}
+          </span>
+        )}
+        {algorithm === 'contraction' && fallbackReason && (
+          <span className="px-3 py-1 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+            {fallbackReason === 'road-changed'
+              ? 'Route uses a changed road: answered with Dijkstra until the hierarchy is rebuilt'
+              : 'Hierarchy not ready: answered with Dijkstra'}
+          </span>
+        )}
       </div>
 
+      {/* Route changed by a road event */}
+      {routeChangeNotice && (
+        <div className="bg-orange-50 border border-orange-300 rounded-lg p-3 flex items-start justify-between gap-2">
+          <div className="text-sm text-orange-900">
+            <p className="font-semibold">
+              🔀 Route changed by a road event at {new Date(routeChangeNotice.at).toLocaleTimeString([], { timeStyle: 'short' })}
+            </p>
+            <p>{routeChangeNotice.description}</p>
+            <p className="text-xs mt-1">
+              Cost {routeChangeNotice.previousFound ? routeChangeNotice.previousCost.toFixed(2) : 'unreachable'}
+              {' → '}
+              {routeChangeNotice.found ? routeChangeNotice.totalCost.toFixed(2) : 'unreachable'}
+            </p>
+          </div>
+          <button
+            onClick={onDismissRouteChange}
+            className="text-orange-700 hover:text-orange-900 text-sm"
+            title="Dismiss"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Hospital Ranking */}
+      {hospitalRanking.length > 1 && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">
+              Hospitals by Travel Cost
+            </h3>
+            {hospitalId && (
+              <button
+                onClick={() => onSelectHospital?.('')}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Use nearest
+              </button>
+            )}
+          </div>
+          <div className="space-y-2">
+            {hospitalRanking.map((hospital, index) => {
+              const isDestination = hospital.id === destinationId;
+              return (
+                <div
+                  key={hospital.id}
+                  className={`flex items-center justify-between rounded-lg p-3 border ${
+                    isDestination ? 'bg-green-50 border-green-300' : 'bg-gray-50 border-gray-200'
+                  }`}
+                >
+                  <div className="flex items-center gap-3">
+                    <span className="bg-green-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm font-bold">
+                      {index + 1}
+                    </span>
+                    <span className="font-medium text-gray-700">
+                      🏥 {getNodeLabel(hospital.id)}
+                    </span>
+                    {index === 0 && hospital.found && (
+                      <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                        NEAREST
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className={`font-bold ${hospital.found ? 'text-gray-700' : 'text-gray-400'}`}>
+                      {hospital.found ? hospital.totalCost.toFixed(2) : 'unreachable'}
+                    </span>
+                    {isDestination ? (
+                      <span className="text-xs text-green-700 font-medium">Routing here</span>
+                    ) : hospital.found && (
+                      <button
+                        onClick={() => onSelectHospital?.(hospital.id)}
+                        className="text-xs bg-blue-100 hover:bg-blue-200 text-blue-700 px-2 py-1 rounded transition-colors"
+                      >
+                        Route here
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Error Messages */}
       {hasNegativeCycle && (
         <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded">
@@ -59,6 +228,30 @@ export default function RouteDetails({ routeResult, nodes, algorithm }) {
               </p>
             </div>
           </div>
+
+          {/* The cycles themselves, highlighted on the map */}
+          {negativeCycles.length > 0 && (
+            <div className="mt-3 space-y-2">
+              {negativeCycles.map((cycle, index) => (
+                <div key={index} className="bg-white border border-red-200 rounded p-3 text-sm">
+                  <p className="font-medium text-red-800">
+                    Cycle {index + 1}: {[...cycle.nodes, cycle.nodes[0]].map(getNodeLabel).join(' → ')}
+                  </p>
+                  <p className="text-xs text-red-700 mt-1">
+                    {cycle.steps.map(step => `${getNodeLabel(step.from)}→${getNodeLabel(step.to)} (${step.cost})`).join(', ')}
+                    {' '}· each lap changes the cost by {cycle.totalCost.toFixed(2)}
+                  </p>
+                  {cycle.trivial && (
+                    <p className="text-xs text-gray-700 bg-gray-50 rounded p-2 mt-2">
+                      💡 This is not a real loop: the two-way road {getNodeLabel(cycle.steps[0].from)}–{getNodeLabel(cycle.steps[0].to)} has
+                      a negative weight, so driving back and forth over it lowers the cost forever. Make the road one-way,
+                      or keep tolls as positive costs and route by the Cheapest objective instead of negative weights.
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
@@ -82,11 +275,20 @@ export default function RouteDetails({ routeResult, nodes, algorithm }) {
           {/* Total Cost */}
           <div className="bg-gradient-to-r from-green-50 to-blue-50 border-2 border-green-300 rounded-lg p-4">
             <div className="flex items-center justify-between">
-              <span className="text-lg font-semibold text-gray-700">Total Distance/Cost:</span>
+              <span className="text-lg font-semibold text-gray-700">
+                {isTimeDependent
+                  ? 'Total Travel Time (min):'
+                  : objective === 'weight' ? 'Total Distance/Cost:' : `Total Cost (${OBJECTIVES[objective].label}):`}
+              </span>
               <span className="text-3xl font-bold text-green-600">
                 {totalCost.toFixed(2)}
               </span>
             </div>
+            {isTimeDependent && (
+              <p className="text-sm text-gray-600 mt-2">
+                🕒 Depart {formatClock(routeResult.departureTime)} → arrive {formatClock(routeResult.arrivalTime)}
+              </p>
+            )}
             {totalCost < 0 && (
               <p className="text-sm text-orange-600 mt-2">
                 💰 Net toll benefit: {Math.abs(totalCost).toFixed(2)}
@@ -94,6 +296,35 @@ export default function RouteDetails({ routeResult, nodes, algorithm }) {
             )}
           </div>
 
+          {/* Route Metrics: every metric is totalled, whichever one was optimised */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {Object.entries(METRICS).map(([metric, { label, unit }]) => (
+              <div
+                key={metric}
+                className={`rounded-lg p-3 border ${
+                  metric === optimisedMetric ? 'bg-teal-50 border-teal-400' : 'bg-gray-50 border-gray-200'
+                }`}
+              >
+                <p className="text-xs text-gray-500">{label}</p>
+                <p className="text-lg font-bold text-gray-800">
+                  {routeMetrics[metric].toFixed(2)} <span className="text-xs font-normal text-gray-500">{unit}</span>
+                </p>
+                {metric === optimisedMetric && (
+                  <p className="text-[10px] text-teal-700 font-medium">optimised</p>
+                )}
+              </div>
+            ))}
+            <div className={`rounded-lg p-3 border ${
+              objective === 'weight' ? 'bg-teal-50 border-teal-400' : 'bg-gray-50 border-gray-200'
+            }`}>
+              <p className="text-xs text-gray-500">Custom Weight</p>
+              <p className="text-lg font-bold text-gray-800">{routeMetrics.weight.toFixed(2)}</p>
+              {objective === 'weight' && (
+                <p className="text-[10px] text-teal-700 font-medium">optimised</p>
+              )}
+            </div>
+          </div>
+
           {/* Path Overview */}
           <div>
             <h3 className="text-lg font-semibold text-gray-700 mb-2">
@@ -146,6 +377,11 @@ export default function RouteDetails({ routeResult, nodes, algorithm }) {
                       </span>
                     </div>
                     <div className="flex items-center gap-2">
+                      {step.arrivalTime !== undefined && (
+                        <span className="text-xs bg-amber-100 text-amber-800 px-2 py-1 rounded">
+                          {formatClock(step.departTime)} → {formatClock(step.arrivalTime)}
+                        </span>
+                      )}
                       {step.cost < 0 && (
                         <span className="text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded">
                           TOLL
@@ -174,6 +410,199 @@ export default function RouteDetails({ routeResult, nodes, algorithm }) {
               <p className="text-2xl font-bold text-green-600">{path.length}</p>
             </div>
           </div>
+
+          {/* Search Effort */}
+          {visitedCount !== undefined && (
+            <div className="grid grid-cols-2 gap-4">
+              <div className="bg-emerald-50 rounded-lg p-3 text-center">
+                <p className="text-sm text-gray-600">Nodes Explored</p>
+                <p className="text-2xl font-bold text-emerald-600">{visitedCount}</p>
+                {forwardSettled !== undefined && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {forwardSettled} from the ambulance · {backwardSettled} from the hospital
+                  </p>
+                )}
+              </div>
+              {['astar', 'bidirectional', 'contraction'].includes(algorithm) && (
+                <div className="bg-gray-50 rounded-lg p-3 text-center">
+                  <p className="text-sm text-gray-600">Dijkstra Would Explore</p>
+                  {compareWithDijkstra && dijkstraVisitedCount !== undefined ? (
+                    <>
+                      <p className="text-2xl font-bold text-gray-700">{dijkstraVisitedCount}</p>
+                      {dijkstraVisitedCount > visitedCount && (
+                        <p className="text-xs text-emerald-700 mt-1">
+                          {Math.round((1 - visitedCount / dijkstraVisitedCount) * 100)}% fewer with {algorithm === 'bidirectional' ? 'bidirectional search' : algorithm === 'contraction' ? 'the hierarchy' : 'A*'}
+                        </p>
+                      )}
+                      <button
+                        onClick={() => onCompareWithDijkstraChange?.(false)}
+                        className="text-xs text-gray-500 underline mt-1"
+                      >
+                        Stop comparing
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => onCompareWithDijkstraChange?.(true)}
+                      className="mt-1 px-3 py-1 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 text-gray-700"
+                      title="Runs plain Dijkstra as well after every change"
+                    >
+                      Compare with Dijkstra
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Alternative Routes */}
+          {!isTimeDependent && (
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold text-gray-700">
+                  Alternative Routes
+                </h3>
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  Routes (k):
+                  <input
+                    type="number"
+                    min="1"
+                    max="10"
+                    value={kRoutes}
+                    onChange={(e) => onKRoutesChange?.(Math.min(10, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                    className="w-16 text-black border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </label>
+              </div>
+
+              {alternatives.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  {kRoutes > 1
+                    ? 'No other loopless route exists between the ambulance and hospital.'
+                    : 'Increase k to compute backup routes.'}
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {alternatives.map((route, index) => (
+                    <div
+                      key={route.steps.map(step => step.edgeId).join('|')}
+                      className="bg-gray-50 border border-gray-200 rounded-lg p-3"
+                    >
+                      <div className="flex items-center justify-between gap-3">
+                        <label className="flex items-center gap-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={visibleAlternatives.includes(index)}
+                            onChange={() => onToggleAlternative?.(index)}
+                          />
+                          <span
+                            className="inline-block w-4 h-4 rounded"
+                            style={{ backgroundColor: route.color }}
+                          />
+                          <span className="font-medium text-gray-700">
+                            Route {index + 2}
+                          </span>
+                        </label>
+                        <div className="flex items-center gap-2">
+                          <span className="font-bold text-gray-700">
+                            {route.totalCost.toFixed(2)}
+                          </span>
+                          <span className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded">
+                            +{route.costDelta.toFixed(2)}
+                          </span>
+                        </div>
+                      </div>
+                      <p className="text-sm text-gray-600 mt-1">
+                        {route.path.map(getNodeLabel).join(' → ')}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Pareto Routes: every non-dominated trade-off between two metrics */}
+          {!isTimeDependent && !showTradeoffs && (
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-gray-700">
+                Trade-off Routes
+              </h3>
+              <button
+                onClick={() => onShowTradeoffsChange?.(true)}
+                className="px-3 py-1 text-sm bg-white border border-gray-300 rounded hover:bg-gray-100 text-gray-700"
+              >
+                Show trade-offs
+              </button>
+            </div>
+          )}
+          {!isTimeDependent && showTradeoffs && paretoResult && (
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold text-gray-700">
+                  Trade-off Routes
+                </h3>
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                  <button
+                    onClick={() => onShowTradeoffsChange?.(false)}
+                    className="text-xs text-gray-500 underline"
+                  >
+                    Hide
+                  </button>
+                  {['x', 'y'].map(axis => (
+                    <select
+                      key={axis}
+                      value={paretoAxes[axis]}
+                      onChange={(e) => onParetoAxesChange?.({ ...paretoAxes, [axis]: e.target.value })}
+                      className="text-black border border-gray-300 rounded px-2 py-1"
+                    >
+                      {Object.entries(METRICS)
+                        .filter(([metric]) => metric !== paretoAxes[axis === 'x' ? 'y' : 'x'])
+                        .map(([metric, { label }]) => (
+                          <option key={metric} value={metric}>{label}</option>
+                        ))}
+                    </select>
+                  ))}
+                </div>
+              </div>
+
+              {paretoRoutes.length === 0 ? (
+                <p className="text-sm text-gray-500">No route found for this comparison.</p>
+              ) : (
+                <>
+                  <ParetoChart
+                    routes={paretoRoutes}
+                    xMetric={paretoAxes.x}
+                    yMetric={paretoAxes.y}
+                    selectedIndex={selectedParetoIndex}
+                    onSelect={onSelectParetoRoute}
+                    selectedColor={paretoColor}
+                  />
+                  <p className="text-xs text-gray-500 mt-2">
+                    {paretoRoutes.length} non-dominated route{paretoRoutes.length === 1 ? '' : 's'}: none is beaten on both metrics by another. Click a point to show it on the map.
+                  </p>
+                  {paretoResult.truncated && (
+                    <p className="text-xs text-yellow-700 mt-1">
+                      ⚠️ Search stopped at its label limit; the frontier may be incomplete.
+                    </p>
+                  )}
+                </>
+              )}
+
+              {selectedParetoRoute && (
+                <div className="mt-3 p-3 rounded-lg border-2" style={{ borderColor: paretoColor }}>
+                  <p className="text-sm text-gray-700 font-medium">
+                    {selectedParetoRoute.path.map(getNodeLabel).join(' → ')}
+                  </p>
+                  <p className="text-xs text-gray-600 mt-1">
+                    {Object.entries(METRICS)
+                      .map(([metric, { label, unit }]) => `${label}: ${selectedParetoRoute.metrics[metric].toFixed(2)} ${unit}`)
+                      .join(' · ')}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
         </>
       )}
     </div>
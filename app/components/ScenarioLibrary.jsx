@@ -0,0 +1,115 @@
+'use client';
+
+/**
+ * ScenarioLibrary Component
+ * Lists saved scenarios with their last-modified time and lets the user
+ * switch, create, save as, rename, duplicate and delete them
+ *
+ * @param {Array} scenarios - Saved scenarios, most recent first ({ id, name, updatedAt, nodeCount, edgeCount })
+ * @param {String} activeScenarioId - Scenario currently being edited
+ * @param {Function} onOpen - Handler to switch to a scenario
+ * @param {Function} onNew - Handler to start an empty scenario
+ * @param {Function} onSaveAs - Handler to save the current graph as a new scenario
+ * @param {Function} onRename - Handler to rename a scenario
+ * @param {Function} onDuplicate - Handler to copy a scenario
+ * @param {Function} onDelete - Handler to delete a scenario
+ */
+export default function ScenarioLibrary({
+  scenarios,
+  activeScenarioId,
+  onOpen,
+  onNew,
+  onSaveAs,
+  onRename,
+  onDuplicate,
+  onDelete
+}) {
+  const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString([], {
+    dateStyle: 'short',
+    timeStyle: 'short'
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
+        Scenarios
+      </h2>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={onNew}
+          className="bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium py-2 px-3 rounded-lg transition-colors"
+        >
+          ➕ New
+        </button>
+        <button
+          onClick={onSaveAs}
+          className="bg-green-500 hover:bg-green-600 text-white text-sm font-medium py-2 px-3 rounded-lg transition-colors"
+        >
+          💾 Save As…
+        </button>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-gray-500">Loading scenarios…</p>
+      ) : (
+        <ul className="space-y-2 max-h-72 overflow-y-auto">
+          {scenarios.map(scenario => {
+            const isActive = scenario.id === activeScenarioId;
+            return (
+              <li
+                key={scenario.id}
+                className={`p-3 rounded-lg border-2 ${
+                  isActive ? 'bg-blue-50 border-blue-400' : 'bg-white border-gray-200'
+                }`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <button
+                    onClick={() => onOpen(scenario.id)}
+                    disabled={isActive}
+                    className="text-left flex-1 disabled:cursor-default"
+                  >
+                    <p className="font-medium text-gray-800">
+                      {scenario.name}
+                      {isActive && <span className="ml-2 text-xs text-blue-700">(open)</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {scenario.nodeCount} nodes · {scenario.edgeCount} roads · {formatTimestamp(scenario.updatedAt)}
+                    </p>
+                  </button>
+                  <div className="flex gap-1 text-sm">
+                    <button
+                      onClick={() => onRename(scenario.id)}
+                      className="px-1.5 py-0.5 rounded hover:bg-gray-100"
+                      title="Rename"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      onClick={() => onDuplicate(scenario.id)}
+                      className="px-1.5 py-0.5 rounded hover:bg-gray-100"
+                      title="Duplicate"
+                    >
+                      📄
+                    </button>
+                    <button
+                      onClick={() => onDelete(scenario.id)}
+                      className="px-1.5 py-0.5 rounded hover:bg-red-100"
+                      title="Delete"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Changes are saved to the open scenario automatically.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { listServerGraphs } from '../utils/graphServer';
+
+/**
+ * ServerGraphsPanel Component
+ * Shared graphs stored on the server: load one as a local scenario, save the
+ * open scenario back, and settle conflicts when someone else saved first
+ *
+ * @param {Object} serverLink - Server copy of the open scenario ({ id, name, revision }) or null
+ * @param {Object} conflict - Current server record after a refused save, or null
+ * @param {Function} onLoad - Handler to open a server graph by id
+ * @param {Function} onSave - Handler to save (or first publish) the open scenario
+ * @param {Function} onResolveConflict - Handler called with 'overwrite' or 'theirs'
+ * @param {Function} onDelete - Handler to delete a server graph (id, name, revision)
+ */
+export default function ServerGraphsPanel({ serverLink, conflict, onLoad, onSave, onResolveConflict, onDelete }) {
+  const [graphs, setGraphs] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setGraphs(await listServerGraphs());
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Every action changes the list, so reload it afterwards
+  const runAndRefresh = async (action) => {
+    await action();
+    await refresh();
+  };
+
+  const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString([], {
+    dateStyle: 'short',
+    timeStyle: 'short'
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <div className="flex items-center justify-between border-b pb-2">
+        <h2 className="text-2xl font-bold text-gray-800">
+          Shared Graphs
+        </h2>
+        <button
+          onClick={refresh}
+          className="text-sm text-blue-600 hover:text-blue-800"
+          title="Reload the list from the server"
+        >
+          🔄 Refresh
+        </button>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-700">
+        {serverLink
+          ? <>Linked to <strong>{serverLink.name}</strong> (revision {serverLink.revision})</>
+          : 'The open scenario is not on the server yet.'}
+      </div>
+
+      <button
+        onClick={() => runAndRefresh(onSave)}
+        className="w-full bg-green-500 hover:bg-green-600 text-white text-sm font-medium py-2 px-3 rounded-lg transition-colors"
+      >
+        {serverLink ? '☁️ Save to Server' : '☁️ Publish to Server'}
+      </button>
+
+      {conflict && (
+        <div className="bg-red-50 border border-red-300 rounded-lg p-3 space-y-2">
+          <p className="text-sm text-red-800">
+            ⚠️ <strong>Conflict:</strong> someone else saved &ldquo;{conflict.name}&rdquo; as revision {conflict.revision} at{' '}
+            {formatTimestamp(conflict.updatedAt)} ({conflict.data.nodes.length} nodes, {conflict.data.edges.length} roads)
+            after you loaded revision {serverLink?.revision}.
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            <button
+              onClick={() => runAndRefresh(() => onResolveConflict('overwrite'))}
+              className="bg-red-500 hover:bg-red-600 text-white text-xs font-medium py-2 px-2 rounded-lg transition-colors"
+            >
+              Overwrite with Mine
+            </button>
+            <button
+              onClick={() => runAndRefresh(() => onResolveConflict('theirs'))}
+              className="bg-white hover:bg-gray-100 border border-gray-300 text-gray-700 text-xs font-medium py-2 px-2 rounded-lg transition-colors"
+            >
+              Open Their Version
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error ? (
+        <p className="text-sm text-red-700">❌ Server unavailable: {error}</p>
+      ) : graphs === null ? (
+        <p className="text-sm text-gray-500">Loading…</p>
+      ) : graphs.length === 0 ? (
+        <p className="text-sm text-gray-500">No graphs on the server yet.</p>
+      ) : (
+        <ul className="space-y-2 max-h-60 overflow-y-auto">
+          {graphs.map(graph => (
+            <li
+              key={graph.id}
+              className={`p-3 rounded-lg border-2 flex items-start justify-between gap-2 ${
+                graph.id === serverLink?.id ? 'bg-blue-50 border-blue-400' : 'bg-white border-gray-200'
+              }`}
+            >
+              <button onClick={() => onLoad(graph.id)} className="text-left flex-1" title="Open as a new scenario">
+                <p className="font-medium text-gray-800">{graph.name}</p>
+                <p className="text-xs text-gray-500">
+                  rev {graph.revision} · {graph.nodeCount} nodes · {graph.edgeCount} roads · {formatTimestamp(graph.updatedAt)}
+                </p>
+              </button>
+              <button
+                onClick={() => runAndRefresh(() => onDelete(graph.id, graph.name, graph.revision))}
+                className="px-1.5 py-0.5 rounded hover:bg-red-100 text-sm"
+                title="Delete from server"
+              >
+                🗑️
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Saving sends the revision you loaded; if another dispatcher saved in the meantime you choose whose version wins.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { TEXT_FORMATS, exportGraphText, exportWarnings } from '../utils/textFormats';
+import { downloadTextFile } from '../utils/download';
+
+/**
+ * TextFormatPanel Component
+ * Paste, upload, export and download graphs as DIMACS, edge lists or CSV
+ * adjacency matrices
+ *
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Array of all edges
+ * @param {Function} onImport - Handler called with (format, text, sourceName); returns an error message or null
+ */
+export default function TextFormatPanel({ nodes, edges, onImport }) {
+  const [format, setFormat] = useState('dimacs');
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const runImport = (content, sourceName) => {
+    setError(onImport(format, content, sourceName));
+    setWarnings([]);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const content = await file.text();
+    setText(content);
+    runImport(content, file.name);
+  };
+
+  const handleExport = () => {
+    setText(exportGraphText(format, nodes, edges));
+    setError(null);
+    setWarnings(exportWarnings(format, nodes, edges));
+  };
+
+  const handleDownload = () => {
+    downloadTextFile(`graph.${TEXT_FORMATS[format].extension}`, exportGraphText(format, nodes, edges));
+    setWarnings(exportWarnings(format, nodes, edges));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
+        Text Formats
+      </h2>
+
+      <select
+        value={format}
+        onChange={(e) => {
+          setFormat(e.target.value);
+          setError(null);
+          setWarnings([]);
+        }}
+        className="w-full text-black border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        {Object.entries(TEXT_FORMATS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={8}
+        spellCheck={false}
+        placeholder={format === 'dimacs' ? 'p sp 3 2\na 1 2 4\na 2 3 1'
+          : format === 'edgeList' ? 'A B 4\nB C 1'
+          : ',A,B\nA,0,4\nB,4,0'}
+        className="w-full text-black font-mono text-xs border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+
+      {error && (
+        <div className="bg-red-50 border border-red-300 rounded-lg p-3">
+          <p className="text-sm text-red-800 whitespace-pre-line">❌ {error}</p>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3">
+          {warnings.map(warning => (
+            <p key={warning} className="text-sm text-yellow-800">⚠️ {warning}</p>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => runImport(text, 'pasted text')}
+          disabled={text.trim() === ''}
+          className="bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium py-2 px-3 rounded-lg transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          📥 Load Text
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="bg-blue-100 hover:bg-blue-200 text-blue-700 text-sm font-medium py-2 px-3 rounded-lg transition-colors"
+        >
+          📂 Upload File
+        </button>
+        <button
+          onClick={handleExport}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium py-2 px-3 rounded-lg transition-colors"
+        >
+          📝 Show Current Graph
+        </button>
+        <button
+          onClick={handleDownload}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium py-2 px-3 rounded-lg transition-colors"
+        >
+          ⬇️ Download
+        </button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".gr,.txt,.csv,.tsv,.el"
+        onChange={handleUpload}
+        className="hidden"
+      />
+
+      <p className="text-xs text-gray-500">
+        Loading replaces the current graph (undo brings it back). Blocked roads are left out of exports.
+      </p>
+    </div>
+  );
+}
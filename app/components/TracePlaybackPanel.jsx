@@ -0,0 +1,206 @@
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { dijkstra } from '../utils/dijkstra';
+import { bellmanFord } from '../utils/bellmanFord';
+import { replayTrace, describeTraceEvent, formatTraceDistance } from '../utils/trace';
+
+// Playback speeds in events per second
+const SPEEDS = [1, 2, 5, 10, 25];
+
+const TRACED_ALGORITHMS = {
+  dijkstra: { label: 'Dijkstra', run: dijkstra },
+  'bellman-ford': { label: 'Bellman-Ford', run: bellmanFord }
+};
+
+/**
+ * TracePlaybackPanel Component
+ * Records a trace of Dijkstra or Bellman-Ford for the current route and plays
+ * it back step by step on the map, with a live distance table
+ *
+ * @param {Array} nodes - Array of all nodes
+ * @param {Array} edges - Edges as the algorithms see them (objective applied)
+ * @param {String} startId - Route start (active ambulance)
+ * @param {String} endId - Route destination
+ * @param {String} algorithm - Algorithm selected in the planner; Bellman-Ford is traced as itself, everything else as Dijkstra
+ * @param {Function} onFrameChange - Called with the replayed state to draw on the map, or null when playback is closed
+ */
+export default function TracePlaybackPanel({ nodes, edges, startId, endId, algorithm, onFrameChange }) {
+  const [tracedAlgorithm, setTracedAlgorithm] = useState(algorithm === 'bellman-ford' ? 'bellman-ford' : 'dijkstra');
+  const [trace, setTrace] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(5);
+
+  // A recorded trace only describes the graph it was recorded on; moving a
+  // node leaves the node ID set, and so the trace, unchanged
+  const nodeIdKey = useMemo(() => nodes.map(n => n.id).join('\n'), [nodes]);
+  useEffect(() => {
+    setTrace(null);
+    setPlaying(false);
+  }, [nodeIdKey, edges, startId, endId]);
+
+  const frame = useMemo(() => (trace ? replayTrace(trace, position) : null), [trace, position]);
+
+  useEffect(() => {
+    onFrameChange?.(frame);
+  }, [frame, onFrameChange]);
+
+  // Advance one event per tick while playing
+  useEffect(() => {
+    if (!playing || !trace) return;
+    if (position >= trace.events.length) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setPosition(p => p + 1), 1000 / speed);
+    return () => clearTimeout(timer);
+  }, [playing, position, speed, trace]);
+
+  const getNodeLabel = (nodeId) => nodes.find(n => n.id === nodeId)?.label ?? nodeId;
+
+  const handleRecord = () => {
+    const result = TRACED_ALGORITHMS[tracedAlgorithm].run(nodes, edges, startId, endId, { trace: true });
+    if (!result.trace) {
+      alert(result.error || 'Could not trace this route');
+      return;
+    }
+    setTrace(result.trace);
+    setPosition(0);
+    setPlaying(true);
+  };
+
+  const handleClose = () => {
+    setTrace(null);
+    setPlaying(false);
+  };
+
+  const total = trace?.events.length ?? 0;
+  const lastEvent = frame?.event;
+  const focusNodeId = lastEvent?.nodeId ?? lastEvent?.to;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+      <h2 className="text-2xl font-bold text-gray-800 border-b pb-2">
+        🎬 Algorithm Playback
+      </h2>
+
+      {!startId || !endId ? (
+        <p className="text-sm text-gray-500">Select an ambulance and a destination to trace the route search.</p>
+      ) : !trace ? (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(TRACED_ALGORITHMS).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setTracedAlgorithm(key)}
+                className={`py-2 px-3 rounded-lg border-2 text-sm font-medium transition-colors ${
+                  tracedAlgorithm === key
+                    ? 'bg-indigo-50 border-indigo-500 text-indigo-800'
+                    : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={handleRecord}
+            className="w-full bg-indigo-500 hover:bg-indigo-600 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+          >
+            ▶️ Trace {getNodeLabel(startId)} → {getNodeLabel(endId)}
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {/* Controls */}
+          <div className="flex items-center gap-2">
+            <button onClick={() => { setPlaying(false); setPosition(0); }} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" title="Restart">⏮</button>
+            <button onClick={() => { setPlaying(false); setPosition(p => Math.max(0, p - 1)); }} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" title="Step back">◀</button>
+            <button
+              onClick={() => {
+                if (position >= total) setPosition(0);
+                setPlaying(!playing);
+              }}
+              className="px-3 py-1 rounded bg-indigo-500 hover:bg-indigo-600 text-white"
+              title={playing ? 'Pause' : 'Play'}
+            >
+              {playing ? '⏸' : '▶'}
+            </button>
+            <button onClick={() => { setPlaying(false); setPosition(p => Math.min(total, p + 1)); }} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" title="Step forward">▶|</button>
+            <button onClick={() => { setPlaying(false); setPosition(total); }} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200" title="Jump to end">⏭</button>
+            <select
+              value={speed}
+              onChange={(e) => setSpeed(Number(e.target.value))}
+              className="ml-auto text-black text-sm border border-gray-300 rounded px-2 py-1"
+              title="Events per second"
+            >
+              {SPEEDS.map(s => <option key={s} value={s}>{s}/s</option>)}
+            </select>
+          </div>
+
+          <input
+            type="range"
+            min={0}
+            max={total}
+            value={position}
+            onChange={(e) => {
+              setPlaying(false);
+              setPosition(Number(e.target.value));
+            }}
+            className="w-full"
+          />
+
+          <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-3 text-sm text-indigo-900">
+            <p className="text-xs text-indigo-600 mb-1">
+              Step {position} / {total}
+              {frame.iteration > 0 && ` · pass ${frame.iteration}`}
+            </p>
+            {lastEvent ? describeTraceEvent(lastEvent, getNodeLabel) : 'Press play or step forward to begin.'}
+          </div>
+
+          {trace.truncated && (
+            <p className="text-xs text-amber-700">
+              ⚠️ The trace was cut short on this large graph; the final step jumps to the result.
+            </p>
+          )}
+
+          {/* Live distance table */}
+          <div className="max-h-60 overflow-y-auto border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-600">
+                  <th className="px-3 py-1">Node</th>
+                  <th className="px-3 py-1">Distance</th>
+                  <th className="px-3 py-1">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {nodes.map(node => {
+                  const status = frame.negativeCycle.has(node.id) ? 'negative cycle'
+                    : frame.settled.has(node.id) ? 'settled'
+                    : frame.distances[node.id] !== undefined ? 'reached'
+                    : 'unvisited';
+                  return (
+                    <tr key={node.id} className={`border-t ${node.id === focusNodeId ? 'bg-orange-50 font-semibold' : ''}`}>
+                      <td className="px-3 py-1 text-gray-800">{node.label}</td>
+                      <td className="px-3 py-1 font-mono text-gray-800">{formatTraceDistance(frame.distances[node.id])}</td>
+                      <td className="px-3 py-1 text-gray-500">{status}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            onClick={handleClose}
+            className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium py-2 px-3 rounded-lg transition-colors"
+          >
+            Close Playback
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import dynamic from 'next/dynamic';
 import ControlPanel from './components/ControlPanel';
@@ -9,8 +9,102 @@ import EdgeEditorModal from './components/EdgeEditorModal';
 import AlgorithmSelector from './components/AlgorithmSelector';
 import Legend from './components/Legend';
 import GraphTheoryAnalysis from './components/GraphTheoryAnalysis';
+import DispatchPanel from './components/DispatchPanel';
+import DepartureTimeControl from './components/DepartureTimeControl';
+import ObjectiveSelector from './components/ObjectiveSelector';
+import ModeToolbar from './components/ModeToolbar';
+import HistoryPanel from './components/HistoryPanel';
+import TextFormatPanel from './components/TextFormatPanel';
+import ScenarioLibrary from './components/ScenarioLibrary';
+import ServerGraphsPanel from './components/ServerGraphsPanel';
+import RoadEventsPanel from './components/RoadEventsPanel';
+import TracePlaybackPanel from './components/TracePlaybackPanel';
+import DistanceMatrixPanel from './components/DistanceMatrixPanel';
 import { dijkstra, hasNegativeWeights } from './utils/dijkstra';
 import { bellmanFord } from './utils/bellmanFord';
+import { aStar, hasCoordinates } from './utils/astar';
+import { bidirectionalDijkstra } from './utils/bidirectionalDijkstra';
+import { checkHierarchy, routeWithHierarchy, rankFacilitiesWithHierarchy, rankSourcesWithHierarchy } from './utils/contractionHierarchy';
+import { kShortestPaths } from './utils/yen';
+import { rankFacilities, rankSources } from './utils/nearestFacility';
+import { timeDependentDijkstra, hasTimeProfiles } from './utils/timeDependentDijkstra';
+import { applyObjective, DEFAULT_BLEND } from './utils/edgeMetrics';
+import { paretoRoutes } from './utils/pareto';
+import { createHistory, recordChange, undoChange, redoChange } from './utils/history';
+import { serializeGraph, parseGraphFile, validateGraph } from './utils/graphFile';
+import {
+  listScenarios,
+  getScenario,
+  createScenario,
+  updateScenario,
+  renameScenario,
+  duplicateScenario,
+  deleteScenario,
+  migrateLegacySlot,
+  readActiveScenarioId,
+  writeActiveScenarioId
+} from './utils/scenarioStore';
+import { downloadTextFile } from './utils/download';
+import { importRoadNetwork } from './utils/roadImport';
+import { importGraphText } from './utils/textFormats';
+import { encodeShareFragment, decodeShareFragment } from './utils/shareLink';
+import { validateRoadEvent, parseRoadEventFile, applyRoadEvents, describeRoadEvent } from './utils/roadEvents';
+import { loadServerGraph, publishServerGraph, saveServerGraph, deleteServerGraph } from './utils/graphServer';
+
+// Stable empty path and route list so the visualizer isn't rebuilt on every render
+const EMPTY_PATH = [];
+const EMPTY_ROUTES = [];
+
+// Highlight color of the route picked in the Pareto chart
+const PARETO_ROUTE_COLOR = '#0ea5e9';
+
+// Highlight colors for alternative routes (the best route is always green)
+const ALTERNATIVE_ROUTE_COLORS = ['#8b5cf6', '#ec4899', '#06b6d4', '#f97316', '#84cc16', '#eab308', '#14b8a6', '#6366f1', '#d946ef'];
+
+// Import errors listed in the alert before the rest are summarised
+const MAX_REPORTED_ERRORS = 10;
+
+// Scenario autosave waits for this long after the last change
+const AUTOSAVE_DELAY_MS = 400;
+
+// Live road events arriving within this window are applied together
+const ROAD_EVENT_BATCH_MS = 100;
+
+// Road events kept in the panel's log
+const ROAD_EVENT_LOG_LIMIT = 50;
+
+// Demo graph for new users and the Load Sample button
+function createSampleGraph() {
+  const sampleNodes = [
+    { id: 'A', label: 'Node A', type: 'ambulance' },
+    { id: 'B', label: 'Node B', type: 'normal' },
+    { id: 'C', label: 'Node C', type: 'normal' },
+    { id: 'D', label: 'Node D', type: 'normal' },
+    { id: 'E', label: 'Node E', type: 'normal' },
+    { id: 'F', label: 'Node F', type: 'hospital' },
+  ];
+
+  const sampleEdges = [
+    { id: uuidv4(), from: 'A', to: 'B', weight: 4, distance: 4, time: 5, toll: 0, blocked: false },
+    { id: uuidv4(), from: 'A', to: 'C', weight: 2, distance: 2, time: 3, toll: 0, blocked: false },
+    { id: uuidv4(), from: 'B', to: 'C', weight: 1, distance: 1, time: 2, toll: 0, blocked: false },
+    { id: uuidv4(), from: 'B', to: 'D', weight: 5, distance: 5, time: 4, toll: 0, blocked: false },
+    { id: uuidv4(), from: 'C', to: 'D', weight: 8, distance: 8, time: 6, toll: 0, blocked: false },
+    { id: uuidv4(), from: 'C', to: 'E', weight: 10, distance: 10, time: 5, toll: 3, blocked: false },
+    { id: uuidv4(), from: 'D', to: 'E', weight: 2, distance: 2, time: 3, toll: 0, blocked: false },
+    { id: uuidv4(), from: 'D', to: 'F', weight: 6, distance: 6, time: 9, toll: 0, blocked: false },
+    { id: uuidv4(), from: 'E', to: 'F', weight: 3, distance: 3, time: 2, toll: 0, blocked: false },
+  ];
+
+  return {
+    nodes: sampleNodes,
+    edges: sampleEdges,
+    ambulanceId: 'A',
+    hospitalId: null,
+    incidentId: null,
+    nodeCounter: 7
+  };
+}
 
 // Dynamic import for GraphVisualizer to avoid SSR issues with vis-network
 const GraphVisualizer = dynamic(() => import('./components/GraphVisualizer'), {
@@ -27,12 +121,28 @@ const GraphVisualizer = dynamic(() => import('./components/GraphVisualizer'), {
  * Ambulance Shortest Route Planner
  * 
  * Features:
- * - Interactive graph editing (add/remove nodes and edges)
- * - Set ambulance (start) and hospital (destination) nodes
- * - Block roads and add tolls (negative weights)
- * - Real-time shortest path calculation using Dijkstra or Bellman-Ford
+ * - Interactive graph editing: click to place nodes, drag to connect, delete mode
+ * - Mark any number of ambulances and hospitals; the active ambulance is the start
+ * - Fleet dispatch: find the fastest ambulance to an incident
+ * - Time-dependent (rush hour) routing from a chosen departure time
+ * - Route to the nearest reachable hospital or a dispatcher-picked one
+ * - Block roads, add tolls (negative weights) and mark one-way streets
+ * - Separate distance, travel time and toll per road with a selectable objective
+ * - Real-time shortest path calculation using Dijkstra, A*, bidirectional Dijkstra,
+ *   contraction hierarchies or Bellman-Ford
  * - Visual path highlighting and route details
- * - LocalStorage persistence
+ * - Fixed layout: dragged node positions are stored and persisted
+ * - Undo/redo history for every graph edit (Ctrl+Z / Ctrl+Shift+Z)
+ * - Import/export graphs as validated, versioned JSON files
+ * - Import road networks from GeoJSON or OpenStreetMap XML extracts
+ * - DIMACS, edge-list and CSV adjacency-matrix import/export
+ * - Named scenario library with autosave (IndexedDB)
+ * - Shareable links carrying the whole graph in the URL fragment
+ * - Shared server storage (/api/graphs) with revision conflict detection
+ * - Live road-closure feed (server-sent events) and event-file drop
+ * - Step-by-step playback of Dijkstra and Bellman-Ford with a live distance table
+ * - All-pairs distance heatmap (Floyd–Warshall / Johnson); click a cell to route it
+ * - Contraction hierarchies for instant queries on large maps, preprocessed in a worker
  */
 export default function Home() {
   // Graph state
@@ -44,7 +154,9 @@ export default function Home() {
   const [selectedEdgeId, setSelectedEdgeId] = useState(null);
   
   // Role assignments
+  // Active ambulance (route start); any number of nodes can be ambulance units
   const [ambulanceId, setAmbulanceId] = useState(null);
+  // Hospital picked by the dispatcher (null = route to the nearest hospital)
   const [hospitalId, setHospitalId] = useState(null);
   
   // Modal state
@@ -54,210 +166,591 @@ export default function Home() {
   // Algorithm state
   const [algorithm, setAlgorithm] = useState('dijkstra');
   const [autoDetectAlgorithm, setAutoDetectAlgorithm] = useState(true);
+
+  // Contraction hierarchy of the routing edges and its preprocessing state
+  // ({ state: 'idle' | 'building' | 'ready' | 'error', shortcutCount?, error? })
+  const [hierarchy, setHierarchy] = useState(null);
+  const [hierarchyStatus, setHierarchyStatus] = useState({ state: 'idle' });
+  
+  // Routing objective: which edge metric (or blend of metrics) the algorithms minimise
+  const [objective, setObjective] = useState('weight');
+  const [blendFactors, setBlendFactors] = useState(DEFAULT_BLEND);
   
   // Route calculation result
   const [routeResult, setRouteResult] = useState(null);
 
+  // Time-dependent routing: departure time in minutes since midnight
+  const [timeDependent, setTimeDependent] = useState(false);
+  const [departureTime, setDepartureTime] = useState(8 * 60);
+
+  // Fleet dispatch state
+  const [dispatchMode, setDispatchMode] = useState(false);
+  const [incidentId, setIncidentId] = useState(null);
+
+  // Alternative routes: total routes to find (k, 1 = best route only) and which alternatives are highlighted
+  const [kRoutes, setKRoutes] = useState(1);
+  const [visibleAlternatives, setVisibleAlternatives] = useState([]);
+
+  // Pareto trade-off chart: shown or not, compared metrics and the route highlighted on the map
+  const [showTradeoffs, setShowTradeoffs] = useState(false);
+  const [paretoAxes, setParetoAxes] = useState({ x: 'time', y: 'toll' });
+  const [selectedParetoIndex, setSelectedParetoIndex] = useState(null);
+
+  // Also run plain Dijkstra to show how much search the faster algorithms save
+  const [compareWithDijkstra, setCompareWithDijkstra] = useState(false);
+
+  // Undo/redo stacks of graph snapshots
+  const [history, setHistory] = useState(createHistory);
+
+  // Hidden file inputs behind the Import and Import Map buttons
+  const importInputRef = useRef(null);
+  const mapImportInputRef = useRef(null);
+
+  // Canvas editing mode ('select', 'addNode', 'addEdge' or 'delete')
+  const [editorMode, setEditorMode] = useState('select');
+
   // Node counter for labeling
   const [nodeCounter, setNodeCounter] = useState(1);
 
-  // Initialize with sample data
+  // Scenario library: saved scenarios (without data) and the one being edited
+  const [scenarios, setScenarios] = useState([]);
+  const [activeScenarioId, setActiveScenarioId] = useState(null);
+  const skipAutosaveRef = useRef(false);
+  const libraryLoadStartedRef = useRef(false);
+
+  // Shared server copy of the open scenario ({ id, name, revision }) and an unresolved save conflict
+  const [serverLink, setServerLink] = useState(null);
+  const [serverConflict, setServerConflict] = useState(null);
+
+  // Live road events: feed subscription, recent events and the last route change they caused
+  const [liveFeed, setLiveFeed] = useState(false);
+  const [feedStatus, setFeedStatus] = useState('off');
+  const [roadEventLog, setRoadEventLog] = useState([]);
+  const [routeChangeNotice, setRouteChangeNotice] = useState(null);
+  const pendingRouteCheckRef = useRef(null);
+  const roadEventHandlerRef = useRef(null);
+
+  // Algorithm playback state drawn on the map (null when playback is closed)
+  const [traceFrame, setTraceFrame] = useState(null);
+
+  // Open the last scenario from the library (migrating the old single save slot first);
+  // a shared link in the URL takes precedence. Runs once even when StrictMode
+  // mounts twice, or the migrated and sample scenarios would be created twice
   useEffect(() => {
-    const savedData = loadFromLocalStorage();
-    if (savedData) {
-      setNodes(savedData.nodes);
-      setEdges(savedData.edges);
-      setAmbulanceId(savedData.ambulanceId);
-      setHospitalId(savedData.hospitalId);
-      setNodeCounter(savedData.nodeCounter || savedData.nodes.length + 1);
-    } else {
-      initializeSampleGraph();
-    }
+    if (libraryLoadStartedRef.current) return;
+    libraryLoadStartedRef.current = true;
+
+    const loadLibrary = async () => {
+      await migrateLegacySlot();
+
+      const list = await listScenarios();
+      if (await openSharedLink(list.length > 0)) return;
+
+      const lastId = readActiveScenarioId();
+      const openId = list.some(scenario => scenario.id === lastId) ? lastId : list[0]?.id;
+      const record = openId
+        ? await getScenario(openId)
+        : await createScenario('Sample graph', createSampleGraph());
+
+      openScenario(record);
+      setScenarios(await listScenarios());
+    };
+
+    loadLibrary().catch(error => {
+      console.error('Failed to load the scenario library:', error);
+      applyScenarioData(createSampleGraph());
+    });
   }, []);
 
-  // Initialize sample graph for demo
-  const initializeSampleGraph = () => {
-    const sampleNodes = [
-      { id: 'A', label: 'Node A', type: 'ambulance' },
-      { id: 'B', label: 'Node B', type: 'normal' },
-      { id: 'C', label: 'Node C', type: 'normal' },
-      { id: 'D', label: 'Node D', type: 'normal' },
-      { id: 'E', label: 'Node E', type: 'normal' },
-      { id: 'F', label: 'Node F', type: 'hospital' },
-    ];
-
-    const sampleEdges = [
-      { id: uuidv4(), from: 'A', to: 'B', weight: 4, blocked: false },
-      { id: uuidv4(), from: 'A', to: 'C', weight: 2, blocked: false },
-      { id: uuidv4(), from: 'B', to: 'C', weight: 1, blocked: false },
-      { id: uuidv4(), from: 'B', to: 'D', weight: 5, blocked: false },
-      { id: uuidv4(), from: 'C', to: 'D', weight: 8, blocked: false },
-      { id: uuidv4(), from: 'C', to: 'E', weight: 10, blocked: false },
-      { id: uuidv4(), from: 'D', to: 'E', weight: 2, blocked: false },
-      { id: uuidv4(), from: 'D', to: 'F', weight: 6, blocked: false },
-      { id: uuidv4(), from: 'E', to: 'F', weight: 3, blocked: false },
-    ];
-
-    setNodes(sampleNodes);
-    setEdges(sampleEdges);
-    setAmbulanceId('A');
-    setHospitalId('F');
-    setNodeCounter(7);
-  };
-
-  // Save to localStorage whenever state changes
+  // Autosave into the open scenario shortly after each change
   useEffect(() => {
-    if (nodes.length > 0) {
-      saveToLocalStorage({
-        nodes,
-        edges,
-        ambulanceId,
-        hospitalId,
-        nodeCounter
-      });
+    if (!activeScenarioId) return;
+    if (skipAutosaveRef.current) {
+      // The change is the scenario being opened, not an edit
+      skipAutosaveRef.current = false;
+      return;
     }
-  }, [nodes, edges, ambulanceId, hospitalId, nodeCounter]);
+
+    const timer = setTimeout(() => {
+      updateScenario(activeScenarioId, scenarioData())
+        .then(record => record && updateScenarioListing(record))
+        .catch(error => console.error('Failed to save scenario:', error));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [nodes, edges, ambulanceId, hospitalId, incidentId, departureTime, objective, blendFactors, nodeCounter, serverLink, activeScenarioId]);
+
+  // Edges as the algorithms see them: `weight` replaced by the objective cost
+  const routingEdges = useMemo(() => {
+    return applyObjective(edges, objective, blendFactors);
+  }, [edges, objective, blendFactors]);
 
   // Check for negative weights and auto-detect algorithm
   const graphHasNegativeWeights = useMemo(() => {
-    return hasNegativeWeights(edges);
+    return hasNegativeWeights(routingEdges);
+  }, [routingEdges]);
+
+  const graphHasTimeProfiles = useMemo(() => {
+    return hasTimeProfiles(edges);
   }, [edges]);
 
+  // A* needs coordinates on every node for its straight-line heuristic
+  const graphHasCoordinates = useMemo(() => {
+    return hasCoordinates(nodes);
+  }, [nodes]);
+
   useEffect(() => {
     if (autoDetectAlgorithm) {
-      setAlgorithm(graphHasNegativeWeights ? 'bellman-ford' : 'dijkstra');
+      if (graphHasNegativeWeights) {
+        setAlgorithm('bellman-ford');
+      } else {
+        setAlgorithm(graphHasCoordinates ? 'astar' : 'dijkstra');
+      }
+    }
+  }, [graphHasNegativeWeights, graphHasCoordinates, autoDetectAlgorithm]);
+
+  // The node ID set as a string: unchanged when nodes are only moved
+  const nodeIdKey = useMemo(() => nodes.map(n => n.id).join('\n'), [nodes]);
+
+  // Preprocess a contraction hierarchy in a worker whenever the current one no
+  // longer matches the routing edges. Routes use plain Dijkstra until it is
+  // ready; after a road closure the previous hierarchy keeps answering routes
+  // that avoid the closed road while a rebuild reuses its node order. Keyed on
+  // the node IDs, so dragging a node does not restart the build.
+  useEffect(() => {
+    if (algorithm !== 'contraction') return;
+
+    const status = hierarchy ? checkHierarchy(hierarchy, routingEdges) : null;
+    if (status?.usable && status.changedEdgeIds.size === 0) {
+      // Matches again (e.g. a closure was undone): the cleanup already stopped
+      // any rebuild, so it must not stay marked as building
+      setHierarchyStatus({ state: 'ready', shortcutCount: hierarchy.shortcutCount });
+      return;
     }
-  }, [graphHasNegativeWeights, autoDetectAlgorithm]);
+
+    const worker = new Worker(new URL('./utils/contractionHierarchy.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.error) {
+        setHierarchy(null);
+        setHierarchyStatus({ state: 'error', error: data.error });
+      } else {
+        setHierarchy(data.hierarchy);
+        setHierarchyStatus({ state: 'ready', shortcutCount: data.hierarchy.shortcutCount });
+      }
+    };
+    setHierarchyStatus({ state: 'building' });
+    worker.postMessage({
+      nodes: nodeIdKey ? nodeIdKey.split('\n').map(id => ({ id })) : [],
+      edges: routingEdges,
+      order: status?.usable ? hierarchy.order : undefined
+    });
+    return () => worker.terminate();
+  }, [algorithm, nodeIdKey, routingEdges]);
+
+  // Every node marked as a hospital is a candidate destination
+  const hospitalIds = useMemo(() => {
+    return nodes.filter(n => n.type === 'hospital').map(n => n.id);
+  }, [nodes]);
+
+  // A hierarchy that still matches the roads answers every query below
+  const hierarchyUsable = useMemo(() => {
+    return algorithm === 'contraction' && !!hierarchy && checkHierarchy(hierarchy, routingEdges).usable;
+  }, [algorithm, hierarchy, routingEdges]);
+
+  // Rank all hospitals by travel cost from the ambulance in one search
+  // (or one hierarchy query per hospital)
+  const hospitalRanking = useMemo(() => {
+    if (!ambulanceId) return [];
+    return hierarchyUsable
+      ? rankFacilitiesWithHierarchy(hierarchy, nodes, routingEdges, ambulanceId, hospitalIds)
+      : rankFacilities(nodes, routingEdges, ambulanceId, hospitalIds);
+  }, [nodes, routingEdges, ambulanceId, hospitalIds, hierarchyUsable, hierarchy]);
+
+  const nearestHospitalId = hospitalRanking.find(h => h.found)?.id || null;
+
+  // Route to the dispatcher's pick if it is still a hospital, otherwise the nearest one.
+  // When a negative cycle cuts off every hospital there is no nearest one, but
+  // the route to the first is still computed so the cycle gets reported
+  const destinationId = hospitalId && hospitalIds.includes(hospitalId)
+    ? hospitalId
+    : nearestHospitalId ?? hospitalRanking.find(h => h.hasNegativeCycle)?.id ?? null;
+
+  // Every ambulance unit's route to the incident, fastest first (one reverse search)
+  const dispatchCandidates = useMemo(() => {
+    if (!dispatchMode || !incidentId) return [];
+
+    const ambulanceIds = nodes.filter(n => n.type === 'ambulance').map(n => n.id);
+    // With a usable hierarchy each unit is one sub-millisecond query
+    const ranked = hierarchyUsable
+      ? rankSourcesWithHierarchy(hierarchy, nodes, routingEdges, incidentId, ambulanceIds)
+      : rankSources(nodes, routingEdges, incidentId, ambulanceIds);
+    return ranked.map((candidate, index) => ({
+      ...candidate,
+      color: index === 0 ? '#10b981' : ALTERNATIVE_ROUTE_COLORS[(index - 1) % ALTERNATIVE_ROUTE_COLORS.length]
+    }));
+  }, [dispatchMode, incidentId, nodes, routingEdges, hierarchyUsable, hierarchy]);
 
   // Calculate shortest path whenever relevant state changes
   useEffect(() => {
-    if (ambulanceId && hospitalId) {
+    if (ambulanceId && destinationId) {
       calculateShortestPath();
     } else {
       setRouteResult(null);
     }
-  }, [nodes, edges, ambulanceId, hospitalId, algorithm]);
+  }, [nodes, edges, routingEdges, ambulanceId, destinationId, algorithm, hierarchy, kRoutes, timeDependent, departureTime]);
 
   // Calculate shortest path using selected algorithm
   const calculateShortestPath = useCallback(() => {
-    if (!ambulanceId || !hospitalId) {
+    if (!ambulanceId || !destinationId) {
       setRouteResult(null);
       return;
     }
 
-    let result;
-    if (algorithm === 'dijkstra') {
-      result = dijkstra(nodes, edges, ambulanceId, hospitalId);
-    } else {
-      result = bellmanFord(nodes, edges, ambulanceId, hospitalId);
+    // Rush hour mode: evaluate each edge at the time the ambulance reaches it.
+    // This always minimises travel time, so it reads the raw edges rather than
+    // the objective-weighted ones
+    if (timeDependent) {
+      const result = timeDependentDijkstra(nodes, edges, ambulanceId, destinationId, departureTime);
+      result.alternatives = [];
+      setRouteResult(result);
+      return;
+    }
+
+    const shortestPathFn = algorithm === 'dijkstra' ? dijkstra
+      : algorithm === 'astar' ? aStar
+      : algorithm === 'bidirectional' ? bidirectionalDijkstra
+      : algorithm === 'contraction' ? (n, e, start, end) => routeWithHierarchy(hierarchy, n, e, start, end)
+      : bellmanFord;
+
+    const result = shortestPathFn(nodes, routingEdges, ambulanceId, destinationId);
+
+    // Backup routes in case a road on the best one becomes blocked
+    result.alternatives = [];
+    if (result.found && !result.hasNegativeCycle && kRoutes > 1) {
+      result.alternatives = kShortestPaths(nodes, routingEdges, ambulanceId, destinationId, kRoutes, shortestPathFn)
+        .slice(1)
+        .map((route, index) => ({
+          ...route,
+          costDelta: route.totalCost - result.totalCost,
+          color: ALTERNATIVE_ROUTE_COLORS[index % ALTERNATIVE_ROUTE_COLORS.length]
+        }));
     }
 
     setRouteResult(result);
-  }, [nodes, edges, ambulanceId, hospitalId, algorithm]);
+  }, [nodes, edges, routingEdges, ambulanceId, destinationId, algorithm, hierarchy, kRoutes, timeDependent, departureTime]);
+
+  // How many nodes Dijkstra would have settled, for comparison with the faster
+  // searches. A second full search per route, so only on request
+  const dijkstraVisitedCount = useMemo(() => {
+    if (!compareWithDijkstra || timeDependent || !ambulanceId || !destinationId) return undefined;
+    if (!['astar', 'bidirectional', 'contraction'].includes(algorithm)) return undefined;
+    return dijkstra(nodes, routingEdges, ambulanceId, destinationId).visitedCount;
+  }, [compareWithDijkstra, nodes, routingEdges, ambulanceId, destinationId, algorithm, timeDependent]);
+
+  // Every non-dominated route between the two chart metrics (only while shown)
+  const paretoResult = useMemo(() => {
+    if (!showTradeoffs || !ambulanceId || !destinationId || timeDependent) return null;
+    return paretoRoutes(nodes, edges, ambulanceId, destinationId, paretoAxes.x, paretoAxes.y);
+  }, [showTradeoffs, nodes, edges, ambulanceId, destinationId, timeDependent, paretoAxes]);
+
+  // After a road event, flag the route if the recalculation moved it
+  useEffect(() => {
+    const pending = pendingRouteCheckRef.current;
+    if (!pending) return;
+    pendingRouteCheckRef.current = null;
+
+    const found = !!routeResult?.found;
+    const path = routeResult?.path || [];
+    if (found !== pending.previousFound || path.join('>') !== pending.previousPath.join('>')) {
+      setRouteChangeNotice({
+        description: pending.description,
+        previousFound: pending.previousFound,
+        previousCost: pending.previousCost,
+        found,
+        totalCost: routeResult?.totalCost ?? 0,
+        at: Date.now()
+      });
+    }
+  }, [routeResult]);
+
+  // A new frontier invalidates the highlighted point
+  useEffect(() => {
+    setSelectedParetoIndex(null);
+  }, [paretoResult]);
+
+  // Handler: Show/hide an alternative route on the map
+  const handleToggleAlternative = (index) => {
+    setVisibleAlternatives(visibleAlternatives.includes(index)
+      ? visibleAlternatives.filter(i => i !== index)
+      : [...visibleAlternatives, index]);
+  };
+
+  // Everything an undo step restores
+  const graphSnapshot = () => ({ nodes, edges, ambulanceId, hospitalId, incidentId, nodeCounter });
 
-  // Handler: Add new node
-  const handleAddNode = () => {
+  const restoreSnapshot = (snapshot) => {
+    setNodes(snapshot.nodes);
+    setEdges(snapshot.edges);
+    setAmbulanceId(snapshot.ambulanceId);
+    setHospitalId(snapshot.hospitalId);
+    setIncidentId(snapshot.incidentId);
+    setNodeCounter(snapshot.nodeCounter);
+    setSelectedNodeId(null);
+    setSelectedEdgeId(null);
+  };
+
+  // Call once per user operation, before its state updates, so the whole
+  // operation is undone in one step
+  const recordHistory = (label) => {
+    setHistory(recordChange(history, label, graphSnapshot()));
+  };
+
+  // Handler: Undo last graph edit
+  const handleUndo = () => {
+    const step = undoChange(history, graphSnapshot());
+    if (!step) return;
+    restoreSnapshot(step.snapshot);
+    setHistory(step.history);
+  };
+
+  // Handler: Redo last undone graph edit
+  const handleRedo = () => {
+    const step = redoChange(history, graphSnapshot());
+    if (!step) return;
+    restoreSnapshot(step.snapshot);
+    setHistory(step.history);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing in a field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest?.('input, textarea, select')) return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // A shared link pasted into an already open tab only changes the fragment
+  useEffect(() => {
+    const handleHashChange = () => {
+      openSharedLink(true).catch(error => console.error('Failed to open shared link:', error));
+    };
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  });
+
+  // Handler: Add new node (at a canvas position when placed by clicking)
+  const handleAddNode = (position = null) => {
     const newNode = {
       id: `N${nodeCounter}`,
       label: `Node ${nodeCounter}`,
-      type: 'normal'
+      type: 'normal',
+      ...(position ? { x: position.x, y: position.y } : {})
     };
+    recordHistory(`Add ${newNode.label}`);
     setNodes([...nodes, newNode]);
     setNodeCounter(nodeCounter + 1);
   };
 
-  // Handler: Add new edge (between last two nodes for simplicity)
+  // Handler: Add new edge (switches the canvas to drag-to-connect mode)
   const handleAddEdge = () => {
     if (nodes.length < 2) {
       alert('Need at least 2 nodes to create an edge!');
       return;
     }
+    setEditorMode('addEdge');
+  };
 
-    // Simple implementation: connect last two nodes if not already connected
-    const lastNode = nodes[nodes.length - 1];
-    const secondLastNode = nodes[nodes.length - 2];
-    
+  // Handler: Create an edge dragged from one node to another
+  const handleCreateEdge = (fromId, toId) => {
+    if (fromId === toId) return;
+
+    // A one-way road only occupies its own direction; the opposite lane is
+    // drawn as a one-way road of its own
     const edgeExists = edges.some(
-      e => (e.from === lastNode.id && e.to === secondLastNode.id) ||
-           (e.from === secondLastNode.id && e.to === lastNode.id)
+      e => (e.from === fromId && e.to === toId) ||
+           (!e.directed && e.from === toId && e.to === fromId)
     );
+    const oppositeOneWay = edges.some(e => e.directed && e.from === toId && e.to === fromId);
 
     if (edgeExists) {
       alert('These nodes are already connected!');
       return;
     }
 
+    const input = prompt(
+      `Weight for the ${oppositeOneWay ? 'one-way ' : ''}road ${fromId} → ${toId}:`,
+      '1'
+    );
+    if (input === null) return;
+
+    const weight = parseFloat(input);
+    if (!Number.isFinite(weight)) {
+      alert('Weight must be a number!');
+      return;
+    }
+
+    // Same reading of a signed weight as edgeMetrics' legacy fallback
     const newEdge = {
       id: uuidv4(),
-      from: secondLastNode.id,
-      to: lastNode.id,
-      weight: 1,
-      blocked: false
+      from: fromId,
+      to: toId,
+      weight,
+      distance: Math.abs(weight),
+      time: Math.abs(weight),
+      toll: weight < 0 ? -weight : 0,
+      blocked: false,
+      ...(oppositeOneWay && { directed: true })
     };
 
+    recordHistory(`Connect ${fromId} → ${toId}`);
     setEdges([...edges, newEdge]);
   };
 
+  // Remove a node, its edges and any role pointing at it (one undo step)
+  const deleteNode = (nodeId) => {
+    recordHistory(`Delete ${getNodeLabel(nodeId)} and its roads`);
+    setNodes(nodes.filter(n => n.id !== nodeId));
+    setEdges(edges.filter(e => e.from !== nodeId && e.to !== nodeId));
+
+    if (ambulanceId === nodeId) setAmbulanceId(null);
+    if (hospitalId === nodeId) setHospitalId(null);
+    if (incidentId === nodeId) setIncidentId(null);
+    if (selectedNodeId === nodeId) setSelectedNodeId(null);
+  };
+
   // Handler: Delete selected node
   const handleDeleteNode = () => {
     if (!selectedNodeId) return;
-
-    // Remove node
-    setNodes(nodes.filter(n => n.id !== selectedNodeId));
-    
-    // Remove connected edges
-    setEdges(edges.filter(e => e.from !== selectedNodeId && e.to !== selectedNodeId));
-    
-    // Clear selections if deleting selected nodes
-    if (ambulanceId === selectedNodeId) setAmbulanceId(null);
-    if (hospitalId === selectedNodeId) setHospitalId(null);
-    
-    setSelectedNodeId(null);
+    deleteNode(selectedNodeId);
   };
 
   // Handler: Delete selected edge
   const handleDeleteEdge = () => {
     if (!selectedEdgeId) return;
+    recordHistory(`Delete road ${describeEdge(selectedEdgeId)}`);
     setEdges(edges.filter(e => e.id !== selectedEdgeId));
     setSelectedEdgeId(null);
   };
 
-  // Handler: Set ambulance node
+  // Handler: Delete a node or edge clicked in delete mode
+  const handleCanvasDelete = ({ nodeId, edgeId }) => {
+    if (nodeId) {
+      deleteNode(nodeId);
+    } else if (edgeId) {
+      recordHistory(`Delete road ${describeEdge(edgeId)}`);
+      setEdges(edges.filter(e => e.id !== edgeId));
+      if (selectedEdgeId === edgeId) setSelectedEdgeId(null);
+    }
+  };
+
+  // Handler: Set active ambulance unit
   const handleSetAmbulance = (nodeId) => {
     if (!nodeId) {
+      recordHistory('Clear active ambulance');
       setAmbulanceId(null);
-      setNodes(nodes.map(n => n.id === ambulanceId ? { ...n, type: 'normal' } : n));
       return;
     }
 
-    // Update previous ambulance node to normal
-    const updatedNodes = nodes.map(n => {
-      if (n.id === ambulanceId) return { ...n, type: 'normal' };
-      if (n.id === nodeId) return { ...n, type: 'ambulance' };
-      return n;
-    });
+    recordHistory(`Make ${getNodeLabel(nodeId)} the active ambulance`);
+
+    // Choosing a plain node makes it a unit (other units stay in the fleet)
+    const node = nodes.find(n => n.id === nodeId);
+    if (node && node.type !== 'ambulance') {
+      setNodes(nodes.map(n => n.id === nodeId ? { ...n, type: 'ambulance' } : n));
+      if (hospitalId === nodeId) setHospitalId(null);
+    }
 
-    setNodes(updatedNodes);
     setAmbulanceId(nodeId);
   };
 
-  // Handler: Set hospital node
+  // Handler: Mark/unmark a node as an ambulance unit
+  const handleToggleAmbulance = (nodeId) => {
+    const node = nodes.find(n => n.id === nodeId);
+    if (!node) return;
+
+    if (node.type === 'hospital') {
+      alert('A hospital node cannot also be an ambulance!');
+      return;
+    }
+
+    const isAmbulance = node.type === 'ambulance';
+    recordHistory(`${isAmbulance ? 'Unmark' : 'Mark'} ${node.label} as ambulance`);
+    const updatedNodes = nodes.map(n => n.id === nodeId ? { ...n, type: isAmbulance ? 'normal' : 'ambulance' } : n);
+    setNodes(updatedNodes);
+
+    if (isAmbulance && ambulanceId === nodeId) {
+      // Fall back to another unit so routing keeps working
+      setAmbulanceId(updatedNodes.find(n => n.type === 'ambulance')?.id || null);
+    } else if (!isAmbulance && !ambulanceId) {
+      setAmbulanceId(nodeId);
+    }
+  };
+
+  // Handler: Pick destination hospital (empty = nearest hospital)
   const handleSetHospital = (nodeId) => {
-    if (!nodeId) {
-      setHospitalId(null);
-      setNodes(nodes.map(n => n.id === hospitalId ? { ...n, type: 'normal' } : n));
+    recordHistory(nodeId ? `Route to ${getNodeLabel(nodeId)}` : 'Route to nearest hospital');
+    setHospitalId(nodeId || null);
+  };
+
+  // Handler: Mark/unmark a node as a hospital
+  const handleToggleHospital = (nodeId) => {
+    const node = nodes.find(n => n.id === nodeId);
+    if (!node) return;
+
+    if (node.type === 'ambulance') {
+      alert('The ambulance node cannot also be a hospital!');
       return;
     }
 
-    // Update previous hospital node to normal
-    const updatedNodes = nodes.map(n => {
-      if (n.id === hospitalId) return { ...n, type: 'normal' };
-      if (n.id === nodeId) return { ...n, type: 'hospital' };
+    const isHospital = node.type === 'hospital';
+    recordHistory(`${isHospital ? 'Unmark' : 'Mark'} ${node.label} as hospital`);
+    setNodes(nodes.map(n => n.id === nodeId ? { ...n, type: isHospital ? 'normal' : 'hospital' } : n));
+    if (isHospital && hospitalId === nodeId) setHospitalId(null);
+  };
+
+  // Handler: Route a pair picked in the distance matrix (row = ambulance, column = hospital)
+  const handleSelectMatrixPair = (fromId, toId) => {
+    const toNode = nodes.find(n => n.id === toId);
+    if (!toNode) return;
+
+    if (toNode.type === 'ambulance') {
+      alert(`${toNode.label} is an ambulance and cannot also be a hospital!`);
+      return;
+    }
+
+    recordHistory(`Route ${getNodeLabel(fromId)} → ${toNode.label}`);
+    setNodes(nodes.map(n => {
+      if (n.id === fromId && n.type !== 'ambulance') return { ...n, type: 'ambulance' };
+      if (n.id === toId && n.type !== 'hospital') return { ...n, type: 'hospital' };
       return n;
-    });
+    }));
+    setAmbulanceId(fromId);
+    setHospitalId(toId);
+  };
 
-    setNodes(updatedNodes);
-    setHospitalId(nodeId);
+  // Handler: Choose the dispatch incident node
+  const handleSetIncident = (nodeId) => {
+    recordHistory(nodeId ? `Incident at ${getNodeLabel(nodeId)}` : 'Clear incident');
+    setIncidentId(nodeId);
+  };
+
+  // Label lookups for history entries
+  const getNodeLabel = (nodeId) => nodes.find(n => n.id === nodeId)?.label || nodeId;
+
+  const describeEdge = (edgeId) => {
+    const edge = edges.find(e => e.id === edgeId);
+    return edge ? `${edge.from} – ${edge.to}` : edgeId;
   };
 
   // Handler: Node selection
@@ -281,6 +774,7 @@ export default function Home() {
 
   // Handler: Save edge changes
   const handleSaveEdge = (updatedEdge) => {
+    recordHistory(`Edit road ${updatedEdge.from} – ${updatedEdge.to}`);
     setEdges(edges.map(e => e.id === updatedEdge.id ? updatedEdge : e));
     setIsEdgeModalOpen(false);
     setEdgeToEdit(null);
@@ -288,53 +782,489 @@ export default function Home() {
 
   // Handler: Node moved
   const handleNodeMove = (nodeId, position) => {
-    // Position updates are handled by vis-network internally
-    // This is mainly for tracking if needed for other features
+    recordHistory(`Move ${getNodeLabel(nodeId)}`);
+    setNodes(nodes.map(n => n.id === nodeId ? { ...n, x: position.x, y: position.y } : n));
+  };
+
+  // Handler: Store positions chosen by the physics layout (freezes the layout)
+  const handleLayoutSettled = (positions) => {
+    setNodes(nodes.map(n => positions[n.id] ? { ...n, x: positions[n.id].x, y: positions[n.id].y } : n));
+  };
+
+  // Handler: Forget stored positions and let physics lay the graph out again
+  const handleAutoLayout = () => {
+    recordHistory('Auto layout');
+    setNodes(nodes.map(({ x, y, ...node }) => node));
   };
 
   // Handler: Clear graph
   const handleClearGraph = () => {
-    if (confirm('Are you sure you want to clear the entire graph?')) {
+    if (confirm('Are you sure you want to clear the entire graph? (Undo brings it back)')) {
+      recordHistory('Clear graph');
       setNodes([]);
       setEdges([]);
       setAmbulanceId(null);
       setHospitalId(null);
+      setIncidentId(null);
       setSelectedNodeId(null);
       setSelectedEdgeId(null);
       setRouteResult(null);
       setNodeCounter(1);
-      localStorage.removeItem('ambulance-route-planner');
     }
   };
 
-  // Handler: Reset to sample
-  const handleResetToSample = () => {
-    if (confirm('Reset to sample graph?')) {
-      initializeSampleGraph();
+  // Handler: Download the graph as a versioned JSON file
+  const handleExportGraph = () => {
+    const file = serializeGraph(graphSnapshot());
+    downloadTextFile('ambulance-graph.json', JSON.stringify(file, null, 2), 'application/json');
+  };
+
+  // Handler: Load a graph file chosen in the Import dialog
+  const handleImportGraph = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const result = parseGraphFile(await file.text());
+    if (!result.valid) {
+      const listed = result.errors.slice(0, MAX_REPORTED_ERRORS).map(error => `• ${error}`).join('\n');
+      const more = result.errors.length > MAX_REPORTED_ERRORS
+        ? `\n…and ${result.errors.length - MAX_REPORTED_ERRORS} more`
+        : '';
+      alert(`Could not import ${file.name}:\n\n${listed}${more}`);
+      return;
     }
+
+    recordHistory(`Import ${file.name}`);
+    restoreSnapshot(result.graph);
   };
 
-  // LocalStorage helpers
-  function saveToLocalStorage(data) {
+  // Handler: Build a road network from a GeoJSON or OSM XML file
+  const handleImportMap = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let network;
     try {
-      localStorage.setItem('ambulance-route-planner', JSON.stringify(data));
-    } catch (e) {
-      console.error('Failed to save to localStorage:', e);
+      network = importRoadNetwork(await file.text());
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+      return;
     }
-  }
 
-  function loadFromLocalStorage() {
+    // Same checks as a graph file before anything reaches the planner
+    const result = validateGraph({ nodes: network.nodes, edges: network.edges, nodeCounter: network.nodeCounter });
+    if (!result.valid) {
+      const listed = result.errors.slice(0, MAX_REPORTED_ERRORS).map(error => `• ${error}`).join('\n');
+      const more = result.errors.length > MAX_REPORTED_ERRORS
+        ? `\n…and ${result.errors.length - MAX_REPORTED_ERRORS} more`
+        : '';
+      alert(`Could not import ${file.name}:\n\n${listed}${more}`);
+      return;
+    }
+
+    recordHistory(`Import map ${file.name}`);
+    restoreSnapshot(result.graph);
+
+    const { ways, skippedWays, mergedNodes } = network.stats;
+    alert(`Imported ${network.nodes.length} intersections and ${network.edges.length} roads from ${ways} ways ` +
+      `(${skippedWays} non-drivable ways skipped, ${mergedNodes} chain nodes merged). Mark an ambulance and a hospital to start routing.`);
+  };
+
+  // Handler: Load a DIMACS / edge-list / matrix text; returns an error message or null
+  const handleImportText = (format, text, sourceName) => {
+    let graph;
     try {
-      const data = localStorage.getItem('ambulance-route-planner');
-      return data ? JSON.parse(data) : null;
-    } catch (e) {
-      console.error('Failed to load from localStorage:', e);
-      return null;
+      graph = importGraphText(format, text);
+    } catch (error) {
+      return error.message;
+    }
+
+    recordHistory(`Import ${sourceName}`);
+    restoreSnapshot({ ...graph, ambulanceId: null, hospitalId: null, incidentId: null });
+    return null;
+  };
+
+  // Handler: Open the sample graph as a new scenario (the current one is kept)
+  const handleResetToSample = async () => {
+    await flushScenario();
+    const record = await createScenario('Sample graph', createSampleGraph());
+    openScenario(record);
+    setScenarios(await listScenarios());
+  };
+
+  // Everything a scenario stores: the graph plus routing settings
+  const scenarioData = () => ({ ...graphSnapshot(), departureTime, objective, blendFactors, serverLink });
+
+  // Load scenario data into the planner; invalid data falls back to the sample graph
+  const applyScenarioData = (data) => {
+    const result = validateGraph(data);
+    if (!result.valid) {
+      console.error('Ignoring invalid scenario data:', result.errors);
     }
-  }
+    const graph = result.valid ? result.graph : createSampleGraph();
+
+    restoreSnapshot({ incidentId: null, ...graph });
+    setDepartureTime(data?.departureTime ?? 8 * 60);
+    setObjective(data?.objective || 'weight');
+    setBlendFactors(data?.blendFactors || DEFAULT_BLEND);
+    setServerLink(data?.serverLink ?? null);
+    setServerConflict(null);
+    setRouteChangeNotice(null);
+    setRouteResult(null);
+  };
+
+  // Make a stored scenario the one being edited (undo history is per scenario)
+  const openScenario = (record) => {
+    skipAutosaveRef.current = true;
+    applyScenarioData(record.data);
+    setActiveScenarioId(record.id);
+    writeActiveScenarioId(record.id);
+    setHistory(createHistory());
+  };
+
+  // Save the open scenario now instead of waiting for the autosave
+  const flushScenario = async () => {
+    if (activeScenarioId) {
+      await updateScenario(activeScenarioId, scenarioData());
+    }
+  };
+
+  // Reflect a saved record in the library list without re-reading every scenario
+  const updateScenarioListing = (record) => {
+    setScenarios(list => list
+      .map(scenario => scenario.id === record.id
+        ? { ...scenario, updatedAt: record.updatedAt, nodeCount: record.data.nodes.length, edgeCount: record.data.edges.length }
+        : scenario)
+      .sort((a, b) => b.updatedAt - a.updatedAt));
+  };
+
+  // Handler: Switch to another saved scenario
+  const handleOpenScenario = async (id) => {
+    if (id === activeScenarioId) return;
+    await flushScenario();
+    const record = await getScenario(id);
+    if (record) openScenario(record);
+    setScenarios(await listScenarios());
+  };
+
+  // Handler: Start an empty scenario
+  const handleNewScenario = async () => {
+    const name = prompt('Name for the new scenario:', 'Untitled');
+    if (!name) return;
+
+    await flushScenario();
+    const record = await createScenario(name, { nodes: [], edges: [], nodeCounter: 1 });
+    openScenario(record);
+    setScenarios(await listScenarios());
+  };
+
+  // Handler: Save the current graph as a new scenario and keep editing the copy
+  const handleSaveScenarioAs = async () => {
+    const current = scenarios.find(scenario => scenario.id === activeScenarioId);
+    const name = prompt('Save scenario as:', current ? `${current.name} (copy)` : 'My graph');
+    if (!name) return;
+
+    await flushScenario();
+    const record = await createScenario(name, scenarioData());
+    setActiveScenarioId(record.id);
+    writeActiveScenarioId(record.id);
+    setScenarios(await listScenarios());
+  };
+
+  // Handler: Rename a scenario
+  const handleRenameScenario = async (id) => {
+    const current = scenarios.find(scenario => scenario.id === id);
+    const name = prompt('Rename scenario:', current?.name || '');
+    if (!name) return;
+
+    await renameScenario(id, name);
+    setScenarios(await listScenarios());
+  };
+
+  // Handler: Copy a scenario (the copy is not opened)
+  const handleDuplicateScenario = async (id) => {
+    if (id === activeScenarioId) await flushScenario();
+    const current = scenarios.find(scenario => scenario.id === id);
+    await duplicateScenario(id, `${current?.name || 'Scenario'} (copy)`);
+    setScenarios(await listScenarios());
+  };
+
+  // Handler: Delete a scenario; deleting the open one opens the next most recent
+  const handleDeleteScenario = async (id) => {
+    const current = scenarios.find(scenario => scenario.id === id);
+    if (!confirm(`Delete scenario "${current?.name}"? This cannot be undone.`)) return;
+
+    await deleteScenario(id);
+    const list = await listScenarios();
+    if (id === activeScenarioId) {
+      const record = list[0]
+        ? await getScenario(list[0].id)
+        : await createScenario('Sample graph', createSampleGraph());
+      openScenario(record);
+    }
+    setScenarios(await listScenarios());
+  };
+
+  // Open the state in a `#share=` URL fragment as a new scenario
+  // Returns true when it was opened; asks first if there is saved work to switch away from.
+  const openSharedLink = async (hasSavedWork) => {
+    const shared = await decodeShareFragment(window.location.hash);
+    if (!shared) return false;
+
+    // Drop the fragment so a reload doesn't open the link again
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    if (!shared.valid) {
+      alert(`Could not open the shared link:\n\n${shared.errors.slice(0, MAX_REPORTED_ERRORS).map(error => `• ${error}`).join('\n')}`);
+      return false;
+    }
+    if (hasSavedWork && !confirm('Open the graph from this shared link? It is added to your scenarios as "Shared link"; your saved work is kept.')) {
+      return false;
+    }
+
+    const { graph, algorithm: sharedAlgorithm, autoDetectAlgorithm: sharedAutoDetect, ...settings } = shared.state;
+    await flushScenario();
+    const record = await createScenario('Shared link', {
+      ...graph,
+      departureTime: settings.departureTime,
+      objective: settings.objective,
+      blendFactors: settings.blendFactors
+    });
+    openScenario(record);
+    setAutoDetectAlgorithm(sharedAutoDetect ?? true);
+    if (sharedAlgorithm) setAlgorithm(sharedAlgorithm);
+    setTimeDependent(settings.timeDependent ?? false);
+    setScenarios(await listScenarios());
+    return true;
+  };
+
+  // Handler: Open a graph from the server as a new local scenario linked to it
+  const handleLoadServerGraph = async (id) => {
+    try {
+      const record = await loadServerGraph(id);
+      await flushScenario();
+      const local = await createScenario(record.name, {
+        ...record.data,
+        serverLink: { id: record.id, name: record.name, revision: record.revision }
+      });
+      openScenario(local);
+      setScenarios(await listScenarios());
+    } catch (error) {
+      alert(`Could not load from the server: ${error.message}`);
+    }
+  };
+
+  // Handler: Save the open scenario to the server (publishing it the first time)
+  const handleSaveToServer = async () => {
+    const { serverLink: _link, ...data } = scenarioData();
+    try {
+      if (!serverLink) {
+        const current = scenarios.find(scenario => scenario.id === activeScenarioId);
+        const name = prompt('Name on the server:', current?.name || 'My graph');
+        if (!name) return;
+
+        const record = await publishServerGraph(name, data);
+        setServerLink({ id: record.id, name: record.name, revision: record.revision });
+        return;
+      }
+
+      const result = await saveServerGraph(serverLink.id, serverLink.revision, data);
+      if (result.ok) {
+        setServerLink({ ...serverLink, revision: result.record.revision });
+        setServerConflict(null);
+      } else {
+        setServerConflict(result.conflict);
+      }
+    } catch (error) {
+      alert(`Could not save to the server: ${error.message}`);
+    }
+  };
+
+  // Handler: Settle a save conflict by overwriting the server copy or opening it
+  const handleResolveServerConflict = async (resolution) => {
+    if (!serverConflict) return;
+
+    if (resolution === 'overwrite') {
+      const { serverLink: _link, ...data } = scenarioData();
+      try {
+        const result = await saveServerGraph(serverConflict.id, serverConflict.revision, data);
+        if (result.ok) {
+          setServerLink({ ...serverLink, revision: result.record.revision });
+          setServerConflict(null);
+        } else {
+          setServerConflict(result.conflict); // Changed yet again
+        }
+      } catch (error) {
+        alert(`Could not save to the server: ${error.message}`);
+      }
+    } else {
+      // Open the server version beside this scenario, which keeps the local edits
+      // (and its stale revision, so saving it still reports the conflict)
+      setServerConflict(null);
+      await handleLoadServerGraph(serverConflict.id);
+    }
+  };
+
+  // Handler: Remove a graph from the server (local scenarios are kept)
+  const handleDeleteServerGraph = async (id, name, listedRevision) => {
+    if (!confirm(`Delete "${name}" from the server for everyone? Local scenarios are kept.`)) return;
+
+    // Only delete the version this dispatcher has seen
+    const revision = serverLink?.id === id ? serverLink.revision : listedRevision;
+    try {
+      const result = await deleteServerGraph(id, revision);
+      if (!result.ok) {
+        alert(`"${name}" was not deleted: someone saved it as revision ${result.conflict.revision} since you saw revision ${revision}.`);
+        return;
+      }
+      if (serverLink?.id === id) {
+        setServerLink(null);
+        setServerConflict(null);
+      }
+    } catch (error) {
+      alert(`Could not delete from the server: ${error.message}`);
+    }
+  };
+
+  // Apply road events from the live feed or a file; source is shown in the event log
+  const applyRoadEventBatch = (events, source) => {
+    const { edges: updatedEdges, results } = applyRoadEvents(edges, events);
+    const entries = results.map(({ event, edgeIds }) => ({
+      key: uuidv4(),
+      type: event.type,
+      description: describeRoadEvent(event),
+      matched: edgeIds.length,
+      source,
+      at: event.receivedAt ?? Date.now()
+    }));
+    setRoadEventLog(log => [...entries.reverse(), ...log].slice(0, ROAD_EVENT_LOG_LIMIT));
+
+    const applied = results.filter(result => result.edgeIds.length > 0);
+    if (applied.length === 0) return;
+
+    const description = applied.length === 1 ? describeRoadEvent(applied[0].event) : `${applied.length} road events`;
+    recordHistory(description);
+    if (routeResult) {
+      pendingRouteCheckRef.current = {
+        description,
+        previousFound: routeResult.found,
+        previousPath: routeResult.path,
+        previousCost: routeResult.totalCost
+      };
+    }
+    setEdges(updatedEdges);
+  };
+  // The feed subscription outlives renders, so it calls the latest version through a ref
+  roadEventHandlerRef.current = applyRoadEventBatch;
+
+  // Subscribe to the server's live road-event feed while it is switched on
+  useEffect(() => {
+    if (!liveFeed) {
+      setFeedStatus('off');
+      return;
+    }
+
+    const source = new EventSource('/api/road-events/stream');
+    let queued = [];
+    let timer = null;
+
+    setFeedStatus('connecting');
+    source.onopen = () => setFeedStatus('live');
+    source.onerror = () => setFeedStatus(source.readyState === EventSource.CLOSED ? 'error' : 'connecting');
+    source.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        return;
+      }
+      if (validateRoadEvent(event).length > 0) return;
+
+      queued.push(event);
+      if (!timer) {
+        timer = setTimeout(() => {
+          const batch = queued;
+          queued = [];
+          timer = null;
+          roadEventHandlerRef.current(batch, 'live');
+        }, ROAD_EVENT_BATCH_MS);
+      }
+    };
+
+    return () => {
+      clearTimeout(timer);
+      source.close();
+    };
+  }, [liveFeed]);
+
+  // Handler: Apply a dropped road-event file; returns an error message or null
+  const handleRoadEventFile = (text, fileName) => {
+    let events;
+    try {
+      events = parseRoadEventFile(text);
+    } catch (error) {
+      return `${fileName}: ${error.message}`;
+    }
+
+    const errors = events.flatMap((event, index) => validateRoadEvent(event).map(error => `Event #${index + 1}: ${error}`));
+    if (errors.length > 0) {
+      const more = errors.length > MAX_REPORTED_ERRORS ? `\n…and ${errors.length - MAX_REPORTED_ERRORS} more` : '';
+      return `${fileName}:\n${errors.slice(0, MAX_REPORTED_ERRORS).join('\n')}${more}`;
+    }
+    if (events.length === 0) {
+      return `${fileName} contains no events`;
+    }
+
+    applyRoadEventBatch(events, fileName);
+    return null;
+  };
+
+  // Handler: Copy a link that reproduces the current graph, roles and settings
+  const handleCopyShareLink = async () => {
+    const fragment = await encodeShareFragment({
+      graph: graphSnapshot(),
+      algorithm,
+      autoDetectAlgorithm,
+      objective,
+      blendFactors,
+      timeDependent,
+      departureTime
+    });
+    const url = `${window.location.origin}${window.location.pathname}#${fragment}`;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(`Link copied to the clipboard (${url.length} characters).`);
+    } catch {
+      // Clipboard access can be refused (e.g. insecure origin); let the user copy by hand
+      prompt('Copy this link:', url);
+    }
+  };
 
   // Get shortest path node IDs for highlighting
-  const shortestPath = routeResult?.path || [];
+  const routeSteps = routeResult?.steps || EMPTY_PATH;
+  // Roads on the negative cycles Bellman-Ford reported
+  const negativeCycleEdges = useMemo(() => {
+    const cycles = routeResult?.negativeCycles || [];
+    return cycles.length > 0 ? cycles.flatMap(cycle => cycle.steps.map(step => step.edgeId)) : EMPTY_PATH;
+  }, [routeResult]);
+  // Memoized so the visualizer isn't rebuilt on unrelated re-renders
+  const highlightedAlternatives = useMemo(() => {
+    const alternatives = (routeResult?.alternatives || [])
+      .filter((_, index) => visibleAlternatives.includes(index));
+    const paretoRoute = selectedParetoIndex !== null ? paretoResult?.routes[selectedParetoIndex] : null;
+    return paretoRoute
+      ? [{ ...paretoRoute, color: PARETO_ROUTE_COLOR }, ...alternatives]
+      : alternatives;
+  }, [routeResult, visibleAlternatives, paretoResult, selectedParetoIndex]);
+
+  // In dispatch mode the map shows every unit's route to the incident instead
+  const showDispatchRoutes = dispatchMode && !!incidentId;
+  const dispatchRoutes = useMemo(() => {
+    return dispatchCandidates.filter(candidate => candidate.found);
+  }, [dispatchCandidates]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-green-50">
@@ -351,6 +1281,50 @@ export default function Home() {
               </p>
             </div>
             <div className="flex gap-3">
+              <button
+                onClick={handleCopyShareLink}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors text-sm"
+              >
+                🔗 Copy Link
+              </button>
+              <button
+                onClick={handleExportGraph}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors text-sm"
+              >
+                📤 Export
+              </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors text-sm"
+              >
+                📥 Import
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleImportGraph}
+                className="hidden"
+              />
+              <button
+                onClick={() => mapImportInputRef.current?.click()}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors text-sm"
+              >
+                🗺️ Import Map
+              </button>
+              <input
+                ref={mapImportInputRef}
+                type="file"
+                accept=".geojson,.json,.osm,.xml"
+                onChange={handleImportMap}
+                className="hidden"
+              />
+              <button
+                onClick={handleAutoLayout}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors text-sm"
+              >
+                🧲 Auto Layout
+              </button>
               <button
                 onClick={handleResetToSample}
                 className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg transition-colors text-sm"
@@ -373,6 +1347,26 @@ export default function Home() {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Left Column: Controls and Algorithm */}
           <div className="space-y-6">
+            <ScenarioLibrary
+              scenarios={scenarios}
+              activeScenarioId={activeScenarioId}
+              onOpen={handleOpenScenario}
+              onNew={handleNewScenario}
+              onSaveAs={handleSaveScenarioAs}
+              onRename={handleRenameScenario}
+              onDuplicate={handleDuplicateScenario}
+              onDelete={handleDeleteScenario}
+            />
+
+            <ServerGraphsPanel
+              serverLink={serverLink}
+              conflict={serverConflict}
+              onLoad={handleLoadServerGraph}
+              onSave={handleSaveToServer}
+              onResolveConflict={handleResolveServerConflict}
+              onDelete={handleDeleteServerGraph}
+            />
+
             <ControlPanel
               nodes={nodes}
               edges={edges}
@@ -381,11 +1375,14 @@ export default function Home() {
               onDeleteNode={handleDeleteNode}
               onDeleteEdge={handleDeleteEdge}
               onSetAmbulance={handleSetAmbulance}
+              onToggleAmbulance={handleToggleAmbulance}
               onSetHospital={handleSetHospital}
+              onToggleHospital={handleToggleHospital}
               selectedNodeId={selectedNodeId}
               selectedEdgeId={selectedEdgeId}
               ambulanceId={ambulanceId}
               hospitalId={hospitalId}
+              nearestHospitalId={nearestHospitalId}
               algorithm={algorithm}
               hasNegativeWeights={graphHasNegativeWeights}
             />
@@ -393,9 +1390,38 @@ export default function Home() {
             <AlgorithmSelector
               algorithm={algorithm}
               hasNegativeWeights={graphHasNegativeWeights}
+              hasCoordinates={graphHasCoordinates}
               onAlgorithmChange={setAlgorithm}
               autoDetect={autoDetectAlgorithm}
               onAutoDetectChange={setAutoDetectAlgorithm}
+              hierarchyStatus={hierarchyStatus}
+            />
+
+            <ObjectiveSelector
+              objective={objective}
+              onObjectiveChange={setObjective}
+              blendFactors={blendFactors}
+              onBlendFactorsChange={setBlendFactors}
+            />
+
+            <DepartureTimeControl
+              enabled={timeDependent}
+              onEnabledChange={setTimeDependent}
+              departureTime={departureTime}
+              onDepartureTimeChange={setDepartureTime}
+              hasTimeProfiles={graphHasTimeProfiles}
+            />
+
+            <TextFormatPanel
+              nodes={nodes}
+              edges={edges}
+              onImport={handleImportText}
+            />
+
+            <HistoryPanel
+              history={history}
+              onUndo={handleUndo}
+              onRedo={handleRedo}
             />
 
             <Legend />
@@ -404,14 +1430,26 @@ export default function Home() {
           {/* Middle Column: Graph Visualizer */}
           <div className="lg:col-span-2 space-y-6">
             <div className="bg-white rounded-lg shadow-lg p-4">
+              <ModeToolbar mode={editorMode} onModeChange={setEditorMode} />
               <div className="h-[700px]">
                 <GraphVisualizer
                   nodes={nodes}
                   edges={edges}
-                  shortestPath={shortestPath}
+                  routeSteps={showDispatchRoutes || traceFrame ? EMPTY_PATH : routeSteps}
+                  objective={objective}
+                  blendFactors={blendFactors}
+                  alternativeRoutes={traceFrame ? EMPTY_ROUTES : showDispatchRoutes ? dispatchRoutes : highlightedAlternatives}
+                  incidentId={dispatchMode ? incidentId : null}
                   onNodeSelect={handleNodeSelect}
                   onEdgeSelect={handleEdgeSelect}
                   onNodeMove={handleNodeMove}
+                  onLayoutSettled={handleLayoutSettled}
+                  onCanvasClick={handleAddNode}
+                  onEdgeCreate={handleCreateEdge}
+                  onDelete={handleCanvasDelete}
+                  mode={editorMode}
+                  negativeCycleEdges={traceFrame ? EMPTY_PATH : negativeCycleEdges}
+                  traceFrame={traceFrame}
                 />
               </div>
             </div>
@@ -419,7 +1457,66 @@ export default function Home() {
             <RouteDetails
               routeResult={routeResult}
               nodes={nodes}
+              edges={edges}
+              objective={objective}
+              algorithm={timeDependent ? 'time-dependent' : algorithm}
+              kRoutes={kRoutes}
+              onKRoutesChange={setKRoutes}
+              visibleAlternatives={visibleAlternatives}
+              onToggleAlternative={handleToggleAlternative}
+              hospitalRanking={hospitalRanking}
+              destinationId={destinationId}
+              hospitalId={hospitalId}
+              onSelectHospital={handleSetHospital}
+              dijkstraVisitedCount={dijkstraVisitedCount}
+              compareWithDijkstra={compareWithDijkstra}
+              onCompareWithDijkstraChange={setCompareWithDijkstra}
+              showTradeoffs={showTradeoffs}
+              onShowTradeoffsChange={setShowTradeoffs}
+              paretoResult={paretoResult}
+              paretoAxes={paretoAxes}
+              onParetoAxesChange={setParetoAxes}
+              selectedParetoIndex={selectedParetoIndex}
+              onSelectParetoRoute={setSelectedParetoIndex}
+              paretoColor={PARETO_ROUTE_COLOR}
+              routeChangeNotice={routeChangeNotice}
+              onDismissRouteChange={() => setRouteChangeNotice(null)}
+            />
+
+            <RoadEventsPanel
+              liveFeed={liveFeed}
+              onLiveFeedChange={setLiveFeed}
+              feedStatus={feedStatus}
+              eventLog={roadEventLog}
+              onEventFile={handleRoadEventFile}
+            />
+
+            <TracePlaybackPanel
+              nodes={nodes}
+              edges={routingEdges}
+              startId={ambulanceId}
+              endId={destinationId}
               algorithm={algorithm}
+              onFrameChange={setTraceFrame}
+            />
+
+            <DistanceMatrixPanel
+              nodes={nodes}
+              edges={routingEdges}
+              ambulanceId={ambulanceId}
+              destinationId={destinationId}
+              onSelectPair={handleSelectMatrixPair}
+            />
+
+            <DispatchPanel
+              nodes={nodes}
+              enabled={dispatchMode}
+              onEnabledChange={setDispatchMode}
+              incidentId={incidentId}
+              onSetIncident={handleSetIncident}
+              candidates={dispatchCandidates}
+              ambulanceId={ambulanceId}
+              onSetAmbulance={handleSetAmbulance}
             />
             {/*graph */}
             {/* <div 
@@ -465,7 +1562,7 @@ export default function Home() {
             Built with Next.js, React, Vis.js, and Pathfinding Algorithms
           </p>
           <p className="text-xs text-gray-400 mt-2">
-            Implements Dijkstra's and Bellman-Ford algorithms for optimal route finding
+            Implements Dijkstra's, bidirectional Dijkstra, A*, Bellman-Ford and contraction hierarchies for optimal route finding
           </p>
         </div>
       </footer>
@@ -0,0 +1,185 @@
+import { buildIndexedGraph, dijkstra, hasNegativeWeights } from './dijkstra.js';
+import { bellmanFord } from './bellmanFord.js';
+
+/**
+ * All-Pairs Shortest Paths
+ * Travel cost between every ordered pair of nodes
+ *
+ * Small graphs use Floyd–Warshall: O(V³) with no per-source overhead.
+ * Larger graphs use Johnson's algorithm: one Bellman-Ford run from a virtual
+ * source (zero-cost one-way roads to every node) yields a potential h(v) for
+ * each node, every road is reweighted to w(u, v) + h(u) - h(v) ≥ 0, and
+ * Dijkstra then runs once per source on the reweighted roads. That is
+ * O(V·E log V), which beats Floyd–Warshall on sparse road networks.
+ *
+ * Both detect negative cycles; the matrix is then meaningless and is not
+ * returned.
+ */
+
+// Up to this many nodes Floyd–Warshall is used, above it Johnson's algorithm
+export const FLOYD_WARSHALL_MAX_NODES = 100;
+
+// Larger graphs are refused: V² cells is too much to compute and display
+export const MAX_MATRIX_NODES = 400;
+
+export const ALL_PAIRS_METHODS = {
+  'floyd-warshall': { label: 'Floyd–Warshall' },
+  johnson: { label: "Johnson's algorithm" }
+};
+
+// Start of the zero-cost roads Johnson's reweighting adds; not a real node ID
+const VIRTUAL_SOURCE_ID = '\u0000johnson-source';
+
+/**
+ * Compute the distance matrix
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (blocked roads are skipped, one-way roads respected)
+ * @param {Object} options - { method: 'auto' | 'floyd-warshall' | 'johnson' }
+ * @returns {Object} - { method, matrix: matrix[fromId][toId] = cost (Infinity = unreachable) or null,
+ *   hasNegativeCycle: boolean, negativeCycles: [], error? }
+ */
+export function allPairsShortestPaths(nodes, edges, { method = 'auto' } = {}) {
+  if (nodes.length > MAX_MATRIX_NODES) {
+    return {
+      method: null,
+      matrix: null,
+      hasNegativeCycle: false,
+      negativeCycles: [],
+      error: `Distance matrix is limited to ${MAX_MATRIX_NODES} nodes (graph has ${nodes.length})`
+    };
+  }
+
+  const resolvedMethod = method === 'auto'
+    ? (nodes.length <= FLOYD_WARSHALL_MAX_NODES ? 'floyd-warshall' : 'johnson')
+    : method;
+
+  const result = resolvedMethod === 'johnson'
+    ? johnson(nodes, edges)
+    : floydWarshall(nodes, edges);
+
+  return { method: resolvedMethod, ...result };
+}
+
+/**
+ * Floyd–Warshall over a dense V×V array
+ * @returns {Object} - { matrix, hasNegativeCycle, negativeCycles }
+ */
+function floydWarshall(nodes, edges) {
+  const { ids, sources, targets, weights } = buildIndexedGraph(nodes, edges);
+  const n = ids.length;
+  const dist = new Float64Array(n * n).fill(Infinity);
+
+  for (let i = 0; i < n; i++) {
+    dist[i * n + i] = 0;
+  }
+  for (let arc = 0; arc < targets.length; arc++) {
+    const cell = sources[arc] * n + targets[arc];
+    if (weights[arc] < dist[cell]) dist[cell] = weights[arc];
+  }
+
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      const viaK = dist[i * n + k];
+      if (viaK === Infinity) continue;
+      for (let j = 0; j < n; j++) {
+        const candidate = viaK + dist[k * n + j];
+        if (candidate < dist[i * n + j]) dist[i * n + j] = candidate;
+      }
+    }
+  }
+
+  // A node that can reach itself at negative cost lies on a negative cycle
+  for (let i = 0; i < n; i++) {
+    if (dist[i * n + i] < 0) {
+      return {
+        matrix: null,
+        hasNegativeCycle: true,
+        negativeCycles: computePotentials(nodes, edges).negativeCycles || []
+      };
+    }
+  }
+
+  const matrix = {};
+  ids.forEach((fromId, i) => {
+    matrix[fromId] = {};
+    ids.forEach((toId, j) => {
+      matrix[fromId][toId] = dist[i * n + j];
+    });
+  });
+
+  return { matrix, hasNegativeCycle: false, negativeCycles: [] };
+}
+
+/**
+ * Johnson's algorithm: Bellman-Ford potentials, then Dijkstra from every node
+ * @returns {Object} - { matrix, hasNegativeCycle, negativeCycles }
+ */
+function johnson(nodes, edges) {
+  let potential = null;
+  if (nodes.length > 0 && hasNegativeWeights(edges)) {
+    const result = computePotentials(nodes, edges);
+    if (result.hasNegativeCycle) {
+      return { matrix: null, hasNegativeCycle: true, negativeCycles: result.negativeCycles || [] };
+    }
+    potential = result.distances;
+  }
+
+  // Reweighting makes the two directions of a two-way road differ, so every
+  // road becomes one or two one-way arcs
+  const h = (id) => (potential ? potential[id] : 0);
+  const reweighted = [];
+  edges.forEach(edge => {
+    if (edge.blocked) return;
+    reweighted.push({
+      id: edge.id,
+      from: edge.from,
+      to: edge.to,
+      weight: Math.max(0, edge.weight + h(edge.from) - h(edge.to)),
+      directed: true
+    });
+    if (!edge.directed) {
+      reweighted.push({
+        id: edge.id,
+        from: edge.to,
+        to: edge.from,
+        weight: Math.max(0, edge.weight + h(edge.to) - h(edge.from)),
+        directed: true
+      });
+    }
+  });
+
+  const matrix = {};
+  nodes.forEach(source => {
+    const { distances = {} } = dijkstra(nodes, reweighted, source.id, null, { distances: true });
+    matrix[source.id] = {};
+    nodes.forEach(target => {
+      matrix[source.id][target.id] = distances[target.id] === undefined
+        ? Infinity
+        : distances[target.id] - h(source.id) + h(target.id);
+    });
+  });
+
+  return { matrix, hasNegativeCycle: false, negativeCycles: [] };
+}
+
+/**
+ * Bellman-Ford from a virtual source with a zero-cost one-way road to every node
+ * @returns {Object} - bellmanFord() result with `distances` = the potential h(v) of every node
+ */
+function computePotentials(nodes, edges) {
+  const virtualEdges = nodes.map(node => ({
+    id: `${VIRTUAL_SOURCE_ID}-${node.id}`,
+    from: VIRTUAL_SOURCE_ID,
+    to: node.id,
+    weight: 0,
+    directed: true
+  }));
+
+  return bellmanFord(
+    [{ id: VIRTUAL_SOURCE_ID }, ...nodes],
+    [...edges, ...virtualEdges],
+    VIRTUAL_SOURCE_ID,
+    nodes[0].id,
+    { distances: true }
+  );
+}
@@ -0,0 +1,168 @@
+import { IndexedMinHeap } from './minHeap.js';
+import { buildIndexedGraph, reconstructPath } from './dijkstra.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * A* Search Implementation
+ * Finds the shortest path in a graph with non-negative edge weights, guided by a
+ * straight-line distance heuristic towards the destination
+ *
+ * Node coordinates are read from `lat`/`lng` (great-circle distance via the
+ * haversine formula) or, failing that, from canvas `x`/`y` (Euclidean distance).
+ * Edge weights are not necessarily in the same unit as coordinates, so the
+ * straight-line distance is scaled by the smallest weight-per-distance ratio of
+ * any road. That keeps the heuristic admissible and consistent: no road can be
+ * cheaper than its own straight-line length times that ratio.
+ *
+ * Without coordinates the heuristic is zero and A* behaves exactly like Dijkstra.
+ *
+ * @param {Array} nodes - Array of node objects (optionally with lat/lng or x/y)
+ * @param {Array} edges - Array of edge objects (edges with directed: true are one-way from -> to)
+ * @param {string} startId - Starting node ID
+ * @param {string} endId - Destination node ID
+ * @returns {Object} - { path: [], totalCost: number, steps: [], found: boolean, visitedCount: number, heuristic: string }
+ */
+export function aStar(nodes, edges, startId, endId) {
+  const mode = getCoordinateMode(nodes);
+  const heuristic = mode === 'geo' ? 'haversine' : mode === 'xy' ? 'euclidean' : 'none';
+
+  if (!startId || !endId || startId === endId) {
+    return { path: [], totalCost: 0, steps: [], found: false, visitedCount: 0, heuristic };
+  }
+
+  const graph = buildIndexedGraph(nodes, edges);
+  const { indexOf, ids, offsets, sources, targets, weights } = graph;
+
+  if (!indexOf.has(startId) || !indexOf.has(endId)) {
+    return { path: [], totalCost: 0, steps: [], found: false, visitedCount: 0, heuristic };
+  }
+
+  const startIndex = indexOf.get(startId);
+  const endIndex = indexOf.get(endId);
+  const nodeCount = ids.length;
+
+  // Straight-line distance from every node to the destination, in coordinate units
+  const distanceTo = mode ? getDistanceFunction(mode) : null;
+  const scale = mode ? heuristicScale(nodes, sources, targets, weights, distanceTo) : 0;
+  const estimates = new Float64Array(nodeCount);
+  if (scale > 0) {
+    const target = nodes[endIndex];
+    for (let i = 0; i < nodeCount; i++) {
+      estimates[i] = scale * distanceTo(nodes[i], target);
+    }
+  }
+
+  // g = best known cost from start, f = g + h is the queue priority
+  const distances = new Float64Array(nodeCount).fill(Infinity);
+  const previousArc = new Int32Array(nodeCount).fill(-1);
+  const settled = new Uint8Array(nodeCount);
+  const openSet = new IndexedMinHeap(nodeCount);
+  let visitedCount = 0;
+
+  distances[startIndex] = 0;
+  openSet.pushOrDecrease(startIndex, estimates[startIndex]);
+
+  while (!openSet.isEmpty()) {
+    const currentIndex = openSet.pop();
+    settled[currentIndex] = 1;
+    visitedCount++;
+
+    if (currentIndex === endIndex) break;
+
+    const currentDistance = distances[currentIndex];
+    for (let arc = offsets[currentIndex]; arc < offsets[currentIndex + 1]; arc++) {
+      const neighbor = targets[arc];
+      if (settled[neighbor]) continue;
+
+      const newDistance = currentDistance + weights[arc];
+
+      if (newDistance < distances[neighbor]) {
+        distances[neighbor] = newDistance;
+        previousArc[neighbor] = arc;
+        openSet.pushOrDecrease(neighbor, newDistance + estimates[neighbor]);
+      }
+    }
+  }
+
+  if (distances[endIndex] === Infinity) {
+    return { path: [], totalCost: 0, steps: [], found: false, visitedCount, heuristic };
+  }
+
+  const { path, steps } = reconstructPath(graph, edges, previousArc, endIndex);
+
+  return {
+    path,
+    totalCost: distances[endIndex],
+    steps,
+    found: true,
+    visitedCount,
+    heuristic
+  };
+}
+
+/**
+ * Check whether every node carries usable coordinates for the A* heuristic
+ * @param {Array} nodes - Array of node objects
+ * @returns {boolean}
+ */
+export function hasCoordinates(nodes) {
+  return getCoordinateMode(nodes) !== null;
+}
+
+/**
+ * Determine which coordinate system the nodes use
+ * @param {Array} nodes - Array of node objects
+ * @returns {string|null} - 'geo' (lat/lng), 'xy' (canvas position) or null
+ */
+function getCoordinateMode(nodes) {
+  if (nodes.length === 0) return null;
+  if (nodes.every(n => Number.isFinite(n.lat) && Number.isFinite(n.lng))) return 'geo';
+  if (nodes.every(n => Number.isFinite(n.x) && Number.isFinite(n.y))) return 'xy';
+  return null;
+}
+
+function getDistanceFunction(mode) {
+  return mode === 'geo' ? haversineDistance : euclideanDistance;
+}
+
+/**
+ * Great-circle distance between two lat/lng points in kilometres
+ */
+export function haversineDistance(a, b) {
+  const toRadians = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Straight-line distance between two canvas positions
+ */
+export function euclideanDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Smallest cost-per-distance ratio over all active arcs
+ * Multiplying straight-line distance by this ratio never overestimates the
+ * remaining cost. Negative weights make any positive scale inadmissible, so
+ * the heuristic is disabled (scale 0) in that case.
+ */
+function heuristicScale(nodes, sources, targets, weights, distanceTo) {
+  let scale = Infinity;
+
+  for (let arc = 0; arc < weights.length; arc++) {
+    if (weights[arc] < 0) return 0;
+
+    const length = distanceTo(nodes[sources[arc]], nodes[targets[arc]]);
+    if (length > 0) {
+      scale = Math.min(scale, weights[arc] / length);
+    }
+  }
+
+  return Number.isFinite(scale) ? scale : 0;
+}
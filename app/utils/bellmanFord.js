@@ -1,15 +1,24 @@
+import { createTrace } from './trace.js';
+
+// Distinct negative cycles extracted at most
+export const MAX_REPORTED_CYCLES = 10;
+
 /**
  * Bellman-Ford Algorithm Implementation
  * Finds the shortest path in a graph with negative edge weights
- * Can detect negative cycles
+ * Can detect negative cycles and returns them as ordered road lists
  *
  * @param {Array} nodes - Array of node objects with 'id' property
- * @param {Array} edges - Array of edge objects with 'from', 'to', 'weight', 'id', 'blocked' properties
+ * @param {Array} edges - Array of edge objects with 'from', 'to', 'weight', 'id', 'blocked' and optional 'directed' properties
  * @param {string} startId - Starting node ID
- * @param {string} endId - Destination node ID
- * @returns {Object} - { path: [], totalCost: number, steps: [], found: boolean, hasNegativeCycle: boolean }
+ * @param {string|null} endId - Destination node ID (null with { distances: true } to search the whole graph)
+ * @param {Object} options - { trace: boolean } to record every pass/relax/update (see trace.js),
+ *   { distances: boolean } to also return the distance to every node (Infinity = unreached,
+ *   -Infinity = affected by a negative cycle) and the arc that reached it ({ from, to, weight, id })
+ * @returns {Object} - { path: [], totalCost: number, steps: [], found: boolean, hasNegativeCycle: boolean,
+ *   negativeCycles: [{ nodes, steps, totalCost, trivial }], trace?, distances?, previousArcs? }
  */
-export function bellmanFord(nodes, edges, startId, endId) {
+export function bellmanFord(nodes, edges, startId, endId, { trace: recordTrace = false, distances: returnDistances = false } = {}) {
   // Input validation
   if (!nodes || !edges || nodes.length === 0) {
     return {
@@ -22,7 +31,7 @@ export function bellmanFord(nodes, edges, startId, endId) {
     };
   }
 
-  if (!startId || !endId) {
+  if (!startId || (!endId && !returnDistances)) {
     return {
       path: [],
       totalCost: 0,
@@ -45,7 +54,7 @@ export function bellmanFord(nodes, edges, startId, endId) {
 
   // Verify start and end nodes exist
   const nodeIds = new Set(nodes.map(n => n.id));
-  if (!nodeIds.has(startId) || !nodeIds.has(endId)) {
+  if (!nodeIds.has(startId) || (endId && !nodeIds.has(endId))) {
     return {
       path: [],
       totalCost: 0,
@@ -58,68 +67,79 @@ export function bellmanFord(nodes, edges, startId, endId) {
 
   // Initialize distances and predecessors
   const distances = {};
-  const previous = {};
+  const previousArc = {}; // Arc that set each node's distance (path and cycle extraction)
   const nodeCount = nodes.length;
 
   nodes.forEach(node => {
     distances[node.id] = Infinity;
-    previous[node.id] = null;
   });
   distances[startId] = 0;
+  const nodesInNegativeCycle = new Set();
 
-  // Filter active edges and create bidirectional edges
+  const trace = recordTrace ? createTrace() : null;
+  trace?.push({ type: 'init', nodeId: startId });
+  const finish = (result) => ({
+    ...result,
+    ...(trace && { trace: trace.finish({ type: 'done', found: result.found, path: result.path }) }),
+    ...(returnDistances && {
+      distances: Object.fromEntries(Object.entries(distances).map(([id, distance]) => (
+        [id, nodesInNegativeCycle.has(id) ? -Infinity : distance]
+      ))),
+      previousArcs: { ...previousArc }
+    })
+  });
+
+  // Filter active edges and expand them into directed arcs
   const activeEdges = edges.filter(edge => !edge.blocked);
-  const bidirectionalEdges = [];
-  const edgeMap = new Map(); // For faster edge lookup during path reconstruction
+  const arcs = [];
 
   activeEdges.forEach(edge => {
     // Forward direction
-    bidirectionalEdges.push({
+    arcs.push({
       from: edge.from,
       to: edge.to,
       weight: edge.weight,
       id: edge.id
     });
-    
-    // Backward direction
-    bidirectionalEdges.push({
-      from: edge.to,
-      to: edge.from,
-      weight: edge.weight,
-      id: edge.id
-    });
 
-    // Store in map for quick lookup (use sorted key to handle both directions)
-    const key1 = `${edge.from}-${edge.to}`;
-    const key2 = `${edge.to}-${edge.from}`;
-    edgeMap.set(key1, edge);
-    edgeMap.set(key2, edge);
+    // Backward direction (two-way roads only)
+    if (!edge.directed) {
+      arcs.push({
+        from: edge.to,
+        to: edge.from,
+        weight: edge.weight,
+        id: edge.id
+      });
+    }
   });
 
-  if (bidirectionalEdges.length === 0) {
-    return {
+  if (arcs.length === 0) {
+    return finish({
       path: [],
       totalCost: 0,
       steps: [],
       found: false,
       hasNegativeCycle: false,
       error: 'No active edges in graph'
-    };
+    });
   }
 
   // Relax edges |V| - 1 times
   for (let iteration = 0; iteration < nodeCount - 1; iteration++) {
     let updated = false;
+    trace?.push({ type: 'iteration', iteration: iteration + 1 });
 
-    for (const edge of bidirectionalEdges) {
+    for (const edge of arcs) {
       const { from, to, weight } = edge;
 
       // Relax edge if possible
       if (distances[from] !== Infinity) {
         const newDistance = distances[from] + weight;
+        trace?.push({ type: 'relax', from, to, edgeId: edge.id, candidate: newDistance });
         if (newDistance < distances[to]) {
+          trace?.push({ type: 'update', nodeId: to, distance: newDistance, previous: distances[to], edgeId: edge.id });
           distances[to] = newDistance;
-          previous[to] = from;
+          previousArc[to] = edge;
           updated = true;
         }
       }
@@ -132,9 +152,10 @@ export function bellmanFord(nodes, edges, startId, endId) {
   }
 
   // Check for negative weight cycles
-  const nodesInNegativeCycle = new Set();
-  
-  for (const edge of bidirectionalEdges) {
+  const improvableArcs = [];
+  trace?.push({ type: 'cycle-check' });
+
+  for (const edge of arcs) {
     const { from, to, weight } = edge;
 
     if (distances[from] !== Infinity) {
@@ -142,15 +163,19 @@ export function bellmanFord(nodes, edges, startId, endId) {
       if (newDistance < distances[to]) {
         // Found a node that can still be relaxed - it's in a negative cycle
         nodesInNegativeCycle.add(to);
+        improvableArcs.push(edge);
+        trace?.push({ type: 'negative-cycle', nodeId: to });
       }
     }
   }
 
+  const negativeCycles = extractNegativeCycles(improvableArcs, previousArc, nodeCount, edges);
+
   // If negative cycle exists, propagate to find all affected nodes
   if (nodesInNegativeCycle.size > 0) {
     // Run additional iterations to find all nodes affected by negative cycles
     for (let i = 0; i < nodeCount; i++) {
-      for (const edge of bidirectionalEdges) {
+      for (const edge of arcs) {
         const { from, to } = edge;
         if (nodesInNegativeCycle.has(from)) {
           nodesInNegativeCycle.add(to);
@@ -159,89 +184,124 @@ export function bellmanFord(nodes, edges, startId, endId) {
     }
 
     // Check if the destination is affected by a negative cycle
-    if (nodesInNegativeCycle.has(endId)) {
-      return {
+    if (endId && nodesInNegativeCycle.has(endId)) {
+      return finish({
         path: [],
         totalCost: -Infinity,
         steps: [],
         found: false,
         hasNegativeCycle: true,
+        negativeCycles,
         error: 'Destination is affected by a negative weight cycle'
-      };
+      });
     }
   }
 
-  // Check if destination is reachable
-  if (distances[endId] === Infinity) {
-    return {
+  // Check if destination is reachable (or there is none: distances only)
+  if (!endId || distances[endId] === Infinity) {
+    return finish({
       path: [],
       totalCost: 0,
       steps: [],
       found: false,
-      hasNegativeCycle: nodesInNegativeCycle.size > 0
-    };
+      hasNegativeCycle: nodesInNegativeCycle.size > 0,
+      negativeCycles
+    });
   }
 
-  // Reconstruct path from end to start
-  const path = [];
+  // Reconstruct path and steps from end to start along the exact arcs used,
+  // so parallel roads between the same two nodes are not confused
+  const path = [endId];
+  const steps = [];
   let current = endId;
-  const visited = new Set();
 
-  while (current !== null) {
-    // Detect cycles in path reconstruction (shouldn't happen with correct algorithm)
-    if (visited.has(current)) {
-      return {
+  while (current !== startId) {
+    const arc = previousArc[current];
+    // Missing arc or a loop shouldn't happen with a correct algorithm
+    if (!arc || steps.length >= nodeCount) {
+      return finish({
         path: [],
         totalCost: 0,
         steps: [],
         found: false,
         hasNegativeCycle: false,
         error: 'Cycle detected in path reconstruction'
-      };
-    }
-
-    visited.add(current);
-    path.unshift(current);
-    current = previous[current];
-  }
-
-  // Verify path is valid
-  if (path.length === 0 || path[0] !== startId || path[path.length - 1] !== endId) {
-    return {
-      path: [],
-      totalCost: 0,
-      steps: [],
-      found: false,
-      hasNegativeCycle: nodesInNegativeCycle.size > 0
-    };
-  }
-
-  // Build steps with edge details
-  const steps = [];
-  for (let i = 0; i < path.length - 1; i++) {
-    const from = path[i];
-    const to = path[i + 1];
-    const edgeKey = `${from}-${to}`;
-    const edge = edgeMap.get(edgeKey);
-
-    if (edge) {
-      steps.push({
-        from,
-        to,
-        cost: edge.weight,
-        edgeId: edge.id
       });
-    } else {
-      // This shouldn't happen if algorithm is correct
-      console.warn(`Edge not found for ${from} -> ${to}`);
     }
+
+    steps.unshift({
+      from: arc.from,
+      to: arc.to,
+      cost: arc.weight,
+      edgeId: arc.id
+    });
+    path.unshift(arc.from);
+    current = arc.from;
   }
 
-  return {
+  return finish({
     path,
     totalCost: distances[endId],
     steps,
     found: true,
-    hasNegativeCycle: nodesInNegativeCycle.size > 0
-  };
+    hasNegativeCycle: nodesInNegativeCycle.size > 0,
+    negativeCycles
+  });
+}
+
+/**
+ * Recover the negative cycles behind the arcs that could still be relaxed
+ * after |V| - 1 passes. Relaxing such an arc and walking predecessors back
+ * |V| times is guaranteed to end on a node of a negative cycle; following
+ * predecessors from there until it repeats gives the cycle.
+ *
+ * @param {Array} improvableArcs - Arcs relaxable in the extra pass ({ from, to, weight, id })
+ * @param {Object} previousArc - Arc that last set each node's distance
+ * @param {number} nodeCount - Number of nodes
+ * @param {Array} edges - Original edges, to tell one-way roads apart
+ * @returns {Array} - [{ nodes, steps: [{ from, to, cost, edgeId }], totalCost, trivial }]
+ *   where trivial marks the back-and-forth over a single two-way negative road
+ */
+function extractNegativeCycles(improvableArcs, previousArc, nodeCount, edges) {
+  const predecessor = { ...previousArc };
+  const directedById = new Map(edges.map(edge => [edge.id, !!edge.directed]));
+  const cycles = [];
+  const seen = new Set();
+
+  for (const arc of improvableArcs) {
+    if (cycles.length >= MAX_REPORTED_CYCLES) break;
+    predecessor[arc.to] = arc;
+
+    let node = arc.to;
+    for (let i = 0; i < nodeCount && predecessor[node]; i++) {
+      node = predecessor[node].from;
+    }
+    if (!predecessor[node]) continue;
+
+    const cycleArcs = [];
+    let current = node;
+    do {
+      const step = predecessor[current];
+      if (!step) break;
+      cycleArcs.push(step);
+      current = step.from;
+    } while (current !== node && cycleArcs.length <= nodeCount);
+    if (current !== node || cycleArcs.length === 0) continue;
+    cycleArcs.reverse();
+
+    // The same cycle is reached from each of its nodes; report it once
+    const key = cycleArcs.map(step => `${step.from}\u0000${step.to}\u0000${step.id}`).sort().join('\u0001');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const steps = cycleArcs.map(step => ({ from: step.from, to: step.to, cost: step.weight, edgeId: step.id }));
+    cycles.push({
+      nodes: steps.map(step => step.from),
+      steps,
+      totalCost: steps.reduce((sum, step) => sum + step.cost, 0),
+      trivial: steps.length === 2 && steps[0].edgeId === steps[1].edgeId && !directedById.get(steps[0].edgeId)
+    });
+  }
+
+  return cycles;
 }
\ No newline at end of file
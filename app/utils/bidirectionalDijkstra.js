@@ -0,0 +1,181 @@
+import { IndexedMinHeap } from './minHeap.js';
+import { buildIndexedGraph, reconstructPath } from './dijkstra.js';
+
+/**
+ * Bidirectional Dijkstra Implementation
+ * Finds the shortest path in a graph with non-negative edge weights by
+ * searching forward from the start and backward (over reversed arcs) from the
+ * destination at the same time
+ *
+ * Each round expands the side whose queue holds the smaller distance. Every
+ * arc examined by either side that joins the two searches gives a candidate
+ * route; the best one so far is `mu`. The search stops once the two queue
+ * minima add up to at least `mu`: any route not yet seen would have to leave
+ * the forward frontier and enter the backward one, so it cannot be cheaper.
+ * Stopping as soon as the frontiers first touch is NOT enough — the node where
+ * they meet need not lie on the shortest route.
+ *
+ * On road networks the two searches each cover a disc of roughly half the
+ * radius, so far fewer nodes are settled than by a one-sided search.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (edges with directed: true are one-way from -> to)
+ * @param {string} startId - Starting node ID
+ * @param {string} endId - Destination node ID
+ * @returns {Object} - { path: [], totalCost: number, steps: [], found: boolean, visitedCount: number,
+ *   forwardSettled: number, backwardSettled: number }
+ */
+export function bidirectionalDijkstra(nodes, edges, startId, endId) {
+  const notFound = { path: [], totalCost: 0, steps: [], found: false, visitedCount: 0, forwardSettled: 0, backwardSettled: 0 };
+  if (!startId || !endId || startId === endId) {
+    return notFound;
+  }
+
+  const graph = buildIndexedGraph(nodes, edges);
+  const { indexOf, ids, offsets, sources, targets, weights } = graph;
+
+  if (!indexOf.has(startId) || !indexOf.has(endId)) {
+    return notFound;
+  }
+
+  const startIndex = indexOf.get(startId);
+  const endIndex = indexOf.get(endId);
+  const nodeCount = ids.length;
+  const { inOffsets, inArcs } = buildIncomingArcs(offsets, targets, nodeCount);
+
+  // Per side: distance, arc used to reach each node (forward: arc into it,
+  // backward: arc out of it towards the destination), settled flags, queue
+  const forward = createSide(nodeCount, startIndex);
+  const backward = createSide(nodeCount, endIndex);
+
+  let mu = Infinity;
+  let meetingArc = -1;
+
+  // Arc u -> v joins the searches when u is reached forward and v backward
+  const tryMeeting = (arc) => {
+    const candidate = forward.distances[sources[arc]] + weights[arc] + backward.distances[targets[arc]];
+    if (candidate < mu) {
+      mu = candidate;
+      meetingArc = arc;
+    }
+  };
+
+  while (!forward.queue.isEmpty() && !backward.queue.isEmpty()) {
+    const forwardTop = forward.queue.peekPriority();
+    const backwardTop = backward.queue.peekPriority();
+    if (forwardTop + backwardTop >= mu) break;
+
+    if (forwardTop <= backwardTop) {
+      const current = forward.queue.pop();
+      forward.settled[current] = 1;
+      forward.settledCount++;
+
+      const currentDistance = forward.distances[current];
+      for (let arc = offsets[current]; arc < offsets[current + 1]; arc++) {
+        const neighbor = targets[arc];
+        if (!forward.settled[neighbor]) {
+          const newDistance = currentDistance + weights[arc];
+          if (newDistance < forward.distances[neighbor]) {
+            forward.distances[neighbor] = newDistance;
+            forward.previousArc[neighbor] = arc;
+            forward.queue.pushOrDecrease(neighbor, newDistance);
+          }
+        }
+        tryMeeting(arc);
+      }
+    } else {
+      const current = backward.queue.pop();
+      backward.settled[current] = 1;
+      backward.settledCount++;
+
+      const currentDistance = backward.distances[current];
+      for (let i = inOffsets[current]; i < inOffsets[current + 1]; i++) {
+        const arc = inArcs[i];
+        const neighbor = sources[arc];
+        if (!backward.settled[neighbor]) {
+          const newDistance = currentDistance + weights[arc];
+          if (newDistance < backward.distances[neighbor]) {
+            backward.distances[neighbor] = newDistance;
+            backward.previousArc[neighbor] = arc;
+            backward.queue.pushOrDecrease(neighbor, newDistance);
+          }
+        }
+        tryMeeting(arc);
+      }
+    }
+  }
+
+  const counts = {
+    visitedCount: forward.settledCount + backward.settledCount,
+    forwardSettled: forward.settledCount,
+    backwardSettled: backward.settledCount
+  };
+
+  if (meetingArc === -1) {
+    return { ...notFound, ...counts };
+  }
+
+  // Start -> tail of the meeting arc, the meeting arc, then on to the destination
+  const { path, steps } = reconstructPath(graph, edges, forward.previousArc, sources[meetingArc]);
+  let arc = meetingArc;
+  while (arc !== -1) {
+    const edge = edges[graph.edgeIndices[arc]];
+    steps.push({
+      from: ids[sources[arc]],
+      to: ids[targets[arc]],
+      cost: edge.weight,
+      edgeId: edge.id
+    });
+    path.push(ids[targets[arc]]);
+    arc = backward.previousArc[targets[arc]];
+  }
+
+  return {
+    path,
+    totalCost: mu,
+    steps,
+    found: true,
+    ...counts
+  };
+}
+
+function createSide(nodeCount, originIndex) {
+  const side = {
+    distances: new Float64Array(nodeCount).fill(Infinity),
+    previousArc: new Int32Array(nodeCount).fill(-1),
+    settled: new Uint8Array(nodeCount),
+    queue: new IndexedMinHeap(nodeCount),
+    settledCount: 0
+  };
+  side.distances[originIndex] = 0;
+  side.queue.pushOrDecrease(originIndex, 0);
+  return side;
+}
+
+/**
+ * Group arc indices by target node, so the backward search can walk the
+ * forward arcs in reverse without building a second graph
+ *
+ * @param {Int32Array} offsets - Outgoing arc offsets from buildIndexedGraph
+ * @param {Int32Array} targets - Target node index of each arc
+ * @param {number} nodeCount - Number of nodes
+ * @returns {Object} - { inOffsets, inArcs }: the incoming arcs of node i are inArcs[inOffsets[i] .. inOffsets[i + 1] - 1]
+ */
+function buildIncomingArcs(offsets, targets, nodeCount) {
+  const arcCount = offsets[nodeCount];
+  const inOffsets = new Int32Array(nodeCount + 1);
+  for (let arc = 0; arc < arcCount; arc++) {
+    inOffsets[targets[arc] + 1]++;
+  }
+  for (let i = 0; i < nodeCount; i++) {
+    inOffsets[i + 1] += inOffsets[i];
+  }
+
+  const inArcs = new Int32Array(arcCount);
+  const cursor = inOffsets.slice(0, nodeCount);
+  for (let arc = 0; arc < arcCount; arc++) {
+    inArcs[cursor[targets[arc]]++] = arc;
+  }
+
+  return { inOffsets, inArcs };
+}
@@ -0,0 +1,479 @@
+import { IndexedMinHeap } from './minHeap.js';
+import { buildIndexedGraph, dijkstra, hasNegativeWeights } from './dijkstra.js';
+
+/**
+ * Contraction Hierarchies
+ * Preprocessing that makes point-to-point queries on large road networks
+ * take a fraction of a millisecond
+ *
+ * Preprocessing removes ("contracts") nodes one at a time, least important
+ * first. When a node v is removed, every route u -> v -> x that is the only
+ * shortest way from u to x is replaced by a shortcut arc u -> x; a short
+ * bounded "witness" search decides whether another route is as cheap. Each
+ * node's rank is its position in that order.
+ *
+ * A query runs Dijkstra from both ends but only ever moves to higher-ranked
+ * nodes, so each side settles a handful of nodes even on city-sized maps.
+ * Shortcuts are unpacked recursively into the original roads for the steps.
+ *
+ * Road changes after preprocessing: closing a road or raising its cost can
+ * only make routes more expensive, so any route the hierarchy returns that
+ * avoids every changed road is still optimal. Such a hierarchy stays usable;
+ * routes that touch a changed road fall back to plain dijkstra() until it is
+ * rebuilt. Any other change (a cheaper, reopened or new road) makes the
+ * hierarchy unusable.
+ *
+ * Negative weights are not supported.
+ */
+
+// A witness search gives up after settling this many nodes and keeps the shortcut
+const WITNESS_SETTLE_LIMIT = 60;
+
+/**
+ * Preprocess a graph
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (blocked roads are skipped, one-way roads respected)
+ * @param {Object} options - { order: [nodeId] } to contract in a known order (e.g. a previous
+ *   hierarchy's) and skip the node ordering, which is most of the preprocessing time
+ * @returns {Object} - Hierarchy: plain data (typed arrays, arrays, a Map) so it can be posted from a worker
+ * @throws {Error} If any active road has a negative weight
+ */
+export function buildContractionHierarchy(nodes, edges, { order = null } = {}) {
+  if (hasNegativeWeights(edges)) {
+    throw new Error('Contraction hierarchies need non-negative weights');
+  }
+
+  const { indexOf, ids, sources, targets, weights, edgeIndices } = buildIndexedGraph(nodes, edges);
+  const nodeCount = ids.length;
+
+  // Arcs: original roads (edge >= 0) and shortcuts (edge = -1, made of childA then childB)
+  const arcFrom = [];
+  const arcTo = [];
+  const arcWeight = [];
+  const arcEdge = [];
+  const arcChildA = [];
+  const arcChildB = [];
+
+  // Remaining graph between uncontracted nodes: neighbour index -> cheapest arc
+  const outArcs = Array.from({ length: nodeCount }, () => new Map());
+  const inArcs = Array.from({ length: nodeCount }, () => new Map());
+
+  const addArc = (from, to, weight, edge, childA, childB) => {
+    const existing = outArcs[from].get(to);
+    if (existing !== undefined && arcWeight[existing] <= weight) return;
+    const arc = arcFrom.length;
+    arcFrom.push(from);
+    arcTo.push(to);
+    arcWeight.push(weight);
+    arcEdge.push(edge);
+    arcChildA.push(childA);
+    arcChildB.push(childB);
+    outArcs[from].set(to, arc);
+    inArcs[to].set(from, arc);
+  };
+
+  for (let arc = 0; arc < targets.length; arc++) {
+    if (sources[arc] !== targets[arc]) {
+      addArc(sources[arc], targets[arc], weights[arc], edgeIndices[arc], -1, -1);
+    }
+  }
+
+  // Witness search state, reused across searches
+  const witnessDistances = new Float64Array(nodeCount).fill(Infinity);
+  const witnessQueue = new IndexedMinHeap(nodeCount);
+  const touched = [];
+
+  const witnessSearch = (source, excluded, maxCost) => {
+    witnessDistances[source] = 0;
+    touched.push(source);
+    witnessQueue.pushOrDecrease(source, 0);
+    let settledCount = 0;
+
+    while (!witnessQueue.isEmpty() && witnessQueue.peekPriority() <= maxCost && settledCount < WITNESS_SETTLE_LIMIT) {
+      const current = witnessQueue.pop();
+      settledCount++;
+      for (const [neighbor, arc] of outArcs[current]) {
+        if (neighbor === excluded) continue;
+        const distance = witnessDistances[current] + arcWeight[arc];
+        if (distance < witnessDistances[neighbor]) {
+          if (witnessDistances[neighbor] === Infinity) touched.push(neighbor);
+          witnessDistances[neighbor] = distance;
+          witnessQueue.pushOrDecrease(neighbor, distance);
+        }
+      }
+    }
+  };
+
+  const resetWitnessSearch = () => {
+    while (!witnessQueue.isEmpty()) witnessQueue.pop();
+    touched.forEach(index => { witnessDistances[index] = Infinity; });
+    touched.length = 0;
+  };
+
+  // Shortcuts needed if v were contracted now
+  const findShortcuts = (v) => {
+    const shortcuts = [];
+    for (const [u, inArc] of inArcs[v]) {
+      let maxCost = -1;
+      for (const [x, outArc] of outArcs[v]) {
+        if (x !== u) maxCost = Math.max(maxCost, arcWeight[inArc] + arcWeight[outArc]);
+      }
+      if (maxCost < 0) continue;
+
+      witnessSearch(u, v, maxCost);
+      for (const [x, outArc] of outArcs[v]) {
+        const cost = arcWeight[inArc] + arcWeight[outArc];
+        if (x !== u && witnessDistances[x] > cost) {
+          shortcuts.push({ from: u, to: x, weight: cost, childA: inArc, childB: outArc });
+        }
+      }
+      resetWitnessSearch();
+    }
+    return shortcuts;
+  };
+
+  // Upward arcs of each node, fixed when it is contracted
+  const upwardOut = new Array(nodeCount);
+  const upwardIn = new Array(nodeCount);
+  const contractedNeighbors = new Int32Array(nodeCount);
+  const contractionOrder = [];
+
+  const contract = (v, shortcuts) => {
+    upwardOut[v] = [...outArcs[v].values()];
+    upwardIn[v] = [...inArcs[v].values()];
+    contractionOrder.push(ids[v]);
+
+    const neighbors = new Set([...outArcs[v].keys(), ...inArcs[v].keys()]);
+    for (const u of inArcs[v].keys()) outArcs[u].delete(v);
+    for (const x of outArcs[v].keys()) inArcs[x].delete(v);
+    outArcs[v].clear();
+    inArcs[v].clear();
+    neighbors.forEach(neighbor => { contractedNeighbors[neighbor]++; });
+
+    shortcuts.forEach(({ from, to, weight, childA, childB }) => addArc(from, to, weight, -1, childA, childB));
+  };
+
+  // Edge difference plus contracted neighbours: cheap to contract, spread evenly
+  const priorityOf = (shortcuts, v) =>
+    shortcuts.length - outArcs[v].size - inArcs[v].size + contractedNeighbors[v];
+
+  if (order) {
+    const ordered = order.filter(id => indexOf.has(id)).map(id => indexOf.get(id));
+    const seen = new Set(ordered);
+    for (let v = 0; v < nodeCount; v++) {
+      if (!seen.has(v)) ordered.push(v);
+    }
+    ordered.forEach(v => contract(v, findShortcuts(v)));
+  } else {
+    const queue = new IndexedMinHeap(nodeCount);
+    for (let v = 0; v < nodeCount; v++) {
+      queue.pushOrDecrease(v, priorityOf(findShortcuts(v), v));
+    }
+
+    // Lazy updates: re-evaluate the top node and requeue it if it got worse
+    while (!queue.isEmpty()) {
+      const v = queue.pop();
+      const shortcuts = findShortcuts(v);
+      const priority = priorityOf(shortcuts, v);
+      if (!queue.isEmpty() && priority > queue.peekPriority()) {
+        queue.pushOrDecrease(v, priority);
+        continue;
+      }
+      contract(v, shortcuts);
+    }
+  }
+
+  const packAdjacency = (lists) => {
+    const offsets = new Int32Array(nodeCount + 1);
+    lists.forEach((list, v) => { offsets[v + 1] = offsets[v] + list.length; });
+    const arcs = new Int32Array(offsets[nodeCount]);
+    lists.forEach((list, v) => arcs.set(list, offsets[v]));
+    return { offsets, arcs };
+  };
+
+  return {
+    indexOf,
+    ids,
+    order: contractionOrder,
+    upward: packAdjacency(upwardOut),
+    downward: packAdjacency(upwardIn),
+    arcFrom: Int32Array.from(arcFrom),
+    arcTo: Int32Array.from(arcTo),
+    arcWeight: Float64Array.from(arcWeight),
+    arcEdge: Int32Array.from(arcEdge),
+    arcChildA: Int32Array.from(arcChildA),
+    arcChildB: Int32Array.from(arcChildB),
+    shortcutCount: arcEdge.filter(edge => edge === -1).length,
+    edges: edges.map(({ id, from, to, weight, directed, blocked }) => ({ id, from, to, weight, directed: !!directed, blocked: !!blocked }))
+  };
+}
+
+// Per-hierarchy query buffers, so a query does not allocate O(V) arrays
+const workspaces = new WeakMap();
+
+function getWorkspace(hierarchy) {
+  let workspace = workspaces.get(hierarchy);
+  if (!workspace) {
+    const nodeCount = hierarchy.ids.length;
+    const createSide = () => ({
+      distances: new Float64Array(nodeCount).fill(Infinity),
+      previousArc: new Int32Array(nodeCount).fill(-1),
+      queue: new IndexedMinHeap(nodeCount),
+      touched: [],
+      settledCount: 0
+    });
+    workspace = { forward: createSide(), backward: createSide() };
+    workspaces.set(hierarchy, workspace);
+  }
+  return workspace;
+}
+
+/**
+ * Shortest route using the hierarchy alone (the graph it was built on)
+ * @param {Object} hierarchy - Result of buildContractionHierarchy
+ * @param {string} startId - Starting node ID
+ * @param {string} endId - Destination node ID
+ * @returns {Object} - { path: [], totalCost: number, steps: [], found: boolean, visitedCount: number,
+ *   forwardSettled: number, backwardSettled: number }
+ */
+export function queryContractionHierarchy(hierarchy, startId, endId) {
+  const notFound = { path: [], totalCost: 0, steps: [], found: false, visitedCount: 0, forwardSettled: 0, backwardSettled: 0 };
+  const { indexOf, ids, upward, downward, arcFrom, arcTo, arcWeight } = hierarchy;
+  if (!startId || !endId || startId === endId || !indexOf.has(startId) || !indexOf.has(endId)) {
+    return notFound;
+  }
+
+  const { forward, backward } = getWorkspace(hierarchy);
+  const reach = (side, node, distance, arc) => {
+    if (side.distances[node] === Infinity) side.touched.push(node);
+    side.distances[node] = distance;
+    side.previousArc[node] = arc;
+    side.queue.pushOrDecrease(node, distance);
+  };
+  reach(forward, indexOf.get(startId), 0, -1);
+  reach(backward, indexOf.get(endId), 0, -1);
+
+  let mu = Infinity;
+  let meetingNode = -1;
+
+  // Each side stops once its queue minimum reaches the best route found
+  while (Math.min(forward.queue.peekPriority(), backward.queue.peekPriority()) < mu) {
+    const isForward = forward.queue.peekPriority() <= backward.queue.peekPriority();
+    const side = isForward ? forward : backward;
+    const other = isForward ? backward : forward;
+    const { offsets, arcs } = isForward ? upward : downward;
+
+    const current = side.queue.pop();
+    side.settledCount++;
+    const currentDistance = side.distances[current];
+
+    if (currentDistance + other.distances[current] < mu) {
+      mu = currentDistance + other.distances[current];
+      meetingNode = current;
+    }
+
+    for (let i = offsets[current]; i < offsets[current + 1]; i++) {
+      const arc = arcs[i];
+      const neighbor = isForward ? arcTo[arc] : arcFrom[arc];
+      const distance = currentDistance + arcWeight[arc];
+      if (distance < side.distances[neighbor]) {
+        reach(side, neighbor, distance, arc);
+      }
+    }
+  }
+
+  const counts = {
+    visitedCount: forward.settledCount + backward.settledCount,
+    forwardSettled: forward.settledCount,
+    backwardSettled: backward.settledCount
+  };
+
+  let result = { ...notFound, ...counts };
+  if (meetingNode !== -1) {
+    // Hierarchy arcs: start up to the meeting node, then down to the destination
+    const route = [];
+    for (let node = meetingNode; forward.previousArc[node] !== -1; node = arcFrom[forward.previousArc[node]]) {
+      route.push(forward.previousArc[node]);
+    }
+    route.reverse();
+    for (let node = meetingNode; backward.previousArc[node] !== -1; node = arcTo[backward.previousArc[node]]) {
+      route.push(backward.previousArc[node]);
+    }
+
+    const steps = unpackArcs(hierarchy, route);
+    result = {
+      path: [startId, ...steps.map(step => step.to)],
+      totalCost: mu,
+      steps,
+      found: true,
+      ...counts
+    };
+  }
+
+  [forward, backward].forEach(side => {
+    while (!side.queue.isEmpty()) side.queue.pop();
+    side.touched.forEach(node => {
+      side.distances[node] = Infinity;
+      side.previousArc[node] = -1;
+    });
+    side.touched.length = 0;
+    side.settledCount = 0;
+  });
+
+  return result;
+}
+
+/**
+ * Expand hierarchy arcs (shortcuts included) into steps over the original roads
+ * @param {Object} hierarchy - Result of buildContractionHierarchy
+ * @param {Array} route - Arc indices in driving order
+ * @returns {Array} - [{ from, to, cost, edgeId }]
+ */
+function unpackArcs(hierarchy, route) {
+  const { ids, arcFrom, arcTo, arcEdge, arcChildA, arcChildB, edges } = hierarchy;
+  const steps = [];
+  const stack = [...route].reverse();
+
+  while (stack.length > 0) {
+    const arc = stack.pop();
+    if (arcEdge[arc] === -1) {
+      stack.push(arcChildB[arc], arcChildA[arc]);
+    } else {
+      const edge = edges[arcEdge[arc]];
+      steps.push({ from: ids[arcFrom[arc]], to: ids[arcTo[arc]], cost: edge.weight, edgeId: edge.id });
+    }
+  }
+
+  return steps;
+}
+
+// Compatibility of a hierarchy with an edges array, cached per (hierarchy, edges) pair
+const compatibilityCache = new WeakMap();
+
+/**
+ * Compare the current roads with the ones the hierarchy was built on
+ * @param {Object} hierarchy - Result of buildContractionHierarchy
+ * @param {Array} edges - Current edges
+ * @returns {Object} - { usable: boolean, changedEdgeIds: Set } where changed roads are closed,
+ *   removed, made one-way or made more expensive since preprocessing
+ */
+export function checkHierarchy(hierarchy, edges) {
+  let byEdges = compatibilityCache.get(hierarchy);
+  if (!byEdges) {
+    byEdges = new WeakMap();
+    compatibilityCache.set(hierarchy, byEdges);
+  }
+  if (byEdges.has(edges)) return byEdges.get(edges);
+
+  const built = new Map(hierarchy.edges.map(edge => [edge.id, edge]));
+  const changedEdgeIds = new Set();
+  let usable = true;
+
+  for (const edge of edges) {
+    const before = built.get(edge.id);
+    built.delete(edge.id);
+    if (edge.blocked) {
+      if (before && !before.blocked) changedEdgeIds.add(edge.id);
+      continue;
+    }
+    if (!before || before.blocked || before.from !== edge.from || before.to !== edge.to ||
+        edge.weight < before.weight || (before.directed && !edge.directed)) {
+      usable = false;
+      break;
+    }
+    if (edge.weight > before.weight || (edge.directed && !before.directed)) {
+      changedEdgeIds.add(edge.id);
+    }
+  }
+
+  // Deleted roads count as closed
+  if (usable) {
+    built.forEach(edge => {
+      if (!edge.blocked) changedEdgeIds.add(edge.id);
+    });
+  }
+
+  const status = { usable, changedEdgeIds };
+  byEdges.set(edges, status);
+  return status;
+}
+
+/**
+ * Point-to-point route through the hierarchy when it can be trusted, plain
+ * dijkstra() otherwise. Same signature and result shape as dijkstra(), so it
+ * can stand in for it (e.g. inside Yen's algorithm).
+ *
+ * @param {Object|null} hierarchy - Result of buildContractionHierarchy (null while preprocessing)
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Current edges
+ * @param {string} startId - Starting node ID
+ * @param {string} endId - Destination node ID
+ * @returns {Object} - dijkstra()-shaped result plus fallbackReason: undefined when the hierarchy
+ *   answered, 'not-ready' (no usable hierarchy) or 'road-changed' (the route uses a changed road)
+ */
+export function routeWithHierarchy(hierarchy, nodes, edges, startId, endId) {
+  const status = hierarchy ? checkHierarchy(hierarchy, edges) : null;
+  if (!status?.usable) {
+    return { ...dijkstra(nodes, edges, startId, endId), fallbackReason: 'not-ready' };
+  }
+
+  const result = queryContractionHierarchy(hierarchy, startId, endId);
+  if (result.steps.some(step => status.changedEdgeIds.has(step.edgeId))) {
+    return { ...dijkstra(nodes, edges, startId, endId), fallbackReason: 'road-changed' };
+  }
+  return result;
+}
+
+/**
+ * Rank facilities (e.g. hospitals) by travel cost from a start node, one
+ * hierarchy query per facility
+ *
+ * @param {Object|null} hierarchy - Result of buildContractionHierarchy
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Current edges
+ * @param {string} startId - Starting node ID (ambulance)
+ * @param {Array} facilityIds - Candidate destination node IDs (hospitals)
+ * @returns {Array} - [{ id, found, totalCost, path: [], steps: [], hasNegativeCycle }], nearest first, unreachable last
+ */
+export function rankFacilitiesWithHierarchy(hierarchy, nodes, edges, startId, facilityIds) {
+  if (!startId || facilityIds.length === 0) {
+    return [];
+  }
+
+  return rankRoutes(facilityIds, id => routeWithHierarchy(hierarchy, nodes, edges, startId, id));
+}
+
+/**
+ * Rank candidate sources (e.g. ambulances) by travel cost to a target node,
+ * one hierarchy query per source
+ *
+ * @param {Object|null} hierarchy - Result of buildContractionHierarchy
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Current edges
+ * @param {string} targetId - Destination node ID (incident)
+ * @param {Array} sourceIds - Candidate start node IDs (ambulances)
+ * @returns {Array} - [{ id, found, totalCost, path: [], steps: [], hasNegativeCycle }], fastest first, unreachable last
+ */
+export function rankSourcesWithHierarchy(hierarchy, nodes, edges, targetId, sourceIds) {
+  if (!targetId || sourceIds.length === 0) {
+    return [];
+  }
+
+  return rankRoutes(sourceIds, id => routeWithHierarchy(hierarchy, nodes, edges, id, targetId));
+}
+
+function rankRoutes(ids, route) {
+  return ids
+    .map(id => {
+      const result = route(id);
+      return {
+        id,
+        found: result.found,
+        totalCost: result.found ? result.totalCost : Infinity,
+        path: result.path,
+        steps: result.steps,
+        hasNegativeCycle: false
+      };
+    })
+    .sort((a, b) => (a.found !== b.found ? (a.found ? -1 : 1) : a.totalCost - b.totalCost));
+}
@@ -0,0 +1,17 @@
+import { buildContractionHierarchy } from './contractionHierarchy.js';
+
+/**
+ * Contraction Hierarchy Worker
+ * Runs the preprocessing off the main thread so the planner stays responsive
+ *
+ * Message in:  { nodes, edges, order? }
+ * Message out: { hierarchy } or { error }
+ */
+self.onmessage = ({ data }) => {
+  try {
+    const hierarchy = buildContractionHierarchy(data.nodes, data.edges, { order: data.order });
+    self.postMessage({ hierarchy });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
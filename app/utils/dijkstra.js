@@ -1,115 +1,233 @@
+import { IndexedMinHeap } from './minHeap.js';
+import { createTrace } from './trace.js';
+
 /**
  * Dijkstra's Algorithm Implementation
  * Finds the shortest path in a graph with non-negative edge weights
  * 
  * @param {Array} nodes - Array of node objects
- * @param {Array} edges - Array of edge objects
+ * @param {Array} edges - Array of edge objects (edges with directed: true are one-way from -> to)
  * @param {string} startId - Starting node ID
- * @param {string} endId - Destination node ID
- * @returns {Object} - { path: [], totalCost: number, steps: [], found: boolean }
+ * @param {string|null} endId - Destination node ID (null with { distances: true } to search the whole graph)
+ * @param {Object} options - { trace: boolean } to record every settle/relax/update (see trace.js),
+ *   { distances: boolean } to also return the distance to every reached node
+ * @returns {Object} - { path: [], totalCost: number, steps: [], found: boolean, visitedCount: number,
+ *   trace?, distances?: { [nodeId]: number } }
  */
-export function dijkstra(nodes, edges, startId, endId) {
-  if (!startId || !endId || startId === endId) {
+export function dijkstra(nodes, edges, startId, endId, { trace: recordTrace = false, distances: returnDistances = false } = {}) {
+  if (!startId || (!endId && !returnDistances) || startId === endId) {
     return { path: [], totalCost: 0, steps: [], found: false };
   }
 
-  // Build adjacency list from edges (excluding blocked edges)
-  const graph = {};
-  nodes.forEach(node => {
-    graph[node.id] = [];
-  });
-
-  edges.forEach(edge => {
-    if (!edge.blocked) {
-      graph[edge.from].push({ node: edge.to, weight: edge.weight, edgeId: edge.id });
-      // Undirected graph: add reverse edge
-      graph[edge.to].push({ node: edge.from, weight: edge.weight, edgeId: edge.id });
-    }
-  });
+  // Build indexed adjacency list from edges (excluding blocked edges)
+  const graph = buildIndexedGraph(nodes, edges);
+  const { indexOf, ids, offsets, targets, weights, edgeIndices } = graph;
 
   // Check if start and end nodes exist
-  if (!graph[startId] || !graph[endId]) {
+  if (!indexOf.has(startId) || (endId && !indexOf.has(endId))) {
     return { path: [], totalCost: 0, steps: [], found: false };
   }
 
-  // Initialize distances and previous nodes
-  const distances = {};
-  const previous = {};
-  const visited = new Set();
-  const pq = []; // Priority queue (min-heap simulation)
-
-  nodes.forEach(node => {
-    distances[node.id] = Infinity;
-    previous[node.id] = null;
-  });
-  distances[startId] = 0;
+  const startIndex = indexOf.get(startId);
+  const endIndex = endId ? indexOf.get(endId) : -1;
 
-  pq.push({ node: startId, distance: 0 });
+  // Initialize distances and previous nodes (by dense node index)
+  const nodeCount = ids.length;
+  const distances = new Float64Array(nodeCount).fill(Infinity);
+  const previousArc = new Int32Array(nodeCount).fill(-1);
+  const settled = new Uint8Array(nodeCount);
+  const pq = new IndexedMinHeap(nodeCount);
+  const trace = recordTrace ? createTrace() : null;
+  let visitedCount = 0;
 
-  while (pq.length > 0) {
-    // Sort to simulate min-heap (for production, use a proper heap implementation)
-    pq.sort((a, b) => a.distance - b.distance);
-    const { node: currentNode, distance: currentDistance } = pq.shift();
+  distances[startIndex] = 0;
+  pq.pushOrDecrease(startIndex, 0);
+  trace?.push({ type: 'init', nodeId: startId });
 
-    if (visited.has(currentNode)) continue;
-    visited.add(currentNode);
+  while (!pq.isEmpty()) {
+    const currentIndex = pq.pop();
+    settled[currentIndex] = 1;
+    visitedCount++;
+    trace?.push({ type: 'settle', nodeId: ids[currentIndex], distance: distances[currentIndex] });
 
     // Early exit if we reached the destination
-    if (currentNode === endId) break;
-
-    // Skip if we found a better path already
-    if (currentDistance > distances[currentNode]) continue;
+    if (currentIndex === endIndex) break;
 
     // Explore neighbors
-    graph[currentNode].forEach(({ node: neighbor, weight }) => {
-      if (visited.has(neighbor)) return;
-
-      const newDistance = distances[currentNode] + weight;
+    const currentDistance = distances[currentIndex];
+    for (let arc = offsets[currentIndex]; arc < offsets[currentIndex + 1]; arc++) {
+      const neighbor = targets[arc];
+      if (settled[neighbor]) continue;
+
+      const newDistance = currentDistance + weights[arc];
+      trace?.push({
+        type: 'relax',
+        from: ids[currentIndex],
+        to: ids[neighbor],
+        edgeId: edges[edgeIndices[arc]].id,
+        candidate: newDistance
+      });
 
       if (newDistance < distances[neighbor]) {
+        trace?.push({
+          type: 'update',
+          nodeId: ids[neighbor],
+          distance: newDistance,
+          previous: distances[neighbor],
+          edgeId: edges[edgeIndices[arc]].id
+        });
         distances[neighbor] = newDistance;
-        previous[neighbor] = currentNode;
-        pq.push({ node: neighbor, distance: newDistance });
+        previousArc[neighbor] = arc;
+        pq.pushOrDecrease(neighbor, newDistance);
       }
-    });
+    }
   }
 
-  // Reconstruct path
-  if (distances[endId] === Infinity) {
-    return { path: [], totalCost: 0, steps: [], found: false };
-  }
+  const reached = returnDistances ? distancesById(ids, distances) : null;
 
-  const path = [];
-  let current = endId;
-  while (current !== null) {
-    path.unshift(current);
-    current = previous[current];
+  // Reconstruct path
+  if (endIndex === -1 || distances[endIndex] === Infinity) {
+    return {
+      path: [],
+      totalCost: 0,
+      steps: [],
+      found: false,
+      visitedCount,
+      ...(trace && { trace: trace.finish({ type: 'done', found: false, path: [] }) }),
+      ...(reached && { distances: reached })
+    };
   }
 
-  // Build steps with edge details
-  const steps = [];
-  for (let i = 0; i < path.length - 1; i++) {
-    const from = path[i];
-    const to = path[i + 1];
-    const edge = edges.find(
-      e => (e.from === from && e.to === to) || (e.to === from && e.from === to)
-    );
-    if (edge) {
-      steps.push({
-        from,
-        to,
-        cost: edge.weight,
-        edgeId: edge.id
-      });
-    }
-  }
+  const { path, steps } = reconstructPath(graph, edges, previousArc, endIndex);
 
   return {
     path,
-    totalCost: distances[endId],
+    totalCost: distances[endIndex],
     steps,
-    found: true
+    found: true,
+    visitedCount,
+    ...(trace && { trace: trace.finish({ type: 'done', found: true, path }) }),
+    ...(reached && { distances: reached })
+  };
+}
+
+/**
+ * Distances of the reached nodes keyed by node ID
+ * @param {Array} ids - Node ID of each dense index
+ * @param {Float64Array} distances - Distance by dense index (Infinity = unreached)
+ * @returns {Object} - { [nodeId]: number }
+ */
+function distancesById(ids, distances) {
+  const byId = {};
+  ids.forEach((id, i) => {
+    if (distances[i] !== Infinity) byId[id] = distances[i];
+  });
+  return byId;
+}
+
+/**
+ * Build an indexed adjacency list (compressed sparse row) for the shortest-path algorithms
+ * Node IDs are mapped to dense integer indices so distances and the priority
+ * queue can use typed arrays. Blocked edges are skipped; two-way edges become
+ * one arc in each direction.
+ *
+ * The outgoing arcs of node i are offsets[i] .. offsets[i + 1] - 1. Each arc
+ * stores its target node index, its weight and the index of the original edge
+ * in the `edges` array, so the exact edge used can be recovered without searching.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @returns {Object} - { indexOf: Map<id, index>, ids: [], offsets, sources, targets, weights, edgeIndices }
+ */
+export function buildIndexedGraph(nodes, edges) {
+  const indexOf = new Map();
+  const ids = new Array(nodes.length);
+  nodes.forEach((node, i) => {
+    indexOf.set(node.id, i);
+    ids[i] = node.id;
+  });
+
+  // First pass: count outgoing arcs per node
+  const offsets = new Int32Array(ids.length + 1);
+  const fromIndices = new Int32Array(edges.length).fill(-1);
+  const toIndices = new Int32Array(edges.length).fill(-1);
+
+  edges.forEach((edge, i) => {
+    if (edge.blocked) return;
+
+    const fromIndex = indexOf.get(edge.from);
+    const toIndex = indexOf.get(edge.to);
+    if (fromIndex === undefined || toIndex === undefined) return;
+
+    fromIndices[i] = fromIndex;
+    toIndices[i] = toIndex;
+    offsets[fromIndex + 1]++;
+    // Two-way road: add reverse arc (one-way roads only go from -> to)
+    if (!edge.directed) offsets[toIndex + 1]++;
+  });
+
+  for (let i = 0; i < ids.length; i++) {
+    offsets[i + 1] += offsets[i];
+  }
+
+  // Second pass: fill arcs
+  const arcCount = offsets[ids.length];
+  const sources = new Int32Array(arcCount);
+  const targets = new Int32Array(arcCount);
+  const weights = new Float64Array(arcCount);
+  const edgeIndices = new Int32Array(arcCount);
+  const cursor = offsets.slice(0, ids.length);
+
+  const addArc = (from, to, weight, edgeIndex) => {
+    const arc = cursor[from]++;
+    sources[arc] = from;
+    targets[arc] = to;
+    weights[arc] = weight;
+    edgeIndices[arc] = edgeIndex;
   };
+
+  edges.forEach((edge, i) => {
+    if (fromIndices[i] === -1) return;
+    addArc(fromIndices[i], toIndices[i], edge.weight, i);
+    if (!edge.directed) addArc(toIndices[i], fromIndices[i], edge.weight, i);
+  });
+
+  return { indexOf, ids, offsets, sources, targets, weights, edgeIndices };
+}
+
+/**
+ * Walk predecessor arcs back from a node and build the standard path/steps pair
+ *
+ * @param {Object} graph - Result of buildIndexedGraph
+ * @param {Array} edges - The edges array the graph was built from
+ * @param {Int32Array} previousArc - Arc used to reach each node (-1 for none)
+ * @param {number} endIndex - Node index to walk back from
+ * @returns {Object} - { path: [], steps: [] }
+ */
+export function reconstructPath(graph, edges, previousArc, endIndex) {
+  const { ids, sources, edgeIndices } = graph;
+  const path = [ids[endIndex]];
+  const steps = [];
+
+  let current = endIndex;
+  while (previousArc[current] !== -1) {
+    const arc = previousArc[current];
+    const edge = edges[edgeIndices[arc]];
+    const from = sources[arc];
+
+    steps.push({
+      from: ids[from],
+      to: ids[current],
+      cost: edge.weight,
+      edgeId: edge.id
+    });
+    path.push(ids[from]);
+    current = from;
+  }
+
+  path.reverse();
+  steps.reverse();
+  return { path, steps };
 }
 
 /**
@@ -0,0 +1,14 @@
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(filename, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,96 @@
+/**
+ * Edge Metrics
+ * Edges carry separate distance, expected travel time and toll cost fields.
+ * A routing objective turns them into the single `weight` the shortest-path
+ * algorithms consume, so dijkstra(), bellmanFord() and friends stay unchanged.
+ *
+ * Edges created before these fields existed only have a signed `weight`
+ * (negative = toll). For those, distance and time fall back to |weight| and a
+ * negative weight is read as a toll of the same size.
+ */
+
+export const METRICS = {
+  distance: { label: 'Distance', unit: 'km' },
+  time: { label: 'Travel Time', unit: 'min' },
+  toll: { label: 'Toll', unit: '$' }
+};
+
+export const OBJECTIVES = {
+  weight: { label: 'Custom weight', description: 'Legacy signed weight (negative = toll benefit)' },
+  fastest: { label: 'Fastest', description: 'Minimise expected travel time', metric: 'time' },
+  shortest: { label: 'Shortest', description: 'Minimise distance driven', metric: 'distance' },
+  cheapest: { label: 'Cheapest', description: 'Minimise tolls paid', metric: 'toll' },
+  blend: { label: 'Weighted blend', description: 'Combine time, distance and tolls with your own factors' }
+};
+
+export const DEFAULT_BLEND = { time: 1, distance: 0, toll: 0 };
+
+/**
+ * Read one metric of an edge, falling back to the legacy weight
+ * @param {Object} edge - Edge object
+ * @param {string} metric - 'distance', 'time' or 'toll'
+ * @returns {number}
+ */
+export function getEdgeMetric(edge, metric) {
+  const value = edge[metric];
+  if (Number.isFinite(value)) return value;
+
+  const weight = Number.isFinite(edge.weight) ? edge.weight : 0;
+  if (metric === 'toll') return weight < 0 ? -weight : 0;
+  return Math.abs(weight);
+}
+
+/**
+ * Cost of an edge under a routing objective
+ * @param {Object} edge - Edge object
+ * @param {string} objective - Key of OBJECTIVES
+ * @param {Object} blend - { time, distance, toll } factors for the 'blend' objective
+ * @returns {number}
+ */
+export function getObjectiveCost(edge, objective, blend = DEFAULT_BLEND) {
+  if (objective === 'blend') {
+    return Object.keys(METRICS).reduce(
+      (sum, metric) => sum + (blend[metric] || 0) * getEdgeMetric(edge, metric),
+      0
+    );
+  }
+
+  const metric = OBJECTIVES[objective]?.metric;
+  return metric ? getEdgeMetric(edge, metric) : edge.weight;
+}
+
+/**
+ * Copy edges with `weight` replaced by the objective cost
+ * The 'weight' objective returns the original array untouched.
+ *
+ * @param {Array} edges - Array of edge objects
+ * @param {string} objective - Key of OBJECTIVES
+ * @param {Object} blend - Factors for the 'blend' objective
+ * @returns {Array}
+ */
+export function applyObjective(edges, objective, blend = DEFAULT_BLEND) {
+  if (!objective || objective === 'weight') return edges;
+  return edges.map(edge => ({ ...edge, weight: getObjectiveCost(edge, objective, blend) }));
+}
+
+/**
+ * Total every metric along a route, whichever one was optimised
+ * @param {Array} steps - Route steps ({ edgeId })
+ * @param {Array} edges - Original edge objects
+ * @returns {Object} - { distance, time, toll, weight }
+ */
+export function totalRouteMetrics(steps, edges) {
+  const edgeById = new Map(edges.map(edge => [edge.id, edge]));
+  const totals = { distance: 0, time: 0, toll: 0, weight: 0 };
+
+  steps.forEach(step => {
+    const edge = edgeById.get(step.edgeId);
+    if (!edge) return;
+    Object.keys(METRICS).forEach(metric => {
+      totals[metric] += getEdgeMetric(edge, metric);
+    });
+    totals.weight += edge.weight;
+  });
+
+  return totals;
+}
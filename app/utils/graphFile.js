@@ -0,0 +1,196 @@
+import { TIME_SLOTS } from './timeDependentDijkstra.js';
+import { METRICS } from './edgeMetrics.js';
+
+/**
+ * Graph File Format
+ * Versioned JSON document holding everything needed to restore a graph:
+ * nodes (with roles and positions), edges, the role assignments and the node
+ * counter used for new labels.
+ *
+ * {
+ *   "format": "ambulance-route-planner/graph",
+ *   "version": 1,
+ *   "exportedAt": "2025-01-01T00:00:00.000Z",
+ *   "graph": { nodes, edges, ambulanceId, hospitalId, incidentId, nodeCounter }
+ * }
+ *
+ * validateGraph() checks a graph object field by field and reports every
+ * problem it finds, so a bad file is rejected with a useful message instead of
+ * being loaded half-broken.
+ */
+
+export const GRAPH_FILE_FORMAT = 'ambulance-route-planner/graph';
+export const GRAPH_FILE_VERSION = 1;
+
+const NODE_TYPES = ['normal', 'ambulance', 'hospital'];
+
+/**
+ * Wrap graph state in a versioned file document
+ * @param {Object} state - { nodes, edges, ambulanceId, hospitalId, incidentId, nodeCounter }
+ * @returns {Object}
+ */
+export function serializeGraph({ nodes, edges, ambulanceId = null, hospitalId = null, incidentId = null, nodeCounter }) {
+  return {
+    format: GRAPH_FILE_FORMAT,
+    version: GRAPH_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    graph: { nodes, edges, ambulanceId, hospitalId, incidentId, nodeCounter }
+  };
+}
+
+/**
+ * Parse and validate the text of a graph file
+ * @param {string} text - File contents
+ * @returns {Object} - { valid: boolean, errors: string[], graph: Object|null }
+ */
+export function parseGraphFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { valid: false, errors: [`Not valid JSON: ${e.message}`], graph: null };
+  }
+
+  if (!isObject(data) || data.format !== GRAPH_FILE_FORMAT) {
+    return { valid: false, errors: [`Not a graph file (expected "format": "${GRAPH_FILE_FORMAT}")`], graph: null };
+  }
+  if (!Number.isInteger(data.version)) {
+    return { valid: false, errors: ['Missing file version'], graph: null };
+  }
+  if (data.version > GRAPH_FILE_VERSION) {
+    return {
+      valid: false,
+      errors: [`File version ${data.version} is newer than this app supports (${GRAPH_FILE_VERSION})`],
+      graph: null
+    };
+  }
+
+  return validateGraph(data.graph);
+}
+
+/**
+ * Validate graph state and fill in optional fields
+ * @param {Object} graph - { nodes, edges, ambulanceId?, hospitalId?, incidentId?, nodeCounter? }
+ * @returns {Object} - { valid: boolean, errors: string[], graph: Object|null } (graph is normalised when valid)
+ */
+export function validateGraph(graph) {
+  if (!isObject(graph)) {
+    return { valid: false, errors: ['Graph must be an object'], graph: null };
+  }
+
+  const errors = [];
+  const { nodes, edges } = graph;
+
+  if (!Array.isArray(nodes)) errors.push('"nodes" must be an array');
+  if (!Array.isArray(edges)) errors.push('"edges" must be an array');
+  if (errors.length > 0) {
+    return { valid: false, errors, graph: null };
+  }
+
+  // Nodes
+  const nodeIds = new Set();
+  nodes.forEach((node, index) => {
+    const where = `Node #${index + 1}`;
+    if (!isObject(node)) {
+      errors.push(`${where} is not an object`);
+      return;
+    }
+    if (typeof node.id !== 'string' || node.id === '') {
+      errors.push(`${where} has no id`);
+    } else if (nodeIds.has(node.id)) {
+      errors.push(`Duplicate node id "${node.id}"`);
+    } else {
+      nodeIds.add(node.id);
+    }
+    if (node.type !== undefined && !NODE_TYPES.includes(node.type)) {
+      errors.push(`${where} ("${node.id}") has unknown type "${node.type}"`);
+    }
+    ['x', 'y', 'lat', 'lng'].forEach(field => {
+      if (node[field] !== undefined && !Number.isFinite(node[field])) {
+        errors.push(`${where} ("${node.id}") has a non-numeric ${field}`);
+      }
+    });
+  });
+
+  // Edges
+  const edgeIds = new Set();
+  edges.forEach((edge, index) => {
+    const where = `Edge #${index + 1}`;
+    if (!isObject(edge)) {
+      errors.push(`${where} is not an object`);
+      return;
+    }
+    if (typeof edge.id !== 'string' || edge.id === '') {
+      errors.push(`${where} has no id`);
+    } else if (edgeIds.has(edge.id)) {
+      errors.push(`Duplicate edge id "${edge.id}"`);
+    } else {
+      edgeIds.add(edge.id);
+    }
+    ['from', 'to'].forEach(end => {
+      if (!nodeIds.has(edge[end])) {
+        errors.push(`${where} ("${edge.id}") has a dangling "${end}" endpoint "${edge[end]}"`);
+      }
+    });
+    if (!Number.isFinite(edge.weight)) {
+      errors.push(`${where} ("${edge.id}") has a non-numeric weight`);
+    }
+    Object.keys(METRICS).forEach(metric => {
+      const value = edge[metric];
+      if (value !== undefined && value !== null && !(Number.isFinite(value) && value >= 0)) {
+        errors.push(`${where} ("${edge.id}") has an invalid ${metric} (must be a number ≥ 0)`);
+      }
+    });
+    if (edge.timeProfile !== undefined && edge.timeProfile !== null &&
+        !(Array.isArray(edge.timeProfile) && edge.timeProfile.length === TIME_SLOTS && edge.timeProfile.every(Number.isFinite))) {
+      errors.push(`${where} ("${edge.id}") has an invalid timeProfile (expected ${TIME_SLOTS} numbers)`);
+    }
+  });
+
+  // Role assignments must point at existing nodes
+  ['ambulanceId', 'hospitalId', 'incidentId'].forEach(role => {
+    const id = graph[role];
+    if (id !== undefined && id !== null && !nodeIds.has(id)) {
+      errors.push(`"${role}" refers to missing node "${id}"`);
+    }
+  });
+
+  if (graph.nodeCounter !== undefined && !(Number.isInteger(graph.nodeCounter) && graph.nodeCounter > 0)) {
+    errors.push('"nodeCounter" must be a positive integer');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, graph: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    graph: {
+      nodes: nodes.map(node => ({ ...node, label: node.label ?? node.id, type: node.type ?? 'normal' })),
+      edges: edges.map(edge => ({ ...edge, blocked: !!edge.blocked })),
+      ambulanceId: graph.ambulanceId ?? null,
+      hospitalId: graph.hospitalId ?? null,
+      incidentId: graph.incidentId ?? null,
+      // A missing or stale counter would hand out an ID that is already taken
+      nodeCounter: Math.max(graph.nodeCounter ?? 1, nextNodeCounter(nodes))
+    }
+  };
+}
+
+/**
+ * Counter for the next "N<k>" node ID: one past the largest k already in use,
+ * so nodes added after an import never reuse an existing ID
+ * @param {Array} nodes - Array of node objects
+ * @returns {number}
+ */
+export function nextNodeCounter(nodes) {
+  return nodes.reduce((next, node) => {
+    const match = /^N(\d+)$/.exec(node.id);
+    return match ? Math.max(next, Number(match[1]) + 1) : next;
+  }, 1);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
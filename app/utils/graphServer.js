@@ -0,0 +1,86 @@
+/**
+ * Graph Server Client
+ * Browser-side calls to the /api/graphs store. A graph loaded from the server
+ * remembers its id and revision; saving sends that revision back so the
+ * server can refuse the save if another dispatcher changed the graph first.
+ *
+ * Failures other than conflicts throw an Error with the server's message.
+ */
+
+const BASE_URL = '/api/graphs';
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+  });
+  if (response.status === 204) return { response, body: null };
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok && response.status !== 409) {
+    const details = body?.details?.length ? `\n${body.details.join('\n')}` : '';
+    throw new Error(`${body?.error || `Server responded ${response.status}`}${details}`);
+  }
+  return { response, body };
+}
+
+/**
+ * @returns {Promise<Array>} - [{ id, name, revision, updatedAt, nodeCount, edgeCount }]
+ */
+export async function listServerGraphs() {
+  const { body } = await request(BASE_URL);
+  return body.graphs;
+}
+
+/**
+ * @param {string} id - Graph ID
+ * @returns {Promise<Object>} - { id, name, revision, data, ... }
+ */
+export async function loadServerGraph(id) {
+  const { body } = await request(`${BASE_URL}/${encodeURIComponent(id)}`);
+  return body;
+}
+
+/**
+ * Store a graph on the server for the first time
+ * @param {string} name - Display name
+ * @param {Object} data - Scenario data
+ * @returns {Promise<Object>} - The new record
+ */
+export async function publishServerGraph(name, data) {
+  const { body } = await request(BASE_URL, { method: 'POST', body: JSON.stringify({ name, data }) });
+  return body;
+}
+
+/**
+ * Save a new version of a server graph
+ * @param {string} id - Graph ID
+ * @param {number} revision - Revision the local copy is based on
+ * @param {Object} data - Scenario data
+ * @returns {Promise<Object>} - { ok: true, record } or { ok: false, conflict: currentRecord }
+ */
+export async function saveServerGraph(id, revision, data) {
+  const { response, body } = await request(`${BASE_URL}/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ data, revision })
+  });
+  return response.status === 409
+    ? { ok: false, conflict: body.current }
+    : { ok: true, record: body };
+}
+
+/**
+ * Delete a server graph, unless it changed since the given revision
+ * @param {string} id - Graph ID
+ * @param {number} revision - Revision the caller last saw
+ * @returns {Promise<Object>} - { ok: true } or { ok: false, conflict: currentRecord }
+ */
+export async function deleteServerGraph(id, revision) {
+  const { response, body } = await request(
+    `${BASE_URL}/${encodeURIComponent(id)}?revision=${encodeURIComponent(revision)}`,
+    { method: 'DELETE' }
+  );
+  return response.status === 409
+    ? { ok: false, conflict: body.current }
+    : { ok: true };
+}
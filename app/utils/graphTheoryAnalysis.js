@@ -36,6 +36,38 @@ function calculateDegrees(nodes, edges) {
   return degrees;
 }
 
+/**
+ * Calculate in-degree and out-degree of each vertex
+ * One-way edges count once (out at 'from', in at 'to'); two-way edges are
+ * treated as a pair of opposite one-way arcs, so they add one in and one out
+ * to both endpoints
+ * 
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (unblocked only)
+ * @returns {Object} { inDegrees, outDegrees } maps of nodeId -> degree
+ */
+function calculateDirectedDegrees(nodes, edges) {
+  const inDegrees = {};
+  const outDegrees = {};
+  
+  nodes.forEach(node => {
+    inDegrees[node.id] = 0;
+    outDegrees[node.id] = 0;
+  });
+  
+  edges.forEach(edge => {
+    if (edge.blocked) return;
+    outDegrees[edge.from]++;
+    inDegrees[edge.to]++;
+    if (!edge.directed) {
+      outDegrees[edge.to]++;
+      inDegrees[edge.from]++;
+    }
+  });
+  
+  return { inDegrees, outDegrees };
+}
+
 /**
  * Check if the graph is connected using DFS
  * A graph is connected if there is a path between every pair of vertices
@@ -126,6 +158,12 @@ export function analyzeEulerian(nodes, edges) {
   }
   
   const connectivity = isGraphConnected(nodes, activeEdges);
+  
+  // One-way roads switch the analysis to in/out degree conditions
+  if (activeEdges.some(e => e.directed)) {
+    return analyzeDirectedEulerian(nodes, activeEdges, connectivity);
+  }
+  
   const degrees = calculateDegrees(nodes, activeEdges);
   
   // Find vertices with odd degree
@@ -274,6 +312,7 @@ export function analyzeEulerian(nodes, edges) {
     explanation,
     mathematicalReasoning,
     solvingSteps,  // NEW: Detailed solving steps
+    isDirected: false,
     startEndVertices: oddDegreeCount === 2 ? {
       start: oddDegreeVertices[0],
       end: oddDegreeVertices[1]
@@ -281,6 +320,323 @@ export function analyzeEulerian(nodes, edges) {
   };
 }
 
+/**
+ * Analyze Eulerian properties of a graph containing one-way (directed) edges
+ * 
+ * Theorem (directed version of Euler's theorem):
+ * - A weakly connected digraph has an Eulerian Circuit if and only if in-degree = out-degree for every vertex
+ * - A weakly connected digraph has an Eulerian Path if and only if at most one vertex has out - in = 1,
+ *   at most one vertex has in - out = 1, and every other vertex is balanced
+ * 
+ * In a mixed graph each two-way road is driven once, in either direction. The
+ * roads are given the direction that balances the vertices best (see
+ * orientMixedGraph) and the directed theorem is applied to that orientation.
+ * 
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} activeEdges - Array of unblocked edge objects
+ * @param {Object} connectivity - Result of isGraphConnected (weak connectivity)
+ * @returns {Object} Eulerian analysis results
+ */
+function analyzeDirectedEulerian(nodes, activeEdges, connectivity) {
+  const isMixed = activeEdges.some(e => !e.directed);
+  const { inDegrees, outDegrees } = isMixed
+    ? orientMixedGraph(nodes, activeEdges)
+    : calculateDirectedDegrees(nodes, activeEdges);
+  const degrees = {};
+  nodes.forEach(node => {
+    degrees[node.id] = inDegrees[node.id] + outDegrees[node.id];
+  });
+  
+  const arcCount = activeEdges.length;
+  
+  // Classify vertices by their in/out balance
+  const imbalancedVertices = [];
+  const startCandidates = []; // out - in = 1
+  const endCandidates = [];   // in - out = 1
+  let invalidImbalance = false;
+  
+  nodes.forEach(node => {
+    const diff = outDegrees[node.id] - inDegrees[node.id];
+    if (diff === 0) return;
+    imbalancedVertices.push(node.id);
+    if (diff === 1) startCandidates.push(node.id);
+    else if (diff === -1) endCandidates.push(node.id);
+    else invalidImbalance = true;
+  });
+  
+  const imbalancedCount = imbalancedVertices.length;
+  const pathCondition = !invalidImbalance &&
+    startCandidates.length <= 1 &&
+    endCandidates.length <= 1 &&
+    startCandidates.length === endCandidates.length;
+  
+  let hasEulerianCircuit = false;
+  let hasEulerianPath = false;
+  let explanation = "";
+  let mathematicalReasoning = "";
+  let solvingSteps = [];
+  
+  // Step 1: Check (weak) connectivity
+  solvingSteps.push({
+    step: 1,
+    title: "Check Graph Connectivity",
+    description: "Used Depth-First Search (DFS) ignoring edge direction to verify weak connectivity",
+    result: connectivity.connected 
+      ? `✓ Graph is WEAKLY CONNECTED (${connectivity.components} component)` 
+      : `✗ Graph is DISCONNECTED (${connectivity.components} components)`,
+    passed: connectivity.connected
+  });
+  
+  // Step 2: Calculate in/out degrees
+  const degreeList = nodes.map(node => `${node.id}:${inDegrees[node.id]}/${outDegrees[node.id]}`).join(', ');
+  solvingSteps.push({
+    step: 2,
+    title: "Calculate In/Out Degrees",
+    description: isMixed
+      ? "Gave each two-way road the direction that balances the vertices best (max-flow), then counted arcs entering/leaving each vertex"
+      : "Counted arcs entering/leaving each vertex",
+    result: `In/Out: {${degreeList}}`,
+    details: `Total vertices: ${nodes.length}, Total arcs: ${arcCount}`
+  });
+  
+  // Step 3: Identify imbalanced vertices
+  solvingSteps.push({
+    step: 3,
+    title: "Identify Imbalanced Vertices",
+    description: "Found vertices where in-degree ≠ out-degree",
+    result: imbalancedCount === 0
+      ? "✓ All vertices balanced (in = out)"
+      : `Found ${imbalancedCount} imbalanced vertices: ${imbalancedVertices.map(id => `${id} (out - in = ${outDegrees[id] - inDegrees[id]})`).join(', ')}`,
+    passed: pathCondition
+  });
+  
+  // Step 4: Apply the directed Euler theorem
+  if (!connectivity.connected) {
+    solvingSteps.push({
+      step: 4,
+      title: "Apply Euler's Theorem (Directed)",
+      description: "Graph must be weakly connected for Eulerian properties",
+      result: "✗ FAILED - Graph is disconnected",
+      conclusion: "No Eulerian path or circuit can exist"
+    });
+    
+    explanation = `Graph is not connected (${connectivity.components} components). Eulerian paths/circuits require connectivity.`;
+    mathematicalReasoning = "Theorem: An Eulerian path or circuit can only exist in a connected graph, as it must traverse all edges, which is impossible across disconnected components.";
+  } else if (imbalancedCount === 0) {
+    hasEulerianCircuit = true;
+    hasEulerianPath = true;
+    
+    solvingSteps.push({
+      step: 4,
+      title: "Apply Euler's Theorem (Directed Circuit)",
+      description: "Weakly connected + in-degree = out-degree everywhere ⟹ Eulerian Circuit",
+      result: "✓ PASSED - Every vertex is balanced",
+      conclusion: "Eulerian Circuit EXISTS"
+    });
+    
+    explanation = "Graph has a directed Eulerian Circuit (and therefore an Eulerian Path). Every vertex has in-degree equal to out-degree.";
+    mathematicalReasoning = "Directed Euler Theorem: A weakly connected directed graph has an Eulerian circuit if and only if every vertex has equal in-degree and out-degree. Every arrival at a vertex can then be matched with a departure along a one-way road.";
+  } else if (pathCondition) {
+    hasEulerianPath = true;
+    
+    solvingSteps.push({
+      step: 4,
+      title: "Apply Euler's Theorem (Directed Path)",
+      description: "Weakly connected + one vertex with out - in = 1 + one vertex with in - out = 1 ⟹ Eulerian Path",
+      result: "✓ PASSED - Exactly one start and one end vertex",
+      conclusion: "Eulerian Path EXISTS"
+    });
+    
+    solvingSteps.push({
+      step: 5,
+      title: "Determine Path Endpoints",
+      description: "Path must start where out - in = 1 and end where in - out = 1",
+      result: `Start: ${startCandidates[0]}, End: ${endCandidates[0]}`,
+      conclusion: "Direction of travel is fixed by the one-way roads"
+    });
+    
+    explanation = "Graph has a directed Eulerian Path but NOT an Eulerian Circuit. One vertex has an extra outgoing arc and one has an extra incoming arc.";
+    mathematicalReasoning = "Directed Euler Theorem: A weakly connected directed graph has an Eulerian path if and only if exactly one vertex has out-degree - in-degree = 1, exactly one vertex has in-degree - out-degree = 1, and all other vertices are balanced (or every vertex is balanced, giving a circuit).";
+  } else {
+    solvingSteps.push({
+      step: 4,
+      title: "Apply Euler's Theorem (Directed)",
+      description: "Need every vertex balanced, or exactly one start (+1) and one end (-1) vertex",
+      result: `✗ FAILED - ${imbalancedCount} imbalanced vertices`,
+      conclusion: "Neither Eulerian Path nor Circuit exists"
+    });
+    
+    explanation = `Graph has neither a directed Eulerian Path nor Circuit. ${imbalancedCount} vertices have in-degree ≠ out-degree.`;
+    mathematicalReasoning = "Proof: Every time a route passes through a vertex it uses one incoming and one outgoing arc, so all intermediate vertices must be balanced. Only the start (one extra out) and end (one extra in) may differ, and by exactly one.";
+  }
+  
+  if (isMixed) {
+    explanation += " Two-way roads may be driven in either direction; the degrees use the best-balanced orientation.";
+    mathematicalReasoning += " Mixed graph: a route drives each two-way road once in some direction, so it exists exactly when the two-way roads can be oriented to satisfy the directed condition. A max-flow search finds such an orientation whenever one exists.";
+  }
+  
+  return {
+    hasEulerianCircuit,
+    hasEulerianPath,
+    oddDegreeVertices: [],
+    oddDegreeCount: 0,
+    degrees,
+    inDegrees,
+    outDegrees,
+    imbalancedVertices,
+    connected: connectivity.connected,
+    components: connectivity.components,
+    explanation,
+    mathematicalReasoning,
+    solvingSteps,
+    isDirected: true,
+    isMixed,
+    startEndVertices: hasEulerianPath && !hasEulerianCircuit ? {
+      start: startCandidates[0],
+      end: endCandidates[0]
+    } : null
+  };
+}
+
+/**
+ * Orient the two-way roads of a mixed graph so its vertices are as balanced
+ * as possible
+ *
+ * Start with every two-way road pointing from -> to. Reversing a road u -> v
+ * lowers out - in at u by 2 and raises it at v by 2, so balancing is a flow
+ * problem: every vertex with a surplus sends (out - in) / 2 units along
+ * two-way roads (one unit per road, in its current direction) towards
+ * vertices with a deficit, and each road carrying flow is reversed.
+ *
+ * - All vertices even: a balanced orientation (Eulerian circuit) exists iff
+ *   the maximum flow removes every surplus.
+ * - Two odd vertices a, b: a path a -> b exists iff adding a one-way road
+ *   b -> a allows a balanced orientation; both directions are tried.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} activeEdges - Array of unblocked edge objects
+ * @returns {Object} - { inDegrees, outDegrees } under the chosen orientation
+ */
+function orientMixedGraph(nodes, activeEdges) {
+  const totalDegree = {};
+  nodes.forEach(node => {
+    totalDegree[node.id] = 0;
+  });
+  activeEdges.forEach(edge => {
+    totalDegree[edge.from]++;
+    totalDegree[edge.to]++;
+  });
+  const oddVertices = nodes.map(node => node.id).filter(id => totalDegree[id] % 2 === 1);
+  
+  if (oddVertices.length === 2) {
+    const [a, b] = oddVertices;
+    for (const [start, end] of [[a, b], [b, a]]) {
+      const orientation = balanceOrientation(nodes, activeEdges, { from: end, to: start });
+      if (orientation.balanced) return orientation;
+    }
+  }
+  
+  return balanceOrientation(nodes, activeEdges, null);
+}
+
+/**
+ * One max-flow balancing run (see orientMixedGraph)
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} activeEdges - Array of unblocked edge objects
+ * @param {Object|null} extraArc - One-way { from, to } added for the run and left out of the result
+ * @returns {Object} - { balanced, inDegrees, outDegrees }
+ */
+function balanceOrientation(nodes, activeEdges, extraArc) {
+  const inDegrees = {};
+  const outDegrees = {};
+  nodes.forEach(node => {
+    inDegrees[node.id] = 0;
+    outDegrees[node.id] = 0;
+  });
+  
+  const roads = extraArc ? [...activeEdges, { ...extraArc, directed: true }] : activeEdges;
+  roads.forEach(edge => {
+    outDegrees[edge.from]++;
+    inDegrees[edge.to]++;
+  });
+  
+  // Residual network: vertex indices, then source and sink
+  const indexOf = new Map(nodes.map((node, index) => [node.id, index]));
+  const source = nodes.length;
+  const sink = nodes.length + 1;
+  const adjacency = Array.from({ length: nodes.length + 2 }, () => []);
+  const arcTo = [];
+  const capacity = [];
+  const addArc = (from, to, cap) => {
+    adjacency[from].push(arcTo.length);
+    arcTo.push(to);
+    capacity.push(cap);
+    adjacency[to].push(arcTo.length);
+    arcTo.push(from);
+    capacity.push(0);
+    return arcTo.length - 2;
+  };
+  
+  const twoWayArcs = [];
+  activeEdges.forEach(edge => {
+    if (!edge.directed && edge.from !== edge.to) {
+      twoWayArcs.push({ edge, arc: addArc(indexOf.get(edge.from), indexOf.get(edge.to), 1) });
+    }
+  });
+  
+  let required = 0;
+  nodes.forEach((node, index) => {
+    const excess = outDegrees[node.id] - inDegrees[node.id];
+    if (excess > 0) {
+      required += Math.floor(excess / 2);
+      addArc(source, index, Math.floor(excess / 2));
+    } else if (excess < 0) {
+      addArc(index, sink, Math.floor(-excess / 2));
+    }
+  });
+  
+  // Augment along shortest paths (BFS) until the sink is unreachable
+  let flow = 0;
+  while (flow < required) {
+    const viaArc = new Array(nodes.length + 2).fill(-1);
+    const queue = [source];
+    viaArc[source] = -2;
+    for (let head = 0; head < queue.length && viaArc[sink] === -1; head++) {
+      for (const arc of adjacency[queue[head]]) {
+        if (capacity[arc] > 0 && viaArc[arcTo[arc]] === -1) {
+          viaArc[arcTo[arc]] = arc;
+          queue.push(arcTo[arc]);
+        }
+      }
+    }
+    if (viaArc[sink] === -1) break;
+    
+    // Unit capacities on the roads: each augmenting path carries one unit
+    for (let vertex = sink; vertex !== source; vertex = arcTo[viaArc[vertex] ^ 1]) {
+      capacity[viaArc[vertex]]--;
+      capacity[viaArc[vertex] ^ 1]++;
+    }
+    flow++;
+  }
+  
+  // Reverse every two-way road that carries flow
+  twoWayArcs.forEach(({ edge, arc }) => {
+    if (capacity[arc] === 0) {
+      outDegrees[edge.from]--;
+      inDegrees[edge.from]++;
+      inDegrees[edge.to]--;
+      outDegrees[edge.to]++;
+    }
+  });
+  
+  if (extraArc) {
+    outDegrees[extraArc.from]--;
+    inDegrees[extraArc.to]--;
+  }
+  
+  return { balanced: flow === required, inDegrees, outDegrees };
+}
+
 /**
  * Analyze Hamiltonian properties of the graph
  * 
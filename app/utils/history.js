@@ -0,0 +1,73 @@
+/**
+ * Edit History
+ * Undo/redo stacks over snapshots of the graph state. Graph state is never
+ * mutated in place, so a snapshot is just the set of current references and
+ * recording one is cheap.
+ *
+ * Each entry stores the snapshot on the other side of a labelled change: on
+ * the undo stack the state before it, on the redo stack the state after it.
+ * An operation that touches several pieces of state (deleting a node together
+ * with its edges and roles) is recorded once, so it is undone in one step.
+ */
+
+// Oldest entries are dropped beyond this many undo steps
+export const HISTORY_LIMIT = 100;
+
+/**
+ * @returns {Object} - { past: [], future: [] }
+ */
+export function createHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * Record a change about to be applied; clears the redo stack
+ * @param {Object} history - Current history
+ * @param {string} label - Human-readable description of the change
+ * @param {Object} snapshot - Graph state before the change
+ * @returns {Object} - New history
+ */
+export function recordChange(history, label, snapshot) {
+  return {
+    past: [...history.past, { label, snapshot, timestamp: Date.now() }].slice(-HISTORY_LIMIT),
+    future: []
+  };
+}
+
+/**
+ * Step back one change
+ * @param {Object} history - Current history
+ * @param {Object} current - Graph state now
+ * @returns {Object|null} - { history, snapshot: state to restore }, or null if there is nothing to undo
+ */
+export function undoChange(history, current) {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return null;
+
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, { ...entry, snapshot: current }]
+    },
+    snapshot: entry.snapshot
+  };
+}
+
+/**
+ * Re-apply the most recently undone change
+ * @param {Object} history - Current history
+ * @param {Object} current - Graph state now
+ * @returns {Object|null} - { history, snapshot: state to restore }, or null if there is nothing to redo
+ */
+export function redoChange(history, current) {
+  const entry = history.future[history.future.length - 1];
+  if (!entry) return null;
+
+  return {
+    history: {
+      past: [...history.past, { ...entry, snapshot: current }],
+      future: history.future.slice(0, -1)
+    },
+    snapshot: entry.snapshot
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Indexed Binary Min-Heap
+ * Priority queue over integer keys (0 .. capacity - 1) with O(log n) push, pop
+ * and decrease-key. Used by the shortest-path algorithms, which map node IDs to
+ * dense indices so each node has at most one entry in the queue.
+ */
+export class IndexedMinHeap {
+  /**
+   * @param {number} capacity - Number of distinct keys the heap can hold
+   */
+  constructor(capacity) {
+    this.heap = new Int32Array(capacity);        // heap position -> key
+    this.positions = new Int32Array(capacity).fill(-1); // key -> heap position (-1 = absent)
+    this.priorities = new Float64Array(capacity); // key -> priority
+    this.size = 0;
+  }
+
+  isEmpty() {
+    return this.size === 0;
+  }
+
+  has(key) {
+    return this.positions[key] !== -1;
+  }
+
+  priorityOf(key) {
+    return this.priorities[key];
+  }
+
+  /**
+   * Insert a key, or lower its priority if it is already queued
+   * Higher priorities for a queued key are ignored.
+   *
+   * @param {number} key - Key index
+   * @param {number} priority - New priority
+   * @returns {boolean} Whether the heap changed
+   */
+  pushOrDecrease(key, priority) {
+    if (this.has(key)) {
+      if (priority >= this.priorities[key]) return false;
+      this.priorities[key] = priority;
+      this.siftUp(this.positions[key]);
+      return true;
+    }
+
+    this.priorities[key] = priority;
+    this.heap[this.size] = key;
+    this.positions[key] = this.size;
+    this.size++;
+    this.siftUp(this.size - 1);
+    return true;
+  }
+
+  /**
+   * Remove and return the key with the smallest priority
+   * @returns {number} Key index, or -1 if empty
+   */
+  pop() {
+    if (this.size === 0) return -1;
+
+    const top = this.heap[0];
+    this.size--;
+    this.positions[top] = -1;
+
+    if (this.size > 0) {
+      const last = this.heap[this.size];
+      this.heap[0] = last;
+      this.positions[last] = 0;
+      this.siftDown(0);
+    }
+
+    return top;
+  }
+
+  /**
+   * Smallest priority currently queued
+   * @returns {number} Priority, or Infinity if empty
+   */
+  peekPriority() {
+    return this.size === 0 ? Infinity : this.priorities[this.heap[0]];
+  }
+
+  siftUp(index) {
+    const key = this.heap[index];
+    const priority = this.priorities[key];
+
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parentKey = this.heap[parentIndex];
+      if (this.priorities[parentKey] <= priority) break;
+
+      this.heap[index] = parentKey;
+      this.positions[parentKey] = index;
+      index = parentIndex;
+    }
+
+    this.heap[index] = key;
+    this.positions[key] = index;
+  }
+
+  siftDown(index) {
+    const key = this.heap[index];
+    const priority = this.priorities[key];
+    const half = this.size >> 1;
+
+    while (index < half) {
+      let childIndex = 2 * index + 1;
+      let childKey = this.heap[childIndex];
+      const rightIndex = childIndex + 1;
+
+      if (
+        rightIndex < this.size &&
+        this.priorities[this.heap[rightIndex]] < this.priorities[childKey]
+      ) {
+        childIndex = rightIndex;
+        childKey = this.heap[rightIndex];
+      }
+
+      if (this.priorities[childKey] >= priority) break;
+
+      this.heap[index] = childKey;
+      this.positions[childKey] = index;
+      index = childIndex;
+    }
+
+    this.heap[index] = key;
+    this.positions[key] = index;
+  }
+}
@@ -0,0 +1,178 @@
+import { IndexedMinHeap } from './minHeap.js';
+import { buildIndexedGraph, reconstructPath, hasNegativeWeights } from './dijkstra.js';
+import { bellmanFord } from './bellmanFord.js';
+
+/**
+ * Nearest Facility Search
+ * Ranks every facility (e.g. hospital) by travel cost from a start node
+ *
+ * With non-negative weights this is a single multi-target Dijkstra run: the
+ * search expands from the start node and stops as soon as every facility has
+ * been settled, so one pass yields the cost and route to all of them. Negative
+ * weights (tolls) break Dijkstra's settling guarantee, so a single Bellman-Ford
+ * run over the whole graph is used instead and each route is read back from
+ * its predecessor arcs.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @param {string} startId - Starting node ID (ambulance)
+ * @param {Array} facilityIds - Candidate destination node IDs (hospitals)
+ * @returns {Array} - [{ id, found, totalCost, path: [], steps: [], hasNegativeCycle }], nearest first, unreachable last
+ */
+export function rankFacilities(nodes, edges, startId, facilityIds) {
+  if (!startId || facilityIds.length === 0) {
+    return [];
+  }
+
+  const results = hasNegativeWeights(edges)
+    ? multiTargetBellmanFord(nodes, edges, startId, facilityIds)
+    : multiTargetDijkstra(nodes, edges, startId, facilityIds);
+
+  return results.sort(compareRoutes);
+}
+
+/**
+ * Rank candidate sources (e.g. ambulances) by travel cost to a target node
+ *
+ * The reverse of rankFacilities: one search (Dijkstra, or Bellman-Ford with
+ * negative weights) expands backwards from the target over reversed one-way
+ * roads, so every unit's route to the incident comes out of a single pass.
+ * Paths and steps are returned in driving order (unit -> target).
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @param {string} targetId - Destination node ID (incident)
+ * @param {Array} sourceIds - Candidate start node IDs (ambulances)
+ * @returns {Array} - [{ id, found, totalCost, path: [], steps: [], hasNegativeCycle }], fastest first, unreachable last
+ */
+export function rankSources(nodes, edges, targetId, sourceIds) {
+  if (!targetId || sourceIds.length === 0) {
+    return [];
+  }
+
+  const reversedEdges = edges.map(e => e.directed ? { ...e, from: e.to, to: e.from } : e);
+
+  let results;
+  if (hasNegativeWeights(edges)) {
+    results = multiTargetBellmanFord(nodes, reversedEdges, targetId, sourceIds, { reversed: true });
+  } else {
+    results = multiTargetDijkstra(nodes, reversedEdges, targetId, sourceIds).map(result => ({
+      ...result,
+      path: [...result.path].reverse(),
+      steps: [...result.steps].reverse().map(step => ({ ...step, from: step.to, to: step.from }))
+    }));
+  }
+
+  return results.sort(compareRoutes);
+}
+
+function compareRoutes(a, b) {
+  if (a.found !== b.found) return a.found ? -1 : 1;
+  return a.totalCost - b.totalCost;
+}
+
+/**
+ * One Bellman-Ford run from the origin; each facility's route is rebuilt by
+ * following predecessor arcs back to the origin. Facilities affected by a
+ * negative cycle have no shortest route and come back unreachable.
+ *
+ * With `reversed` the edges have already been reversed, so the walk from a
+ * facility to the origin is in driving order (facility -> origin) as it goes.
+ */
+function multiTargetBellmanFord(nodes, edges, originId, facilityIds, { reversed = false } = {}) {
+  const search = bellmanFord(nodes, edges, originId, null, { distances: true });
+  const distances = search.distances || {};
+  const previousArcs = search.previousArcs || {};
+  const hasNegativeCycle = !!search.hasNegativeCycle;
+  const unreachable = { found: false, totalCost: Infinity, path: [], steps: [], hasNegativeCycle };
+
+  return facilityIds.map(id => {
+    if (id === originId && distances[id] !== undefined) {
+      return { id, found: true, totalCost: 0, path: [id], steps: [], hasNegativeCycle };
+    }
+    if (!Number.isFinite(distances[id])) {
+      return { id, ...unreachable };
+    }
+
+    const path = [id];
+    const steps = [];
+    let current = id;
+    while (current !== originId) {
+      const arc = previousArcs[current];
+      if (!arc || steps.length >= nodes.length) {
+        return { id, ...unreachable };
+      }
+      if (reversed) {
+        steps.push({ from: current, to: arc.from, cost: arc.weight, edgeId: arc.id });
+        path.push(arc.from);
+      } else {
+        steps.unshift({ from: arc.from, to: current, cost: arc.weight, edgeId: arc.id });
+        path.unshift(arc.from);
+      }
+      current = arc.from;
+    }
+
+    return { id, found: true, totalCost: distances[id], path, steps, hasNegativeCycle };
+  });
+}
+
+function multiTargetDijkstra(nodes, edges, startId, facilityIds) {
+  const graph = buildIndexedGraph(nodes, edges);
+  const { indexOf, ids, offsets, targets, weights } = graph;
+
+  const unreachable = { found: false, totalCost: Infinity, path: [], steps: [], hasNegativeCycle: false };
+  if (!indexOf.has(startId)) {
+    return facilityIds.map(id => ({ id, ...unreachable }));
+  }
+
+  const nodeCount = ids.length;
+  const distances = new Float64Array(nodeCount).fill(Infinity);
+  const previousArc = new Int32Array(nodeCount).fill(-1);
+  const settled = new Uint8Array(nodeCount);
+  const pq = new IndexedMinHeap(nodeCount);
+
+  // Facilities still waiting to be settled; the search stops when none remain
+  const pending = new Set(
+    facilityIds.filter(id => indexOf.has(id)).map(id => indexOf.get(id))
+  );
+
+  const startIndex = indexOf.get(startId);
+  distances[startIndex] = 0;
+  pq.pushOrDecrease(startIndex, 0);
+
+  while (!pq.isEmpty() && pending.size > 0) {
+    const currentIndex = pq.pop();
+    settled[currentIndex] = 1;
+    pending.delete(currentIndex);
+
+    const currentDistance = distances[currentIndex];
+    for (let arc = offsets[currentIndex]; arc < offsets[currentIndex + 1]; arc++) {
+      const neighbor = targets[arc];
+      if (settled[neighbor]) continue;
+
+      const newDistance = currentDistance + weights[arc];
+      if (newDistance < distances[neighbor]) {
+        distances[neighbor] = newDistance;
+        previousArc[neighbor] = arc;
+        pq.pushOrDecrease(neighbor, newDistance);
+      }
+    }
+  }
+
+  return facilityIds.map(id => {
+    const index = indexOf.get(id);
+    if (index === undefined || !settled[index]) {
+      return { id, ...unreachable };
+    }
+
+    const { path, steps } = reconstructPath(graph, edges, previousArc, index);
+    return {
+      id,
+      found: true,
+      totalCost: distances[index],
+      path,
+      steps,
+      hasNegativeCycle: false
+    };
+  });
+}
@@ -0,0 +1,199 @@
+import { buildIndexedGraph } from './dijkstra.js';
+import { getEdgeMetric, totalRouteMetrics } from './edgeMetrics.js';
+
+// Safety cap on created labels; frontiers on real road graphs stay far below it
+const DEFAULT_MAX_LABELS = 200000;
+
+/**
+ * Bi-objective Label-Setting Search
+ * Finds every Pareto-optimal (non-dominated) route between two metrics, e.g.
+ * travel time vs. toll. A route is dominated when another one is no worse in
+ * both metrics and strictly better in at least one.
+ *
+ * This is Martins' label-setting algorithm specialised to two criteria: each
+ * label is a partial route (costA, costB) and labels are settled in
+ * lexicographic order of (costA, costB). Because every label already settled
+ * at a node has a smaller or equal costA, a new label there is only
+ * non-dominated if its costB is strictly lower than the best settled costB, so
+ * dominance checks are a single comparison per node. The same test against the
+ * destination prunes labels that can no longer beat a route already found.
+ *
+ * Both metrics must be non-negative (see edgeMetrics.js).
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (distance, time, toll)
+ * @param {string} startId - Starting node ID
+ * @param {string} endId - Destination node ID
+ * @param {string} metricA - First metric ('distance', 'time' or 'toll')
+ * @param {string} metricB - Second metric
+ * @param {number} maxLabels - Stop after creating this many labels
+ * @returns {Object} - { routes: [{ path, steps, costs: { [metricA], [metricB] }, metrics, found }], found: boolean, truncated: boolean }
+ *                     Routes are ordered by metricA ascending (and so metricB descending)
+ */
+export function paretoRoutes(nodes, edges, startId, endId, metricA = 'time', metricB = 'toll', maxLabels = DEFAULT_MAX_LABELS) {
+  const empty = { routes: [], found: false, truncated: false };
+  if (!startId || !endId || startId === endId || metricA === metricB) {
+    return empty;
+  }
+
+  const graph = buildIndexedGraph(nodes, edges);
+  const { indexOf, ids, offsets, sources, targets, edgeIndices } = graph;
+  if (!indexOf.has(startId) || !indexOf.has(endId)) {
+    return empty;
+  }
+
+  // Per-arc metric values, read once
+  const arcCount = targets.length;
+  const arcA = new Float64Array(arcCount);
+  const arcB = new Float64Array(arcCount);
+  for (let arc = 0; arc < arcCount; arc++) {
+    const edge = edges[edgeIndices[arc]];
+    arcA[arc] = Math.max(0, getEdgeMetric(edge, metricA));
+    arcB[arc] = Math.max(0, getEdgeMetric(edge, metricB));
+  }
+
+  // Label storage (struct of arrays): costs, owning node, predecessor label and arc
+  const labelA = [];
+  const labelB = [];
+  const labelNode = [];
+  const labelPrev = [];
+  const labelArc = [];
+
+  // Lowest costB among labels settled at each node
+  const bestB = new Float64Array(ids.length).fill(Infinity);
+  const startIndex = indexOf.get(startId);
+  const endIndex = indexOf.get(endId);
+  const heap = new LabelHeap(labelA, labelB);
+  const settledAtEnd = [];
+  let truncated = false;
+
+  const addLabel = (a, b, node, prev, arc) => {
+    labelA.push(a);
+    labelB.push(b);
+    labelNode.push(node);
+    labelPrev.push(prev);
+    labelArc.push(arc);
+    heap.push(labelA.length - 1);
+  };
+
+  addLabel(0, 0, startIndex, -1, -1);
+
+  while (!heap.isEmpty()) {
+    const label = heap.pop();
+    const node = labelNode[label];
+    const b = labelB[label];
+
+    // Dominated by a label settled at this node (or at the destination) since it was queued
+    if (b >= bestB[node] || b >= bestB[endIndex]) continue;
+
+    bestB[node] = b;
+    if (node === endIndex) {
+      settledAtEnd.push(label);
+      continue;
+    }
+
+    if (labelA.length >= maxLabels) {
+      truncated = true;
+      continue;
+    }
+
+    const a = labelA[label];
+    for (let arc = offsets[node]; arc < offsets[node + 1]; arc++) {
+      const neighbor = targets[arc];
+      const newB = b + arcB[arc];
+      if (newB >= bestB[neighbor] || newB >= bestB[endIndex]) continue;
+      addLabel(a + arcA[arc], newB, neighbor, label, arc);
+    }
+  }
+
+  const routes = settledAtEnd.map(endLabel => {
+    const path = [];
+    const steps = [];
+    let current = endLabel;
+    path.push(ids[labelNode[current]]);
+    while (labelPrev[current] !== -1) {
+      const arc = labelArc[current];
+      steps.push({
+        from: ids[sources[arc]],
+        to: ids[targets[arc]],
+        cost: arcA[arc],
+        edgeId: edges[edgeIndices[arc]].id
+      });
+      current = labelPrev[current];
+      path.push(ids[labelNode[current]]);
+    }
+    path.reverse();
+    steps.reverse();
+
+    return {
+      path,
+      steps,
+      found: true,
+      totalCost: labelA[endLabel],
+      costs: { [metricA]: labelA[endLabel], [metricB]: labelB[endLabel] },
+      metrics: totalRouteMetrics(steps, edges)
+    };
+  });
+
+  return { routes, found: routes.length > 0, truncated };
+}
+
+/**
+ * Binary min-heap of label indices ordered by (costA, costB)
+ * Labels are never decreased in place, so a plain heap is enough here.
+ */
+class LabelHeap {
+  constructor(costA, costB) {
+    this.costA = costA;
+    this.costB = costB;
+    this.heap = [];
+  }
+
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  less(i, j) {
+    const a = this.heap[i];
+    const b = this.heap[j];
+    return this.costA[a] < this.costA[b] ||
+      (this.costA[a] === this.costA[b] && this.costB[a] < this.costB[b]);
+  }
+
+  swap(i, j) {
+    const tmp = this.heap[i];
+    this.heap[i] = this.heap[j];
+    this.heap[j] = tmp;
+  }
+
+  push(label) {
+    this.heap.push(label);
+    let i = this.heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.less(i, parent)) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.heap.length && this.less(left, smallest)) smallest = left;
+        if (right < this.heap.length && this.less(right, smallest)) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
@@ -0,0 +1,144 @@
+import { METRICS } from './edgeMetrics.js';
+
+/**
+ * Road Events
+ * Closures, reopenings and weight changes reported from outside the planner
+ * (live feed or a dropped file), applied to the edge list.
+ *
+ * Event shape:
+ *   { type: 'close' | 'reopen' | 'weight', edgeId?, from?, to?,
+ *     weight?, distance?, time?, toll?, reason? }
+ *
+ * An event names its road either by `edgeId` or by the node pair `from`/`to`.
+ * A pair matches every road joining the two nodes that can be driven from ->
+ * to (two-way roads in either direction), so parallel roads change together.
+ * Weight events set whichever of weight/distance/time/toll they carry.
+ */
+
+export const ROAD_EVENT_TYPES = {
+  close: { label: 'Closure', icon: '🚧' },
+  reopen: { label: 'Reopened', icon: '✅' },
+  weight: { label: 'Weight change', icon: '⚖️' }
+};
+
+/**
+ * Check a single event
+ * @param {*} event - Event object
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+export function validateRoadEvent(event) {
+  if (event === null || typeof event !== 'object' || Array.isArray(event)) {
+    return ['Event must be an object'];
+  }
+
+  const errors = [];
+  if (!Object.hasOwn(ROAD_EVENT_TYPES, event.type ?? '')) {
+    errors.push(`Unknown event type "${event.type}" (expected ${Object.keys(ROAD_EVENT_TYPES).join(', ')})`);
+  }
+
+  const hasEdgeId = typeof event.edgeId === 'string' && event.edgeId !== '';
+  const hasPair = typeof event.from === 'string' && event.from !== '' && typeof event.to === 'string' && event.to !== '';
+  if (!hasEdgeId && !hasPair) {
+    errors.push('Event needs an "edgeId" or a "from"/"to" node pair');
+  }
+
+  if (event.type === 'weight') {
+    const fields = ['weight', ...Object.keys(METRICS)].filter(field => event[field] !== undefined);
+    if (fields.length === 0) {
+      errors.push('Weight event needs at least one of weight, distance, time, toll');
+    }
+    if (event.weight !== undefined && !Number.isFinite(event.weight)) {
+      errors.push('"weight" must be a number');
+    }
+    Object.keys(METRICS).forEach(metric => {
+      if (event[metric] !== undefined && !(Number.isFinite(event[metric]) && event[metric] >= 0)) {
+        errors.push(`"${metric}" must be a number ≥ 0`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Read events from a dropped file: a JSON array, `{ events: [...] }`, a single
+ * event object, or newline-delimited JSON (one event per line)
+ * @param {string} text - File contents
+ * @returns {Array} - Events (not yet validated)
+ * @throws {Error} - When the text is not JSON in any of these forms
+ */
+export function parseRoadEventFile(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') return [];
+
+  try {
+    const data = JSON.parse(trimmed);
+    return Array.isArray(data) ? data : Array.isArray(data?.events) ? data.events : [data];
+  } catch {
+    // Fall through to NDJSON
+  }
+
+  return trimmed.split(/\r?\n/).filter(line => line.trim() !== '').map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Line ${index + 1}: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Apply events in order
+ * @param {Array} edges - Array of edge objects
+ * @param {Array} events - Valid events
+ * @returns {Object} - { edges, results: [{ event, edgeIds }] } (edgeIds is empty when nothing matched)
+ */
+export function applyRoadEvents(edges, events) {
+  let current = edges;
+  const results = events.map(event => {
+    const edgeIds = current.filter(edge => matchesEvent(edge, event)).map(edge => edge.id);
+    if (edgeIds.length > 0) {
+      const matched = new Set(edgeIds);
+      current = current.map(edge => matched.has(edge.id) ? applyToEdge(edge, event) : edge);
+    }
+    return { event, edgeIds };
+  });
+
+  return { edges: current, results };
+}
+
+/**
+ * One-line summary of an event for logs and history labels
+ * @param {Object} event - Event object
+ * @returns {string}
+ */
+export function describeRoadEvent(event) {
+  const road = event.edgeId ? `road ${event.edgeId}` : `${event.from}–${event.to}`;
+  const reason = event.reason ? ` (${event.reason})` : '';
+
+  if (event.type === 'close') return `Closed ${road}${reason}`;
+  if (event.type === 'reopen') return `Reopened ${road}${reason}`;
+
+  const changes = ['weight', ...Object.keys(METRICS)]
+    .filter(field => event[field] !== undefined)
+    .map(field => `${field} ${event[field]}`)
+    .join(', ');
+  return `Set ${changes} on ${road}${reason}`;
+}
+
+function matchesEvent(edge, event) {
+  if (event.edgeId) return edge.id === event.edgeId;
+  return (edge.from === event.from && edge.to === event.to) ||
+    (!edge.directed && edge.from === event.to && edge.to === event.from);
+}
+
+function applyToEdge(edge, event) {
+  if (event.type === 'close') return { ...edge, blocked: true };
+  if (event.type === 'reopen') return { ...edge, blocked: false };
+
+  const updated = { ...edge };
+  ['weight', ...Object.keys(METRICS)].forEach(field => {
+    if (event[field] !== undefined) updated[field] = event[field];
+  });
+  return updated;
+}
@@ -0,0 +1,346 @@
+import { haversineDistance } from './astar.js';
+
+/**
+ * Road Network Import
+ * Turns a GeoJSON file of LineStrings or an OpenStreetMap XML extract into the
+ * app's { nodes, edges } model.
+ *
+ * - Every way is cut at intersections (points shared by several ways) and at
+ *   its own endpoints; each piece becomes one edge.
+ * - Edge distance is the great-circle length in km (also used as the weight),
+ *   travel time comes from the highway class or a numeric `maxspeed` tag.
+ * - `oneway=yes/true/1` makes an edge one-way, `oneway=-1` one-way against
+ *   the drawing direction; motorways and roundabouts are one-way by default.
+ * - Ways that are not drivable (footways, cycleways, steps...) are skipped.
+ * - Nodes left with exactly two road pieces and no junction (degree-2 chains
+ *   across way boundaries) are merged away.
+ *
+ * Nodes keep their lat/lng (so A* can use haversine distances) and get canvas
+ * x/y from an equirectangular projection so the layout stays fixed.
+ */
+
+// Free-flow speed (km/h) per highway class; classes not listed here are skipped
+export const HIGHWAY_SPEEDS = {
+  motorway: 100,
+  motorway_link: 60,
+  trunk: 80,
+  trunk_link: 50,
+  primary: 60,
+  primary_link: 40,
+  secondary: 50,
+  secondary_link: 40,
+  tertiary: 40,
+  tertiary_link: 30,
+  unclassified: 30,
+  residential: 30,
+  living_street: 10,
+  service: 20,
+  road: 30
+};
+
+// Speed used for GeoJSON lines without a highway class
+const DEFAULT_SPEED = 30;
+
+// Imports larger than this would make the canvas unusable
+export const MAX_IMPORTED_NODES = 2000;
+
+// Width (canvas units) of the projected layout
+const LAYOUT_SIZE = 1200;
+
+/**
+ * Import a map file, detecting the format from its contents
+ * @param {string} text - GeoJSON or OSM XML text
+ * @returns {Object} - { nodes, edges, nodeCounter, stats: { ways, skippedWays, mergedNodes } }
+ * @throws {Error} - When the file cannot be read as either format or yields no roads
+ */
+export function importRoadNetwork(text) {
+  const ways = text.trimStart().startsWith('<') ? parseOsmXml(text) : parseGeoJson(text);
+  return buildRoadGraph(ways);
+}
+
+/**
+ * Read LineString / MultiLineString features from GeoJSON
+ * @param {string} text - GeoJSON text
+ * @returns {Array} - Ways: [{ points: [{ key, lat, lng }], tags }]
+ */
+export function parseGeoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid GeoJSON: ${e.message}`);
+  }
+
+  const features = data.type === 'FeatureCollection' ? data.features
+    : data.type === 'Feature' ? [data]
+    : [{ type: 'Feature', geometry: data, properties: {} }];
+  if (!Array.isArray(features)) {
+    throw new Error('GeoJSON FeatureCollection has no features array');
+  }
+
+  // GeoJSON has no shared point ids, so identical coordinates are the same point.
+  // Positions without a numeric [lng, lat] are skipped, like OSM nodes without lat/lon
+  const toPoints = (line) => (Array.isArray(line) ? line : [])
+    .filter(position => Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1]))
+    .map(([lng, lat]) => ({ key: `${lng},${lat}`, lat, lng }));
+  const ways = [];
+
+  features.forEach(feature => {
+    const geometry = feature?.geometry;
+    const tags = feature?.properties || {};
+    if (geometry?.type === 'LineString') {
+      ways.push({ points: toPoints(geometry.coordinates), tags });
+    } else if (geometry?.type === 'MultiLineString' && Array.isArray(geometry.coordinates)) {
+      geometry.coordinates.forEach(line => ways.push({ points: toPoints(line), tags }));
+    }
+  });
+
+  return ways;
+}
+
+/**
+ * Read ways from an OSM XML extract
+ * A small attribute scanner rather than a DOM parser, so it runs outside the
+ * browser too. Only <node>, <way>, <nd> and <tag> elements are read.
+ *
+ * @param {string} text - OSM XML text
+ * @returns {Array} - Ways: [{ points: [{ key, lat, lng }], tags }]
+ */
+export function parseOsmXml(text) {
+  if (!/<osm[\s>]/.test(text)) {
+    throw new Error('Not an OSM XML file (no <osm> root element)');
+  }
+
+  const points = new Map();
+  for (const match of text.matchAll(/<node\b([^>]*?)\/?>/g)) {
+    const attrs = readAttributes(match[1]);
+    const lat = parseFloat(attrs.lat);
+    const lng = parseFloat(attrs.lon);
+    if (attrs.id && Number.isFinite(lat) && Number.isFinite(lng)) {
+      points.set(attrs.id, { key: attrs.id, lat, lng });
+    }
+  }
+
+  const ways = [];
+  for (const match of text.matchAll(/<way\b[^>]*>([\s\S]*?)<\/way>/g)) {
+    const body = match[1];
+    const wayPoints = [];
+    for (const nd of body.matchAll(/<nd\b([^>]*?)\/?>/g)) {
+      const point = points.get(readAttributes(nd[1]).ref);
+      if (point) wayPoints.push(point);
+    }
+    const tags = {};
+    for (const tag of body.matchAll(/<tag\b([^>]*?)\/?>/g)) {
+      const { k, v } = readAttributes(tag[1]);
+      if (k !== undefined) tags[k] = v;
+    }
+    ways.push({ points: wayPoints, tags });
+  }
+
+  return ways;
+}
+
+function readAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeXmlEntities(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Build the app graph from parsed ways
+ * @param {Array} ways - [{ points: [{ key, lat, lng }], tags }]
+ * @returns {Object} - { nodes, edges, nodeCounter, stats }
+ */
+export function buildRoadGraph(ways) {
+  // Keep drivable ways with at least one segment
+  const roads = ways.filter(way => way.points.length >= 2 && isDrivable(way.tags));
+  if (roads.length === 0) {
+    throw new Error('No drivable roads found in this file');
+  }
+
+  // A point is a junction if several ways (or one way twice) pass through it
+  const usage = new Map();
+  roads.forEach(way => {
+    way.points.forEach(point => usage.set(point.key, (usage.get(point.key) || 0) + 1));
+  });
+
+  const junctions = new Map(); // point key -> point
+  roads.forEach(way => {
+    way.points.forEach((point, index) => {
+      const isEnd = index === 0 || index === way.points.length - 1;
+      if (isEnd || usage.get(point.key) > 1) junctions.set(point.key, point);
+    });
+  });
+
+  // Cut every way at its junctions
+  let segments = [];
+  roads.forEach(way => {
+    const direction = onewayDirection(way.tags);
+    const speed = waySpeed(way.tags);
+    let start = 0;
+    let length = 0;
+    for (let i = 1; i < way.points.length; i++) {
+      length += haversineDistance(way.points[i - 1], way.points[i]);
+      if (junctions.has(way.points[i].key)) {
+        const from = way.points[direction === -1 ? i : start].key;
+        const to = way.points[direction === -1 ? start : i].key;
+        if (from !== to) {
+          segments.push({ from, to, length, time: (length / speed) * 60, oneway: direction !== 0 });
+        }
+        start = i;
+        length = 0;
+      }
+    }
+  });
+
+  const before = junctions.size;
+  segments = mergeChains(segments, junctions);
+  const mergedNodes = before - junctions.size;
+
+  if (junctions.size > MAX_IMPORTED_NODES) {
+    throw new Error(`The map has ${junctions.size} intersections; import at most ${MAX_IMPORTED_NODES} (use a smaller extract)`);
+  }
+
+  // Number the remaining junctions and project them onto the canvas
+  const points = [...junctions.values()];
+  const project = createProjection(points);
+  const idByKey = new Map();
+  const nodes = points.map((point, index) => {
+    const id = `N${index + 1}`;
+    idByKey.set(point.key, id);
+    return { id, label: `Node ${index + 1}`, type: 'normal', lat: point.lat, lng: point.lng, ...project(point) };
+  });
+
+  const edges = segments.map((segment, index) => {
+    const distance = round(segment.length, 3);
+    return {
+      id: `road-${index + 1}`,
+      from: idByKey.get(segment.from),
+      to: idByKey.get(segment.to),
+      weight: distance,
+      distance,
+      time: round(segment.time, 2),
+      toll: 0,
+      blocked: false,
+      directed: segment.oneway
+    };
+  });
+
+  return {
+    nodes,
+    edges,
+    nodeCounter: nodes.length + 1,
+    stats: { ways: roads.length, skippedWays: ways.length - roads.length, mergedNodes }
+  };
+}
+
+function isDrivable(tags) {
+  if (!tags.highway) return true; // Plain GeoJSON lines are assumed to be roads
+  if (tags.area === 'yes' || tags.access === 'no' || tags.access === 'private') return false;
+  return Object.hasOwn(HIGHWAY_SPEEDS, tags.highway);
+}
+
+// 1 = one-way along the drawing direction, -1 = against it, 0 = two-way
+function onewayDirection(tags) {
+  const oneway = String(tags.oneway ?? '').toLowerCase();
+  if (oneway === '-1' || oneway === 'reverse') return -1;
+  if (oneway === 'yes' || oneway === 'true' || oneway === '1') return 1;
+  if (oneway === 'no' || oneway === 'false' || oneway === '0') return 0;
+  return tags.highway === 'motorway' || tags.junction === 'roundabout' ? 1 : 0;
+}
+
+function waySpeed(tags) {
+  const maxspeed = parseFloat(tags.maxspeed);
+  if (Number.isFinite(maxspeed) && maxspeed > 0) {
+    return String(tags.maxspeed).includes('mph') ? maxspeed * 1.609 : maxspeed;
+  }
+  return HIGHWAY_SPEEDS[tags.highway] ?? DEFAULT_SPEED;
+}
+
+/**
+ * Remove junctions that only join two road pieces end to end
+ * A node is merged when it has exactly two incident segments that would form a
+ * single road: both two-way, or both one-way flowing through it. Merging never
+ * creates a self-loop.
+ */
+function mergeChains(segments, junctions) {
+  const incident = new Map();
+  const attach = (key, segment) => {
+    if (!incident.has(key)) incident.set(key, new Set());
+    incident.get(key).add(segment);
+  };
+  segments.forEach(segment => {
+    attach(segment.from, segment);
+    attach(segment.to, segment);
+  });
+
+  const alive = new Set(segments);
+  for (const key of [...junctions.keys()]) {
+    const touching = incident.get(key);
+    if (!touching || touching.size !== 2) continue;
+
+    const [a, b] = [...touching];
+    if (a.oneway !== b.oneway) continue;
+
+    let merged;
+    if (a.oneway) {
+      // Must flow through: one piece ends here and the other starts here
+      const incoming = a.to === key && b.from === key ? a : b.to === key && a.from === key ? b : null;
+      if (!incoming) continue;
+      const outgoing = incoming === a ? b : a;
+      merged = { from: incoming.from, to: outgoing.to };
+    } else {
+      merged = { from: a.from === key ? a.to : a.from, to: b.from === key ? b.to : b.from };
+    }
+    if (merged.from === merged.to || merged.from === key) continue;
+
+    const segment = { ...merged, length: a.length + b.length, time: a.time + b.time, oneway: a.oneway };
+    alive.delete(a);
+    alive.delete(b);
+    alive.add(segment);
+    [a, b].forEach(old => {
+      incident.get(old.from)?.delete(old);
+      incident.get(old.to)?.delete(old);
+    });
+    attach(segment.from, segment);
+    attach(segment.to, segment);
+    incident.delete(key);
+    junctions.delete(key);
+  }
+
+  return [...alive];
+}
+
+// Equirectangular projection scaled to LAYOUT_SIZE canvas units (north is up)
+function createProjection(points) {
+  const lats = points.map(p => p.lat);
+  const lngs = points.map(p => p.lng);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const span = Math.max((maxLng - minLng) * lngScale, maxLat - minLat) || 1;
+  const scale = LAYOUT_SIZE / span;
+
+  return (point) => ({
+    x: round((point.lng - minLng) * lngScale * scale - LAYOUT_SIZE / 2, 1),
+    y: round((maxLat - point.lat) * scale - LAYOUT_SIZE / 2, 1)
+  });
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
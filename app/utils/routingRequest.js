@@ -0,0 +1,116 @@
+import { dijkstra, hasNegativeWeights } from './dijkstra.js';
+import { bellmanFord } from './bellmanFord.js';
+import { aStar, hasCoordinates } from './astar.js';
+import { bidirectionalDijkstra } from './bidirectionalDijkstra.js';
+import { validateGraph } from './graphFile.js';
+import { applyObjective, OBJECTIVES, METRICS } from './edgeMetrics.js';
+
+/**
+ * Routing Requests
+ * Validation and dispatch for the server-side routing API (app/api). Request
+ * bodies look like
+ *
+ *   { nodes, edges, start, end, algorithm?, objective?, blendFactors?, k? }
+ *
+ * and are checked with the same rules as imported graph files. Results are
+ * the objects returned by dijkstra() / aStar() / bidirectionalDijkstra() /
+ * bellmanFord() unchanged.
+ */
+
+export const ROUTING_ALGORITHMS = {
+  dijkstra,
+  astar: aStar,
+  bidirectional: bidirectionalDijkstra,
+  'bellman-ford': bellmanFord
+};
+
+// Upper bound on k for the alternatives endpoint (Yen's algorithm is O(k·n) searches)
+export const MAX_ALTERNATIVES = 10;
+
+/**
+ * Validate a routing request body
+ * @param {*} body - Parsed JSON body
+ * @param {Object} options - { requireEndpoints: boolean, allowK: boolean }
+ * @returns {Object} - { valid: true, request } or { valid: false, status, errors }
+ *   where request is { nodes, edges, routingEdges, start, end, algorithm, k }
+ */
+export function validateRoutingRequest(body, { requireEndpoints = true, allowK = false } = {}) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, status: 400, errors: ['Request body must be a JSON object'] };
+  }
+
+  const result = validateGraph({ nodes: body.nodes, edges: body.edges });
+  if (!result.valid) {
+    return { valid: false, status: 422, errors: result.errors };
+  }
+
+  const { nodes, edges } = result.graph;
+  const errors = [];
+  const nodeIds = new Set(nodes.map(node => node.id));
+
+  if (requireEndpoints) {
+    ['start', 'end'].forEach(field => {
+      if (typeof body[field] !== 'string' || body[field] === '') {
+        errors.push(`"${field}" must be a node id`);
+      } else if (!nodeIds.has(body[field])) {
+        errors.push(`"${field}" refers to missing node "${body[field]}"`);
+      }
+    });
+  }
+
+  const objective = body.objective ?? 'weight';
+  if (!Object.hasOwn(OBJECTIVES, objective)) {
+    errors.push(`Unknown objective "${objective}" (expected one of ${Object.keys(OBJECTIVES).join(', ')})`);
+  }
+  if (body.blendFactors !== undefined && !isBlend(body.blendFactors)) {
+    errors.push(`"blendFactors" must map ${Object.keys(METRICS).join(', ')} to numbers ≥ 0`);
+  }
+
+  const algorithm = body.algorithm ?? 'auto';
+  if (algorithm !== 'auto' && !Object.hasOwn(ROUTING_ALGORITHMS, algorithm)) {
+    errors.push(`Unknown algorithm "${algorithm}" (expected auto, ${Object.keys(ROUTING_ALGORITHMS).join(', ')})`);
+  }
+
+  let k;
+  if (allowK) {
+    k = body.k ?? 3;
+    if (!Number.isInteger(k) || k < 1 || k > MAX_ALTERNATIVES) {
+      errors.push(`"k" must be an integer from 1 to ${MAX_ALTERNATIVES}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, status: 422, errors };
+  }
+
+  const routingEdges = applyObjective(edges, objective, body.blendFactors);
+
+  // Same rules as the auto-detect switch in the planner
+  let resolved = algorithm;
+  if (algorithm === 'auto') {
+    resolved = hasNegativeWeights(routingEdges) ? 'bellman-ford'
+      : hasCoordinates(nodes) ? 'astar'
+      : 'dijkstra';
+  } else if (algorithm !== 'bellman-ford' && hasNegativeWeights(routingEdges)) {
+    return {
+      valid: false,
+      status: 422,
+      errors: [`The graph has negative weights, which ${algorithm} cannot handle; use "bellman-ford" or "auto"`]
+    };
+  } else if (algorithm === 'astar' && !hasCoordinates(nodes)) {
+    return { valid: false, status: 422, errors: ['"astar" needs x/y or lat/lng coordinates on every node'] };
+  }
+
+  return {
+    valid: true,
+    request: { nodes, edges, routingEdges, start: body.start, end: body.end, algorithm: resolved, k }
+  };
+}
+
+// Missing factors count as 0
+function isBlend(value) {
+  return value !== null && typeof value === 'object' && Object.keys(METRICS).every(metric => {
+    const factor = value[metric] ?? 0;
+    return Number.isFinite(factor) && factor >= 0;
+  });
+}
@@ -0,0 +1,205 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Scenario Library
+ * Named, timestamped copies of the planner state (graph, roles and routing
+ * settings). Scenarios live in IndexedDB, which has room for large imported
+ * road networks; browsers without IndexedDB fall back to one localStorage key.
+ *
+ * Record shape: { id, name, createdAt, updatedAt, data }, where `data` is the
+ * same object the app used to keep in its single localStorage slot.
+ * All functions are async.
+ */
+
+const DB_NAME = 'ambulance-route-planner';
+const DB_VERSION = 1;
+const STORE = 'scenarios';
+
+// Pre-library single slot, migrated into the library on first load
+export const LEGACY_STORAGE_KEY = 'ambulance-route-planner';
+const FALLBACK_STORAGE_KEY = 'ambulance-route-planner-scenarios';
+const ACTIVE_SCENARIO_KEY = 'ambulance-route-planner-active';
+
+let backendPromise = null;
+
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = typeof indexedDB === 'undefined'
+      ? Promise.resolve(localStorageBackend())
+      : openIndexedDb().then(indexedDbBackend, (error) => {
+          console.error('IndexedDB unavailable, storing scenarios in localStorage:', error);
+          return localStorageBackend();
+        });
+  }
+  return backendPromise;
+}
+
+function openIndexedDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function indexedDbBackend(db) {
+  const run = (mode, operation) => new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  return {
+    getAll: () => run('readonly', store => store.getAll()),
+    get: (id) => run('readonly', store => store.get(id)),
+    put: (record) => run('readwrite', store => store.put(record)),
+    delete: (id) => run('readwrite', store => store.delete(id))
+  };
+}
+
+function localStorageBackend() {
+  const read = () => JSON.parse(localStorage.getItem(FALLBACK_STORAGE_KEY) || '{}');
+  const write = (records) => localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(records));
+
+  return {
+    getAll: async () => Object.values(read()),
+    get: async (id) => read()[id],
+    put: async (record) => write({ ...read(), [record.id]: record }),
+    delete: async (id) => {
+      const records = read();
+      delete records[id];
+      write(records);
+    }
+  };
+}
+
+/**
+ * List scenarios without their graph data, most recently modified first
+ * @returns {Promise<Array>} - [{ id, name, createdAt, updatedAt, nodeCount, edgeCount }]
+ */
+export async function listScenarios() {
+  const records = await (await getBackend()).getAll();
+  return records
+    .map(({ id, name, createdAt, updatedAt, data }) => ({
+      id,
+      name,
+      createdAt,
+      updatedAt,
+      nodeCount: data?.nodes?.length ?? 0,
+      edgeCount: data?.edges?.length ?? 0
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * @param {string} id - Scenario ID
+ * @returns {Promise<Object|undefined>} - Full record including data
+ */
+export async function getScenario(id) {
+  return (await getBackend()).get(id);
+}
+
+/**
+ * Create a scenario
+ * @param {string} name - Display name
+ * @param {Object} data - Planner state
+ * @returns {Promise<Object>} - The new record
+ */
+export async function createScenario(name, data) {
+  const now = Date.now();
+  const record = { id: uuidv4(), name, createdAt: now, updatedAt: now, data };
+  await (await getBackend()).put(record);
+  return record;
+}
+
+/**
+ * Replace a scenario's data and bump its timestamp
+ * @param {string} id - Scenario ID
+ * @param {Object} data - Planner state
+ * @returns {Promise<Object|null>} - Updated record, or null if it no longer exists
+ */
+export async function updateScenario(id, data) {
+  const backend = await getBackend();
+  const record = await backend.get(id);
+  if (!record) return null;
+
+  const updated = { ...record, data, updatedAt: Date.now() };
+  await backend.put(updated);
+  return updated;
+}
+
+/**
+ * @param {string} id - Scenario ID
+ * @param {string} name - New display name
+ */
+export async function renameScenario(id, name) {
+  const backend = await getBackend();
+  const record = await backend.get(id);
+  if (record) {
+    await backend.put({ ...record, name, updatedAt: Date.now() });
+  }
+}
+
+/**
+ * Copy a scenario under a new name
+ * @param {string} id - Scenario to copy
+ * @param {string} name - Name of the copy
+ * @returns {Promise<Object|null>} - The copy, or null if the original is gone
+ */
+export async function duplicateScenario(id, name) {
+  const record = await getScenario(id);
+  return record ? createScenario(name, record.data) : null;
+}
+
+/**
+ * @param {string} id - Scenario ID
+ */
+export async function deleteScenario(id) {
+  await (await getBackend()).delete(id);
+}
+
+/**
+ * Move the pre-library single localStorage slot into the library
+ * Runs once: the old key is removed after it has been copied.
+ *
+ * @returns {Promise<Object|null>} - The migrated scenario, or null if there was nothing to migrate
+ */
+export async function migrateLegacySlot() {
+  const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!saved) return null;
+
+  let data;
+  try {
+    data = JSON.parse(saved);
+  } catch (e) {
+    console.error('Discarding unreadable saved graph:', e);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return null;
+  }
+
+  const record = await createScenario('My graph', data);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  return record;
+}
+
+/**
+ * Which scenario was open last (kept in localStorage, it is tiny)
+ * @returns {string|null}
+ */
+export function readActiveScenarioId() {
+  return localStorage.getItem(ACTIVE_SCENARIO_KEY);
+}
+
+/**
+ * @param {string|null} id - Scenario now open
+ */
+export function writeActiveScenarioId(id) {
+  if (id) {
+    localStorage.setItem(ACTIVE_SCENARIO_KEY, id);
+  } else {
+    localStorage.removeItem(ACTIVE_SCENARIO_KEY);
+  }
+}
@@ -0,0 +1,127 @@
+import { validateGraph } from './graphFile.js';
+import { OBJECTIVES, METRICS } from './edgeMetrics.js';
+
+/**
+ * Shareable Links
+ * Packs the whole planner state (graph, roles, algorithm and routing settings)
+ * into a URL fragment so a colleague opening the link sees the same network.
+ *
+ * Fragment: `#share=<data>`, where <data> is the state as JSON, compressed
+ * with raw DEFLATE and written in base64url. Fragments are never sent to the
+ * server, so the graph stays in the browser.
+ *
+ * Payload: { v, graph: { nodes, edges, ambulanceId, hospitalId, incidentId,
+ * nodeCounter }, algorithm, autoDetectAlgorithm, objective, blendFactors,
+ * timeDependent, departureTime }
+ */
+
+export const SHARE_FRAGMENT_KEY = 'share';
+export const SHARE_VERSION = 1;
+
+// A link can inflate to at most this many bytes of JSON; a crafted fragment
+// could otherwise expand to gigabytes before validation
+export const MAX_SHARED_STATE_BYTES = 8 * 1024 * 1024;
+
+const ALGORITHMS = ['dijkstra', 'astar', 'bidirectional', 'contraction', 'bellman-ford'];
+
+/**
+ * Encode planner state as a URL fragment (without the leading '#')
+ * @param {Object} state - Graph snapshot plus algorithm and routing settings
+ * @returns {Promise<string>}
+ */
+export async function encodeShareFragment(state) {
+  const json = JSON.stringify({ v: SHARE_VERSION, ...state });
+  const compressed = await pipeThrough(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return `${SHARE_FRAGMENT_KEY}=${toBase64Url(compressed)}`;
+}
+
+/**
+ * Read the shared state from a URL fragment
+ * @param {string} hash - `location.hash`, with or without the leading '#'
+ * @returns {Promise<Object|null>} - null if the fragment holds no shared state,
+ *   otherwise { valid: boolean, errors: string[], state: Object|null }
+ */
+export async function decodeShareFragment(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const data = params.get(SHARE_FRAGMENT_KEY);
+  if (!data) return null;
+
+  let payload;
+  try {
+    const bytes = await pipeThrough(fromBase64Url(data), new DecompressionStream('deflate-raw'), MAX_SHARED_STATE_BYTES);
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    if (e instanceof RangeError) {
+      return { valid: false, errors: [`The link holds more than ${MAX_SHARED_STATE_BYTES / (1024 * 1024)} MB of data`], state: null };
+    }
+    return { valid: false, errors: [`The link is damaged or incomplete (${e.message})`], state: null };
+  }
+
+  if (!payload || typeof payload !== 'object' || !Number.isInteger(payload.v)) {
+    return { valid: false, errors: ['The link does not contain a shared graph'], state: null };
+  }
+  if (payload.v > SHARE_VERSION) {
+    return { valid: false, errors: [`The link was made by a newer version of this app (v${payload.v})`], state: null };
+  }
+
+  const result = validateGraph(payload.graph);
+  if (!result.valid) {
+    return { valid: false, errors: result.errors, state: null };
+  }
+
+  // Settings are optional; anything unrecognised falls back to the defaults
+  const blendFactors = payload.blendFactors && Object.keys(METRICS).every(
+    metric => Number.isFinite(payload.blendFactors[metric])
+  ) ? payload.blendFactors : undefined;
+
+  return {
+    valid: true,
+    errors: [],
+    state: {
+      graph: result.graph,
+      algorithm: ALGORITHMS.includes(payload.algorithm) ? payload.algorithm : undefined,
+      autoDetectAlgorithm: typeof payload.autoDetectAlgorithm === 'boolean' ? payload.autoDetectAlgorithm : undefined,
+      objective: Object.hasOwn(OBJECTIVES, payload.objective ?? '') ? payload.objective : undefined,
+      blendFactors,
+      timeDependent: typeof payload.timeDependent === 'boolean' ? payload.timeDependent : undefined,
+      departureTime: Number.isFinite(payload.departureTime) ? payload.departureTime : undefined
+    }
+  };
+}
+
+async function pipeThrough(bytes, transform, maxBytes = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      throw new RangeError(`Output exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
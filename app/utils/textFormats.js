@@ -0,0 +1,397 @@
+import { validateGraph, nextNodeCounter } from './graphFile.js';
+
+/**
+ * Plain-Text Graph Formats
+ * Import and export for the formats used by shortest-path benchmarks and
+ * other graph tools:
+ *
+ * - DIMACS (.gr): `p sp <nodes> <arcs>` then one `a <from> <to> <weight>` line
+ *   per arc, nodes numbered from 1. Exports add `c node <n> <id>` comments so
+ *   node ids survive a round trip; other tools ignore comments.
+ * - Edge list: one `<from> <to> <weight>` line per road, whitespace or comma
+ *   separated. Lines are two-way roads unless the list starts with a
+ *   `# directed` line, in which case every line is a one-way arc. Ids with
+ *   separators or quotes are written in double quotes ("" for a quote).
+ *   Nodes without roads cannot be listed (see exportWarnings).
+ * - Adjacency matrix (CSV): a header row of node ids, then one row per node
+ *   with its id and the weight to every column node. Empty, `inf` or `∞`
+ *   cells mean no road. Equal weights in both directions become one two-way
+ *   road, anything else one-way roads.
+ *
+ * Only unblocked roads are exported, as in the on-screen matrix. On import,
+ * opposite arcs with equal weights are merged back into a two-way road.
+ */
+
+export const TEXT_FORMATS = {
+  dimacs: { label: 'DIMACS (.gr)', extension: 'gr' },
+  edgeList: { label: 'Edge list', extension: 'txt' },
+  matrix: { label: 'Adjacency matrix (CSV)', extension: 'csv' }
+};
+
+/**
+ * Weighted adjacency matrix of the unblocked roads
+ * Rows are "from", columns are "to"; parallel roads keep the lowest weight.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @returns {Object} - matrix[fromId][toId] = weight (0 on the diagonal, Infinity for no road)
+ */
+export function buildAdjacencyMatrix(nodes, edges) {
+  const matrix = {};
+  nodes.forEach(row => {
+    matrix[row.id] = {};
+    nodes.forEach(col => {
+      matrix[row.id][col.id] = row.id === col.id ? 0 : Infinity;
+    });
+  });
+
+  const setCell = (from, to, weight) => {
+    if (matrix[from]?.[to] !== undefined && from !== to) {
+      matrix[from][to] = Math.min(matrix[from][to], weight);
+    }
+  };
+
+  edges.forEach(edge => {
+    if (edge.blocked) return;
+    setCell(edge.from, edge.to, edge.weight);
+    if (!edge.directed) setCell(edge.to, edge.from, edge.weight); // Two-way road
+  });
+
+  return matrix;
+}
+
+/**
+ * Export a graph as text
+ * @param {string} format - Key of TEXT_FORMATS
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @returns {string}
+ */
+export function exportGraphText(format, nodes, edges) {
+  const activeEdges = edges.filter(edge => !edge.blocked);
+
+  if (format === 'dimacs') {
+    const numberOf = new Map(nodes.map((node, index) => [node.id, index + 1]));
+    const arcs = toArcs(activeEdges);
+    return [
+      'c Ambulance route planner graph',
+      ...nodes.map((node, index) => `c node ${index + 1} ${node.id}`),
+      `p sp ${nodes.length} ${arcs.length}`,
+      ...arcs.map(arc => `a ${numberOf.get(arc.from)} ${numberOf.get(arc.to)} ${arc.weight}`)
+    ].join('\n') + '\n';
+  }
+
+  if (format === 'edgeList') {
+    // One-way roads can only be expressed by switching the whole list to arcs
+    const directed = activeEdges.some(edge => edge.directed);
+    const lines = directed
+      ? toArcs(activeEdges).map(arc => `${edgeListId(arc.from)} ${edgeListId(arc.to)} ${arc.weight}`)
+      : activeEdges.map(edge => `${edgeListId(edge.from)} ${edgeListId(edge.to)} ${edge.weight}`);
+    return [...(directed ? ['# directed'] : []), ...lines].join('\n') + '\n';
+  }
+
+  if (format === 'matrix') {
+    const matrix = buildAdjacencyMatrix(nodes, edges);
+    return [
+      ['', ...nodes.map(node => csvCell(node.id))].join(','),
+      ...nodes.map(row => [
+        csvCell(row.id),
+        ...nodes.map(col => {
+          const value = matrix[row.id][col.id];
+          return value === Infinity ? '' : String(value);
+        })
+      ].join(','))
+    ].join('\n') + '\n';
+  }
+
+  throw new Error(`Unknown format "${format}"`);
+}
+
+/**
+ * What an export in this format leaves out, beyond blocked roads
+ * @param {string} format - Key of TEXT_FORMATS
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @returns {string[]} - One message per kind of loss (empty when nothing is lost)
+ */
+export function exportWarnings(format, nodes, edges) {
+  if (format !== 'edgeList') return [];
+
+  const connected = new Set();
+  edges.forEach(edge => {
+    if (edge.blocked) return;
+    connected.add(edge.from);
+    connected.add(edge.to);
+  });
+  const isolated = nodes.filter(node => !connected.has(node.id)).map(node => node.id);
+  return isolated.length > 0
+    ? [`${isolated.length} node${isolated.length === 1 ? '' : 's'} without open roads cannot be written to an edge list: ${isolated.join(', ')}`]
+    : [];
+}
+
+/**
+ * Import a graph from text
+ * @param {string} format - Key of TEXT_FORMATS
+ * @param {string} text - File or pasted contents
+ * @returns {Object} - { nodes, edges, nodeCounter }
+ * @throws {Error} - With the offending line number when the text is malformed
+ */
+export function importGraphText(format, text) {
+  const parse = { dimacs: parseDimacs, edgeList: parseEdgeList, matrix: parseMatrix }[format];
+  if (!parse) {
+    throw new Error(`Unknown format "${format}"`);
+  }
+
+  const { nodeIds, arcs, directed } = parse(text);
+
+  const edges = directed ? mergeOppositeArcs(arcs) : arcs.map(arc => ({ ...arc, directed: false }));
+  const nodes = nodeIds.map(id => ({ id, label: id, type: 'normal' }));
+  const result = validateGraph({
+    nodes,
+    edges: edges.map((edge, index) => ({ id: `edge-${index + 1}`, ...edge, blocked: false })),
+    nodeCounter: nextNodeCounter(nodes)
+  });
+
+  if (!result.valid) {
+    throw new Error(result.errors.join('\n'));
+  }
+  return { nodes: result.graph.nodes, edges: result.graph.edges, nodeCounter: result.graph.nodeCounter };
+}
+
+// Every road as directed arcs (two-way roads become a pair)
+function toArcs(edges) {
+  return edges.flatMap(edge => edge.directed
+    ? [{ from: edge.from, to: edge.to, weight: edge.weight }]
+    : [
+        { from: edge.from, to: edge.to, weight: edge.weight },
+        { from: edge.to, to: edge.from, weight: edge.weight }
+      ]);
+}
+
+// Pair u->v with v->u of the same weight into one two-way road
+function mergeOppositeArcs(arcs) {
+  const unmatched = new Map();
+  const edges = [];
+
+  arcs.forEach(arc => {
+    const reverseKey = `${arc.to}\u0000${arc.from}\u0000${arc.weight}`;
+    const waiting = unmatched.get(reverseKey);
+    if (waiting?.length) {
+      const partner = waiting.pop();
+      partner.directed = false;
+      return;
+    }
+
+    const edge = { ...arc, directed: true };
+    edges.push(edge);
+    const key = `${arc.from}\u0000${arc.to}\u0000${arc.weight}`;
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(edge);
+  });
+
+  return edges;
+}
+
+function parseDimacs(text) {
+  const names = new Map();
+  const arcs = [];
+  let nodeCount = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    const fields = line.split(/\s+/);
+    const where = `Line ${index + 1}`;
+
+    if (line === '') return;
+    if (fields[0] === 'c') {
+      // Our own `c node <n> <id>` comments restore node ids
+      if (fields[1] === 'node' && fields.length >= 4) names.set(Number(fields[2]), fields.slice(3).join(' '));
+      return;
+    }
+    if (fields[0] === 'p') {
+      if (fields.length !== 4 || !isCount(fields[2]) || !isCount(fields[3])) {
+        throw new Error(`${where}: expected "p sp <nodes> <arcs>"`);
+      }
+      nodeCount = Number(fields[2]);
+      return;
+    }
+    if (fields[0] === 'a') {
+      if (nodeCount === null) throw new Error(`${where}: arc before the "p" problem line`);
+      if (fields.length !== 4) throw new Error(`${where}: expected "a <from> <to> <weight>"`);
+      const [from, to] = [fields[1], fields[2]].map(Number);
+      [from, to].forEach(n => {
+        if (!Number.isInteger(n) || n < 1 || n > nodeCount) {
+          throw new Error(`${where}: node ${n} is outside 1..${nodeCount}`);
+        }
+      });
+      arcs.push({ from, to, weight: parseWeight(fields[3], where) });
+      return;
+    }
+    throw new Error(`${where}: unknown line type "${fields[0]}"`);
+  });
+
+  if (nodeCount === null) {
+    throw new Error('Missing "p sp <nodes> <arcs>" problem line');
+  }
+
+  const idOf = (n) => names.get(n) ?? `N${n}`;
+  return {
+    nodeIds: Array.from({ length: nodeCount }, (_, i) => idOf(i + 1)),
+    arcs: arcs.map(arc => ({ from: idOf(arc.from), to: idOf(arc.to), weight: arc.weight })),
+    directed: true
+  };
+}
+
+function parseEdgeList(text) {
+  const nodeIds = [];
+  const seen = new Set();
+  const arcs = [];
+  let directed = false;
+
+  const addNode = (id) => {
+    if (!seen.has(id)) {
+      seen.add(id);
+      nodeIds.push(id);
+    }
+  };
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (line === '') return;
+    if (line.startsWith('#') || line.startsWith('%')) {
+      if (/^#\s*directed\b/i.test(line)) directed = true;
+      return;
+    }
+
+    const where = `Line ${index + 1}`;
+    const fields = splitEdgeListLine(line, where);
+    if (fields.length < 2 || fields.length > 3) {
+      throw new Error(`${where}: expected "<from> <to> <weight>"`);
+    }
+
+    const [from, to] = fields;
+    addNode(from);
+    addNode(to);
+    arcs.push({ from, to, weight: fields.length === 3 ? parseWeight(fields[2], where) : 1 });
+  });
+
+  return { nodeIds, arcs, directed };
+}
+
+function parseMatrix(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(parseCsvLine);
+  if (rows.length < 2) {
+    throw new Error('Expected a header row of node ids followed by one row per node');
+  }
+
+  const header = rows[0].slice(1);
+  const nodeIds = [];
+  rows.slice(1).forEach((row, index) => {
+    const where = `Row ${index + 2}`;
+    if (row[0] !== header[index]) {
+      throw new Error(`${where}: row id "${row[0]}" does not match column "${header[index] ?? ''}"`);
+    }
+    if (row.length - 1 !== header.length) {
+      throw new Error(`${where}: has ${row.length - 1} values, expected ${header.length}`);
+    }
+    nodeIds.push(row[0]);
+  });
+  if (nodeIds.length !== header.length) {
+    throw new Error(`Matrix has ${header.length} columns but ${nodeIds.length} rows`);
+  }
+
+  const arcs = [];
+  rows.slice(1).forEach((row, r) => {
+    row.slice(1).forEach((cell, c) => {
+      if (r === c || isNoRoad(cell)) return;
+      arcs.push({ from: nodeIds[r], to: nodeIds[c], weight: parseWeight(cell, `Row ${r + 2}, column ${c + 2}`) });
+    });
+  });
+
+  return { nodeIds, arcs, directed: true };
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Fields are separated by whitespace, commas or semicolons; double quotes
+// keep separators inside an id
+function splitEdgeListLine(line, where) {
+  const fields = [];
+  let i = 0;
+  while (i < line.length) {
+    if (/[\s,;]/.test(line[i])) {
+      i++;
+    } else if (line[i] === '"') {
+      let field = '';
+      for (i++; ; i++) {
+        if (i >= line.length) throw new Error(`${where}: unterminated quoted id`);
+        if (line[i] === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (line[i] === '"') {
+          i++;
+          break;
+        } else {
+          field += line[i];
+        }
+      }
+      fields.push(field);
+    } else {
+      const end = line.slice(i).search(/[\s,;]/);
+      const stop = end === -1 ? line.length : i + end;
+      fields.push(line.slice(i, stop));
+      i = stop;
+    }
+  }
+  return fields;
+}
+
+function edgeListId(id) {
+  return /[\s,;"]/.test(id) || /^[#%]/.test(id) || id === '' ? `"${id.replace(/"/g, '""')}"` : id;
+}
+
+function csvCell(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function isNoRoad(cell) {
+  return cell === '' || cell === '∞' || cell === '-' || /^(inf|infinity)$/i.test(cell);
+}
+
+function isCount(value) {
+  return /^\d+$/.test(value);
+}
+
+function parseWeight(value, where) {
+  const weight = Number(value);
+  if (value === '' || !Number.isFinite(weight)) {
+    throw new Error(`${where}: weight "${value}" is not a number`);
+  }
+  return weight;
+}
@@ -0,0 +1,166 @@
+import { IndexedMinHeap } from './minHeap.js';
+import { buildIndexedGraph } from './dijkstra.js';
+import { getEdgeMetric } from './edgeMetrics.js';
+
+export const TIME_SLOTS = 24; // One slot per hour of the day
+export const SLOT_MINUTES = 60;
+const DAY_MINUTES = TIME_SLOTS * SLOT_MINUTES;
+
+/**
+ * Time-Dependent Dijkstra Implementation
+ * Finds the earliest-arrival path when edge travel times vary by time of day
+ *
+ * Edge weights are travel times in minutes. An edge may carry a `timeProfile`
+ * array with one weight per hourly slot; edges without a profile always use
+ * their static travel `time` (falling back to the legacy weight), whatever
+ * routing objective is selected. Each edge is evaluated at the time the ambulance
+ * reaches its start node, so a road that is congested at 08:00 is only
+ * penalised if the route actually gets there during rush hour.
+ *
+ * Correctness relies on the FIFO property (leaving later never means arriving
+ * earlier). Profiles are interpolated linearly between slot midpoints, which
+ * keeps FIFO as long as a weight never drops by more than 60 minutes from one
+ * slot to the next.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (optional timeProfile: number[24])
+ * @param {string} startId - Starting node ID
+ * @param {string} endId - Destination node ID
+ * @param {number} departureTime - Departure time in minutes since midnight
+ * @returns {Object} - { path: [], totalCost: number, steps: [{ ..., departTime, arrivalTime }], found: boolean, departureTime, arrivalTime }
+ */
+export function timeDependentDijkstra(nodes, edges, startId, endId, departureTime = 0) {
+  if (!startId || !endId || startId === endId) {
+    return { path: [], totalCost: 0, steps: [], found: false, departureTime, arrivalTime: departureTime };
+  }
+
+  const graph = buildIndexedGraph(nodes, edges);
+  const { indexOf, ids, offsets, sources, targets, edgeIndices } = graph;
+
+  if (!indexOf.has(startId) || !indexOf.has(endId)) {
+    return { path: [], totalCost: 0, steps: [], found: false, departureTime, arrivalTime: departureTime };
+  }
+
+  const startIndex = indexOf.get(startId);
+  const endIndex = indexOf.get(endId);
+  const nodeCount = ids.length;
+
+  // Labels are arrival times rather than distances
+  const arrivals = new Float64Array(nodeCount).fill(Infinity);
+  const previousArc = new Int32Array(nodeCount).fill(-1);
+  const settled = new Uint8Array(nodeCount);
+  const pq = new IndexedMinHeap(nodeCount);
+
+  arrivals[startIndex] = departureTime;
+  pq.pushOrDecrease(startIndex, departureTime);
+
+  while (!pq.isEmpty()) {
+    const currentIndex = pq.pop();
+    settled[currentIndex] = 1;
+
+    if (currentIndex === endIndex) break;
+
+    const currentTime = arrivals[currentIndex];
+    for (let arc = offsets[currentIndex]; arc < offsets[currentIndex + 1]; arc++) {
+      const neighbor = targets[arc];
+      if (settled[neighbor]) continue;
+
+      // Evaluate the edge at the time we would enter it
+      const newArrival = currentTime + edgeWeightAt(edges[edgeIndices[arc]], currentTime);
+
+      if (newArrival < arrivals[neighbor]) {
+        arrivals[neighbor] = newArrival;
+        previousArc[neighbor] = arc;
+        pq.pushOrDecrease(neighbor, newArrival);
+      }
+    }
+  }
+
+  if (arrivals[endIndex] === Infinity) {
+    return { path: [], totalCost: 0, steps: [], found: false, departureTime, arrivalTime: departureTime };
+  }
+
+  // Reconstruct path with per-step departure/arrival times
+  const path = [ids[endIndex]];
+  const steps = [];
+  let current = endIndex;
+  while (previousArc[current] !== -1) {
+    const arc = previousArc[current];
+    const edge = edges[edgeIndices[arc]];
+    const from = sources[arc];
+
+    steps.push({
+      from: ids[from],
+      to: ids[current],
+      cost: arrivals[current] - arrivals[from],
+      edgeId: edge.id,
+      departTime: arrivals[from],
+      arrivalTime: arrivals[current]
+    });
+    path.push(ids[from]);
+    current = from;
+  }
+  path.reverse();
+  steps.reverse();
+
+  return {
+    path,
+    totalCost: arrivals[endIndex] - departureTime,
+    steps,
+    found: true,
+    departureTime,
+    arrivalTime: arrivals[endIndex]
+  };
+}
+
+/**
+ * Travel time of an edge when entered at a given time of day
+ * Linear interpolation between hourly slot midpoints (wrapping at midnight).
+ * Travel times are never negative.
+ *
+ * @param {Object} edge - Edge object with time (or weight) and optional timeProfile
+ * @param {number} minutes - Time in minutes since midnight (may exceed one day)
+ * @returns {number} Travel time in minutes
+ */
+export function edgeWeightAt(edge, minutes) {
+  const profile = edge.timeProfile;
+  const staticTime = getEdgeMetric(edge, 'time');
+  if (!Array.isArray(profile) || profile.length !== TIME_SLOTS) {
+    return Math.max(0, staticTime);
+  }
+
+  const timeOfDay = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  const position = timeOfDay / SLOT_MINUTES - 0.5;
+  const slot = Math.floor(position);
+  const fraction = position - slot;
+
+  const before = slotWeight(profile, slot, staticTime);
+  const after = slotWeight(profile, slot + 1, staticTime);
+  return Math.max(0, before + (after - before) * fraction);
+}
+
+function slotWeight(profile, slot, fallback) {
+  const value = profile[((slot % TIME_SLOTS) + TIME_SLOTS) % TIME_SLOTS];
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Format minutes since midnight as HH:MM (wrapping past midnight)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+export function formatClock(minutes) {
+  const timeOfDay = ((Math.round(minutes) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  const hours = Math.floor(timeOfDay / 60);
+  const mins = timeOfDay % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+/**
+ * Whether any active edge has a time-of-day profile
+ * @param {Array} edges - Array of edge objects
+ * @returns {boolean}
+ */
+export function hasTimeProfiles(edges) {
+  return edges.some(edge => !edge.blocked && Array.isArray(edge.timeProfile));
+}
@@ -0,0 +1,128 @@
+/**
+ * Algorithm Traces
+ * Event log recorded by dijkstra() and bellmanFord() when called with
+ * { trace: true }, replayed step by step by the playback panel.
+ *
+ * Events:
+ *   { type: 'init', nodeId }                            start node gets distance 0
+ *   { type: 'iteration', iteration }                    Bellman-Ford pass begins (1-based)
+ *   { type: 'settle', nodeId, distance }                Dijkstra: distance is final
+ *   { type: 'relax', from, to, edgeId, candidate }      an arc is examined
+ *   { type: 'update', nodeId, distance, previous, edgeId }  the arc improved a distance
+ *   { type: 'cycle-check' }                             Bellman-Ford: extra pass for negative cycles
+ *   { type: 'negative-cycle', nodeId }                  node can still be improved after |V| - 1 passes
+ *   { type: 'done', found, path }                       always the last event
+ *
+ * Large graphs can produce millions of events (Bellman-Ford is O(V·E)), so a
+ * trace stops recording after MAX_TRACE_EVENTS and is marked truncated; the
+ * 'done' event is still appended.
+ */
+
+export const MAX_TRACE_EVENTS = 20000;
+
+/**
+ * Start an empty trace
+ * @returns {Object} - { events, truncated, push(event), finish(event) }
+ */
+export function createTrace() {
+  const trace = {
+    events: [],
+    truncated: false,
+    push(event) {
+      if (trace.events.length < MAX_TRACE_EVENTS) {
+        trace.events.push(event);
+      } else {
+        trace.truncated = true;
+      }
+    },
+    finish(event) {
+      trace.events.push(event);
+      return { events: trace.events, truncated: trace.truncated };
+    }
+  };
+  return trace;
+}
+
+/**
+ * Algorithm state after the first `count` events
+ * @param {Object} trace - { events, truncated }
+ * @param {number} count - Number of events played
+ * @returns {Object} - { distances: { [nodeId]: number }, settled: Set, treeEdges: Map<nodeId, edgeId>,
+ *   negativeCycle: Set, iteration: number, event: Object|null (the last event played) }
+ */
+export function replayTrace(trace, count) {
+  const state = {
+    distances: {},
+    settled: new Set(),
+    treeEdges: new Map(),
+    negativeCycle: new Set(),
+    iteration: 0,
+    event: null
+  };
+
+  trace.events.slice(0, count).forEach(event => {
+    switch (event.type) {
+      case 'init':
+        state.distances[event.nodeId] = 0;
+        break;
+      case 'iteration':
+        state.iteration = event.iteration;
+        break;
+      case 'settle':
+        state.settled.add(event.nodeId);
+        break;
+      case 'update':
+        state.distances[event.nodeId] = event.distance;
+        state.treeEdges.set(event.nodeId, event.edgeId);
+        break;
+      case 'negative-cycle':
+        state.negativeCycle.add(event.nodeId);
+        break;
+      default:
+        break;
+    }
+    state.event = event;
+  });
+
+  return state;
+}
+
+/**
+ * Human-readable description of a trace event
+ * @param {Object} event - Trace event
+ * @param {Function} getLabel - Maps a node ID to its label
+ * @returns {string}
+ */
+export function describeTraceEvent(event, getLabel = id => id) {
+  switch (event.type) {
+    case 'init':
+      return `Start at ${getLabel(event.nodeId)} with distance 0`;
+    case 'iteration':
+      return `Pass ${event.iteration}: relax every road`;
+    case 'settle':
+      return `Settle ${getLabel(event.nodeId)} — its distance ${formatTraceDistance(event.distance)} is final`;
+    case 'relax':
+      return `Check ${getLabel(event.from)} → ${getLabel(event.to)}: candidate distance ${formatTraceDistance(event.candidate)}`;
+    case 'update':
+      return `Improve ${getLabel(event.nodeId)}: ${formatTraceDistance(event.previous)} → ${formatTraceDistance(event.distance)}`;
+    case 'cycle-check':
+      return 'Extra pass: any further improvement means a negative cycle';
+    case 'negative-cycle':
+      return `${getLabel(event.nodeId)} can still be improved — negative cycle`;
+    case 'done':
+      return event.found
+        ? `Done: ${event.path.map(getLabel).join(' → ')}`
+        : 'Done: destination not reachable';
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * @param {number} distance
+ * @returns {string} - '∞' for unreached nodes, otherwise at most two decimals
+ */
+export function formatTraceDistance(distance) {
+  if (distance === undefined || distance === Infinity) return '∞';
+  return Number.isInteger(distance) ? String(distance) : distance.toFixed(2);
+}
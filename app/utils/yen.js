@@ -0,0 +1,99 @@
+import { dijkstra } from './dijkstra.js';
+
+/**
+ * Yen's K-Shortest Loopless Paths
+ * Finds up to k shortest simple paths between two nodes, in increasing cost order
+ *
+ * Each candidate is built from a "root" (a prefix of an already accepted path)
+ * plus a "spur" path found by the underlying shortest-path function on a copy of
+ * the graph where the root's nodes and the next edge of every accepted path
+ * sharing that root are removed. The result objects keep the same shape as
+ * dijkstra()/bellmanFord() so they can be rendered by the same components.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @param {string} startId - Starting node ID
+ * @param {string} endId - Destination node ID
+ * @param {number} k - Maximum number of paths to return
+ * @param {Function} shortestPath - (nodes, edges, startId, endId) => result; defaults to dijkstra
+ * @returns {Array} - [{ path: [], totalCost: number, steps: [], found: true }], best first
+ */
+export function kShortestPaths(nodes, edges, startId, endId, k = 3, shortestPath = dijkstra) {
+  if (!startId || !endId || startId === endId || k < 1) {
+    return [];
+  }
+
+  const first = shortestPath(nodes, edges, startId, endId);
+  if (!first.found) {
+    return [];
+  }
+
+  const accepted = [toRoute(first.steps, startId)];
+  const candidates = [];
+  const seen = new Set([routeKey(accepted[0])]);
+
+  while (accepted.length < k) {
+    const previousRoute = accepted[accepted.length - 1];
+
+    // Every node except the destination can be a spur node
+    for (let i = 0; i < previousRoute.path.length - 1; i++) {
+      const spurNode = previousRoute.path[i];
+      const rootPath = previousRoute.path.slice(0, i + 1);
+      const rootSteps = previousRoute.steps.slice(0, i);
+
+      // Remove the edge leaving the root in every accepted path that shares this root
+      const removedEdgeIds = new Set();
+      accepted.forEach(route => {
+        if (sameNodes(route.path.slice(0, i + 1), rootPath)) {
+          removedEdgeIds.add(route.steps[i].edgeId);
+        }
+      });
+
+      // Remove root nodes (except the spur node) so the spur path stays loopless
+      const removedNodeIds = new Set(rootPath.slice(0, -1));
+      const spurNodes = nodes.filter(n => !removedNodeIds.has(n.id));
+      const spurEdges = edges.filter(e =>
+        !removedEdgeIds.has(e.id) &&
+        !removedNodeIds.has(e.from) &&
+        !removedNodeIds.has(e.to)
+      );
+
+      const spur = shortestPath(spurNodes, spurEdges, spurNode, endId);
+      if (!spur.found || spur.hasNegativeCycle) continue;
+
+      const candidate = toRoute([...rootSteps, ...spur.steps], startId);
+      const key = routeKey(candidate);
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push(candidate);
+      }
+    }
+
+    if (candidates.length === 0) break;
+
+    // Accept the cheapest candidate (fewer segments wins ties)
+    candidates.sort((a, b) => a.totalCost - b.totalCost || a.steps.length - b.steps.length);
+    accepted.push(candidates.shift());
+  }
+
+  return accepted;
+}
+
+// Build a route result from its steps
+function toRoute(steps, startId) {
+  return {
+    path: [startId, ...steps.map(step => step.to)],
+    totalCost: steps.reduce((sum, step) => sum + step.cost, 0),
+    steps,
+    found: true
+  };
+}
+
+// Routes are identified by their edge sequence so parallel roads count as distinct routes
+function routeKey(route) {
+  return route.steps.map(step => step.edgeId).join('|');
+}
+
+function sameNodes(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
@@ -0,0 +1,185 @@
+/**
+ * Routing Benchmark
+ * Generates large random road networks and times dijkstra(), bidirectionalDijkstra()
+ * and bellmanFord()
+ *
+ * Usage:
+ *   npm run benchmark -- [--sizes=1000,10000,50000] [--degree=3] [--queries=5] [--bf-max=20000] [--seed=42]
+ *
+ * --sizes   Node counts to generate (comma separated)
+ * --degree  Average number of extra random roads per intersection
+ * --queries Random start/end pairs timed per graph size
+ * --bf-max  Skip Bellman-Ford above this node count (it is O(V × E))
+ * --seed    Seed for the pseudo-random generator, so runs are reproducible
+ */
+import { dijkstra } from '../app/utils/dijkstra.js';
+import { bellmanFord } from '../app/utils/bellmanFord.js';
+import { bidirectionalDijkstra } from '../app/utils/bidirectionalDijkstra.js';
+
+const options = parseArgs(process.argv.slice(2));
+const random = mulberry32(options.seed);
+
+console.log(
+  `Benchmark: sizes=${options.sizes.join(',')} degree=${options.degree} ` +
+  `queries=${options.queries} bf-max=${options.bfMax} seed=${options.seed}\n`
+);
+
+const rows = [];
+
+for (const size of options.sizes) {
+  const { nodes, edges } = generateGraph(size, options.degree);
+  // Distinct endpoints: both algorithms special-case start === end differently
+  const pairs = Array.from({ length: options.queries }, () => {
+    const start = Math.floor(random() * size);
+    const end = (start + 1 + Math.floor(random() * (size - 1))) % size;
+    return [nodes[start].id, nodes[end].id];
+  });
+
+  const dijkstraRun = timeQueries(pairs, (start, end) => dijkstra(nodes, edges, start, end));
+  rows.push(formatRow('Dijkstra', size, edges.length, dijkstraRun));
+
+  const bidirectionalRun = timeQueries(pairs, (start, end) => bidirectionalDijkstra(nodes, edges, start, end));
+  rows.push(formatRow('Bidirectional Dijkstra', size, edges.length, bidirectionalRun));
+  reportMismatches('Bidirectional Dijkstra', pairs, size, dijkstraRun.results, bidirectionalRun.results);
+
+  if (size <= options.bfMax) {
+    const bellmanFordRun = timeQueries(pairs, (start, end) => bellmanFord(nodes, edges, start, end));
+    rows.push(formatRow('Bellman-Ford', size, edges.length, bellmanFordRun));
+    reportMismatches('Bellman-Ford', pairs, size, dijkstraRun.results, bellmanFordRun.results);
+  } else {
+    rows.push({ algorithm: 'Bellman-Ford', nodes: size, edges: edges.length, mean: 'skipped', min: '-', max: '-', settled: '-' });
+  }
+}
+
+console.table(rows);
+
+/**
+ * Build a connected random graph: a random spanning tree plus extra random roads
+ * Weights are positive so both algorithms return the same costs.
+ */
+function generateGraph(size, degree) {
+  const nodes = [];
+  const edges = [];
+
+  for (let i = 0; i < size; i++) {
+    nodes.push({ id: `N${i}`, label: `Node ${i}`, type: 'normal' });
+  }
+
+  for (let i = 1; i < size; i++) {
+    const parent = Math.floor(random() * i);
+    edges.push(makeEdge(edges.length, parent, i));
+  }
+
+  const extraEdges = Math.floor(size * degree);
+  for (let i = 0; i < extraEdges; i++) {
+    const from = Math.floor(random() * size);
+    const to = Math.floor(random() * size);
+    if (from !== to) {
+      edges.push(makeEdge(edges.length, from, to));
+    }
+  }
+
+  return { nodes, edges };
+}
+
+function makeEdge(index, from, to) {
+  return {
+    id: `e${index}`,
+    from: `N${from}`,
+    to: `N${to}`,
+    weight: 1 + Math.floor(random() * 100),
+    blocked: false
+  };
+}
+
+function timeQueries(pairs, run) {
+  const times = [];
+  const results = [];
+
+  pairs.forEach(([start, end]) => {
+    const begin = process.hrtime.bigint();
+    results.push(run(start, end));
+    times.push(Number(process.hrtime.bigint() - begin) / 1e6);
+  });
+
+  return { times, results };
+}
+
+/**
+ * Every algorithm must agree with Dijkstra on every cost, otherwise the timings are meaningless
+ */
+function reportMismatches(algorithm, pairs, size, expected, actual) {
+  expected.forEach((result, i) => {
+    if (result.totalCost !== actual[i].totalCost) {
+      console.error(
+        `Cost mismatch on ${pairs[i][0]} -> ${pairs[i][1]} (${size} nodes): ` +
+        `Dijkstra ${result.totalCost}, ${algorithm} ${actual[i].totalCost}`
+      );
+      process.exitCode = 1;
+    }
+  });
+}
+
+function formatRow(algorithm, size, edgeCount, { times, results }) {
+  const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+  // Mean nodes settled per query, for algorithms that report it
+  const settled = results.every(result => result.visitedCount !== undefined)
+    ? Math.round(results.reduce((sum, result) => sum + result.visitedCount, 0) / results.length)
+    : '-';
+  return {
+    algorithm,
+    nodes: size,
+    edges: edgeCount,
+    mean: `${mean.toFixed(2)} ms`,
+    min: `${Math.min(...times).toFixed(2)} ms`,
+    max: `${Math.max(...times).toFixed(2)} ms`,
+    settled
+  };
+}
+
+function parseArgs(args) {
+  const parsed = {
+    sizes: [1000, 10000, 50000],
+    degree: 3,
+    queries: 5,
+    bfMax: 20000,
+    seed: 42
+  };
+
+  args.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    switch (key) {
+      case 'sizes':
+        parsed.sizes = value.split(',').map(Number).filter(n => n > 1);
+        break;
+      case 'degree':
+        parsed.degree = Number(value);
+        break;
+      case 'queries':
+        parsed.queries = Math.max(1, Number(value));
+        break;
+      case 'bf-max':
+        parsed.bfMax = Number(value);
+        break;
+      case 'seed':
+        parsed.seed = Number(value);
+        break;
+      default:
+        console.warn(`Unknown option: ${arg}`);
+    }
+  });
+
+  return parsed;
+}
+
+// Small seeded PRNG so benchmark graphs are reproducible between runs
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}